@@ -4,32 +4,119 @@ const multer = require('multer');
 const path = require('path');
 const Attendance = require('../models/Attendance');
 const User = require('../models/User');
+const Organization = require('../models/Organization');
+const LivenessSession = require('../models/LivenessSession');
+const WorkSession = require('../models/WorkSession');
 const cloudinaryService = require('../services/cloudinaryService');
+const faceMatchingService = require('../services/faceMatchingService');
+const faceTemplateService = require('../services/faceTemplateService');
+const attendanceService = require('../services/attendanceService');
+const geofenceService = require('../services/geofenceService');
+const leaveService = require('../services/leaveService');
+const holidayService = require('../services/holidayService');
+const timesheetService = require('../services/timesheetService');
+const offlineSyncService = require('../services/offlineSyncService');
+const shiftService = require('../services/shiftService');
+const { toDateKey, dateKeyToDate } = require('../utils/time');
+const { dateKeySchema } = require('../utils/validation');
+
+// Response wording for each punch type
+const ACTION_LABELS = {
+  'check-in': 'Checked in',
+  'check-out': 'Checked out',
+  'break-start': 'Break started',
+  'break-end': 'Break ended'
+};
+
+// Today's summary status for a user's latest work session
+const SESSION_STATUS_LABELS = {
+  open: 'checked-in',
+  'on-break': 'on-break',
+  closed: 'checked-out',
+  missed: 'missed-punch'
+};
 
 // Validation schemas
 const markAttendanceSchema = Joi.object({
-  type: Joi.string().valid('check-in', 'check-out').required(),
+  type: Joi.string().valid('check-in', 'check-out', 'break-start', 'break-end').required(),
   location: Joi.object({
     latitude: Joi.number().min(-90).max(90).optional(),
     longitude: Joi.number().min(-180).max(180).optional(),
     address: Joi.string().max(500).optional()
   }).optional(),
   note: Joi.string().max(500).optional(),
+  faceDescriptor: Joi.array().items(Joi.number()).min(1).optional(),
+  faceModel: Joi.string().trim().max(100).optional(),
+  faceModelVersion: Joi.string().trim().max(50).optional(),
+  livenessToken: Joi.string().hex().length(64).optional(),
   isOffline: Joi.boolean().default(false),
-  offlineTimestamp: Joi.date().optional()
+  offlineTimestamp: Joi.date().optional(),
+  clientId: Joi.string().trim().min(1).max(100).optional()
 });
 
-// Get Cloudinary upload middleware for attendance images
-const upload = cloudinaryService.getAttendanceUpload();
+const timesheetQuerySchema = Joi.object({
+  year: Joi.number().integer().min(2000).max(2100).optional(),
+  month: Joi.number().integer().min(1).max(12).optional()
+}).and('year', 'month');
+
+// Review queue filters: any review flag, or 'offline' for offline entries
+const REVIEW_FILTERS = [...Attendance.schema.path('reviewFlags').caster.enumValues, 'offline'];
+
+const pendingQuerySchema = Joi.object({
+  flag: Joi.string().valid(...REVIEW_FILTERS).optional(),
+  user: Joi.string().hex().length(24).optional(),
+  organization: Joi.string().hex().length(24).optional(),
+  startDate: dateKeySchema.optional(),
+  endDate: dateKeySchema.optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Rejections must say why
+const reviewAttendanceSchema = Joi.object({
+  ids: Joi.array().items(Joi.string().hex().length(24)).min(1).max(200).unique().required(),
+  status: Joi.string().valid('approved', 'rejected').required(),
+  reason: Joi.string().trim().max(500).when('status', {
+    is: 'rejected',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  })
+});
+
+const updateAttendanceSchema = Joi.object({
+  note: Joi.string().max(500).allow('').optional(),
+  status: Joi.string().valid('approved', 'rejected').optional(),
+  rejectionReason: Joi.string().trim().max(500).when('status', {
+    is: 'rejected',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  })
+}).min(1);
+
+// Attendance images are kept in memory so liveness checks can run before upload
+const upload = cloudinaryService.getAttendanceMemoryUpload();
+
+// The requested month, or the current one in the organization's time zone
+const resolveTimesheetMonth = ({ year, month }, organization) => {
+  if (year && month) {
+    return { year, month };
+  }
+
+  const todayKey = toDateKey(new Date(), shiftService.getTimeZone(organization));
+  return { year: Number(todayKey.slice(0, 4)), month: Number(todayKey.slice(5, 7)) };
+};
 
 class AttendanceController {
-  // @desc    Mark attendance (check-in/check-out)
+  // @desc    Mark attendance (check-in/check-out/break-start/break-end)
   // @route   POST /api/attendance/mark
   // @access  Private
   async markAttendance(req, res) {
     try {
-      // Validate request body
-      const { error, value } = markAttendanceSchema.validate(req.body);
+      // Validate request body (the descriptor arrives as a JSON string in multipart forms)
+      const { error, value } = markAttendanceSchema.validate({
+        ...req.body,
+        faceDescriptor: faceMatchingService.parseDescriptor(req.body.faceDescriptor)
+      });
       if (error) {
         return res.status(400).json({
           success: false,
@@ -38,7 +125,7 @@ class AttendanceController {
         });
       }
 
-      const { type, location, note, isOffline, offlineTimestamp } = value;
+      const { type, location, note, faceDescriptor, livenessToken, isOffline, offlineTimestamp, clientId } = value;
       const user = req.user;
 
       // Check if user is approved and active
@@ -56,74 +143,125 @@ class AttendanceController {
         });
       }
 
-      // Get today's attendance records
-      const today = new Date();
-      const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-      const endOfDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000);
-
-      const existingAttendance = await Attendance.find({
-        user: user._id,
-        checkInTime: { $gte: startOfDay, $lt: endOfDay }
-      }).sort({ checkInTime: -1 });
+      const organization = await Organization.findById(user.organization);
+      const timestamp = isOffline && offlineTimestamp ? new Date(offlineTimestamp) : new Date();
 
-      // Business logic for check-in/check-out validation
-      if (type === 'check-in') {
-        const lastCheckIn = existingAttendance.find(att => att.type === 'check-in');
-        const lastCheckOut = existingAttendance.find(att => att.type === 'check-out');
+      if (isOffline) {
+        offlineSyncService.checkAllowed(organization);
 
-        if (lastCheckIn && (!lastCheckOut || lastCheckOut.checkInTime < lastCheckIn.checkInTime)) {
-          return res.status(400).json({
-            success: false,
-            message: 'You are already checked in. Please check out first.'
+        // A re-sent offline punch returns the record created the first time
+        const existing = clientId && await offlineSyncService.findByClientId(user.organization, clientId);
+        if (existing) {
+          return res.json({
+            success: true,
+            message: 'This offline punch was already synced.',
+            data: { attendance: existing, duplicate: true }
           });
         }
-      } else if (type === 'check-out') {
-        const lastCheckIn = existingAttendance.find(att => att.type === 'check-in');
-        const lastCheckOut = existingAttendance.find(att => att.type === 'check-out');
 
-        if (!lastCheckIn || (lastCheckOut && lastCheckOut.checkInTime > lastCheckIn.checkInTime)) {
-          return res.status(400).json({
+        offlineSyncService.checkTimestamp(timestamp);
+        await offlineSyncService.checkOrder(user._id, timestamp);
+      }
+
+      // Check-ins are validated against the employee's work sites
+      const geofence = type === 'check-in' ? await geofenceService.check(user, location) : null;
+      if (geofence && geofence.action === 'reject') {
+        return res.status(403).json({
+          success: false,
+          message: geofenceService.getRejectionMessage(geofence),
+          data: { geofence: geofenceService.toRecord(geofence) }
+        });
+      }
+
+      // Compare the probe against the user's enrolled descriptors on the server, with the
+      // organization's matching parameters (only templates from the probe's model are compared)
+      const model = faceTemplateService.resolveModel(value);
+      const matching = faceMatchingService.getSettings(organization);
+      const faceMatch = faceMatchingService.verify(
+        faceDescriptor,
+        faceTemplateService.getVectors(user.faceDescriptors, model),
+        matching
+      );
+      attendanceService.checkBorderline(faceMatch, matching);
+
+      // Organizations that require face recognition also require a completed active liveness challenge.
+      // The token is only checked here; it is consumed when the punch is saved.
+      const requireLiveness = !organization || organization.settings.requireFaceRecognition;
+      if (requireLiveness) {
+        const session = livenessToken && await LivenessSession.findValidToken(livenessToken, user._id);
+        if (!session) {
+          return res.status(403).json({
             success: false,
-            message: 'You need to check in first before checking out.'
+            message: 'A valid liveness token is required. Please complete the liveness challenge first.'
           });
         }
       }
 
-      // Create attendance record
-      const attendance = new Attendance({
-        user: user._id,
-        organization: user.organization,
+      // Refuse an impossible punch (e.g. a second check-in) before the photo is uploaded
+      const workday = await attendanceService.resolveWorkday(user, organization, timestamp);
+      await attendanceService.validateTransition(user._id, type, workday);
+
+      // Run passive liveness checks on the photo (may block the punch per organization policy)
+      const { liveness, faceImage } = await attendanceService.preparePhoto(req.file, organization);
+
+      // Validate the transition and create the attendance record
+      const attendance = await attendanceService.recordAttendance({
+        user,
+        organization,
+        workday,
         type,
-        checkInTime: isOffline && offlineTimestamp ? new Date(offlineTimestamp) : new Date(),
+        timestamp,
         location,
+        geofence,
         note,
         isOffline,
-        faceImage: req.file ? {
-          filename: req.file.filename,
-          path: req.file.path, // Local path (deprecated)
-          cloudinaryUrl: req.file.path, // Cloudinary URL
-          cloudinaryPublicId: req.file.filename // Public ID for deletion
-        } : undefined
+        clientId: isOffline ? clientId : undefined,
+        faceMatch,
+        borderlineAction: matching.borderlineAction,
+        liveness,
+        faceImage,
+        livenessToken: requireLiveness ? livenessToken : undefined
       });
 
-      // Set checkout time for check-out records
-      if (type === 'check-out') {
-        attendance.checkOutTime = attendance.checkInTime;
-      }
-
-      await attendance.save();
+      // Optionally keep a very confident probe as an extra template
+      await attendanceService.adaptTemplates({
+        user,
+        probe: faceDescriptor,
+        model,
+        faceMatch,
+        attendance,
+        organization
+      });
 
       // Update user's last activity
       user.lastLogin = new Date();
       await user.save();
 
+      let actionLabel = ACTION_LABELS[type];
+      if (type === 'break-end') {
+        actionLabel += ` after ${attendance.breakTime} minutes`;
+      } else if (attendance.arrivalStatus === 'late' || attendance.arrivalStatus === 'very-late') {
+        actionLabel += ` ${attendance.lateMinutes} minutes late`;
+      } else if (attendance.departureStatus === 'early') {
+        actionLabel += ` ${attendance.earlyDepartureMinutes} minutes early`;
+      }
+
       res.status(201).json({
         success: true,
-        message: `${type === 'check-in' ? 'Checked in' : 'Checked out'} successfully!`,
-        data: { attendance }
+        message: attendance.status === 'pending'
+          ? `${actionLabel}, but the record needs admin review (${attendance.reviewFlags.join(', ')}).`
+          : `${actionLabel} successfully!`,
+        data: { attendance, faceMatch, liveness }
       });
 
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Mark attendance error:', error);
       res.status(500).json({
         success: false,
@@ -145,16 +283,10 @@ class AttendanceController {
         type
       } = req.query;
 
-      // Build date range
+      // Build date range over workday labels (already in the organization's time zone)
       let dateFilter = {};
-      if (month && year) {
-        const startDate = new Date(year, month - 1, 1);
-        const endDate = new Date(year, month, 0, 23, 59, 59);
-        dateFilter = { checkInTime: { $gte: startDate, $lte: endDate } };
-      } else if (year) {
-        const startDate = new Date(year, 0, 1);
-        const endDate = new Date(year, 11, 31, 23, 59, 59);
-        dateFilter = { checkInTime: { $gte: startDate, $lte: endDate } };
+      if (year) {
+        dateFilter = { date: attendanceService.getPeriodRange(year, month) };
       }
 
       // Build query
@@ -175,8 +307,16 @@ class AttendanceController {
 
       const total = await Attendance.countDocuments(query);
 
-      // Calculate stats
-      const stats = await Attendance.getAttendanceStats(req.user._id, year, month);
+      // Totals over the period's approved records
+      const range = attendanceService.getPeriodRange(year, month);
+      const days = await Attendance.getAttendanceSummary(req.user._id, range.$gte, range.$lte);
+      const stats = days.reduce((totals, day) => ({
+        daysPresent: totals.daysPresent + 1,
+        workingMinutes: totals.workingMinutes + day.totalWorkingHours,
+        breakMinutes: totals.breakMinutes + day.totalBreakTime,
+        overtimeMinutes: totals.overtimeMinutes + day.totalOvertime,
+        approvedOvertimeMinutes: totals.approvedOvertimeMinutes + day.approvedOvertime
+      }), { daysPresent: 0, workingMinutes: 0, breakMinutes: 0, overtimeMinutes: 0, approvedOvertimeMinutes: 0 });
 
       res.json({
         success: true,
@@ -201,6 +341,138 @@ class AttendanceController {
     }
   }
 
+  // @desc    Get user's work sessions (check-in to check-out, with breaks)
+  // @route   GET /api/attendance/my-sessions
+  // @access  Private
+  async getMySessions(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        month,
+        year = new Date().getFullYear()
+      } = req.query;
+
+      const query = {
+        user: req.user._id,
+        date: attendanceService.getPeriodRange(year, month)
+      };
+
+      const sessions = await WorkSession.find(query)
+        .populate('shift', 'name startTime endTime')
+        .sort({ checkInTime: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await WorkSession.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          sessions,
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total,
+            limit: parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get my sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch work sessions'
+      });
+    }
+  }
+
+  // @desc    Get the current user's timesheet for a month
+  // @route   GET /api/attendance/timesheet
+  // @access  Private
+  async getMyTimesheet(req, res) {
+    try {
+      const { error, value } = timesheetQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      if (!req.user.organization) {
+        return res.status(400).json({
+          success: false,
+          message: 'You must belong to an organization to have a timesheet'
+        });
+      }
+
+      const organization = await Organization.findById(req.user.organization);
+      const { year, month } = resolveTimesheetMonth(value, organization);
+      const timesheet = await timesheetService.generate(req.user, organization, year, month);
+
+      res.json({
+        success: true,
+        data: { timesheet }
+      });
+    } catch (error) {
+      console.error('Get my timesheet error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate timesheet'
+      });
+    }
+  }
+
+  // @desc    Get an employee's timesheet for a month
+  // @route   GET /api/attendance/timesheet/:userId
+  // @access  Private (Admin/HR)
+  async getUserTimesheet(req, res) {
+    try {
+      const { error, value } = timesheetQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const user = await User.findById(req.params.userId)
+        .select('firstName lastName employeeId department organization allowedSites');
+      if (!user || !user.organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (req.user.role !== 'super-admin' && !user.organization.equals(req.user.organization)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view timesheets in your organization'
+        });
+      }
+
+      const organization = await Organization.findById(user.organization);
+      const { year, month } = resolveTimesheetMonth(value, organization);
+      const timesheet = await timesheetService.generate(user, organization, year, month);
+
+      res.json({
+        success: true,
+        data: { timesheet }
+      });
+    } catch (error) {
+      console.error('Get user timesheet error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate timesheet'
+      });
+    }
+  }
+
   // @desc    Get all attendance records (Admin/HR)
   // @route   GET /api/attendance/all
   // @access  Private (Admin/HR)
@@ -223,11 +495,11 @@ class AttendanceController {
         baseQuery.organization = req.user.organization;
       }
 
-      // Date range filter
+      // Date range filter (YYYY-MM-DD workdays in the organization's time zone)
       if (startDate || endDate) {
-        baseQuery.checkInTime = {};
-        if (startDate) baseQuery.checkInTime.$gte = new Date(startDate);
-        if (endDate) baseQuery.checkInTime.$lte = new Date(endDate + 'T23:59:59.999Z');
+        baseQuery.date = {};
+        if (startDate) baseQuery.date.$gte = dateKeyToDate(String(startDate).slice(0, 10));
+        if (endDate) baseQuery.date.$lte = dateKeyToDate(String(endDate).slice(0, 10));
       }
 
       // Type filter
@@ -335,7 +607,8 @@ class AttendanceController {
         department
       } = req.query;
 
-      let matchQuery = {};
+      // Only approved records count toward statistics
+      let matchQuery = Attendance.countedFilter();
       
       // Organization filter for admin
       if (req.user.role === 'admin') {
@@ -347,15 +620,9 @@ class AttendanceController {
         matchQuery.user = new mongoose.Types.ObjectId(userId);
       }
 
-      // Date range filter
-      if (month && year) {
-        const startDate = new Date(year, month - 1, 1);
-        const endDate = new Date(year, month, 0, 23, 59, 59);
-        matchQuery.checkInTime = { $gte: startDate, $lte: endDate };
-      } else if (year) {
-        const startDate = new Date(year, 0, 1);
-        const endDate = new Date(year, 11, 31, 23, 59, 59);
-        matchQuery.checkInTime = { $gte: startDate, $lte: endDate };
+      // Date range filter over workday labels (already in the organization's time zone)
+      if (year) {
+        matchQuery.date = attendanceService.getPeriodRange(year, month);
       }
 
       // Department filter requires joining with User
@@ -386,19 +653,69 @@ class AttendanceController {
               $sum: { $cond: [{ $eq: ['$type', 'check-out'] }, 1, 0] }
             },
             offlineRecords: {
-              $sum: { $cond: ['$isOffline', 1, 0] }
+              $sum: { $cond: ['$isOfflineEntry', 1, 0] }
+            },
+            lateArrivals: {
+              $sum: { $cond: [{ $in: ['$arrivalStatus', ['late', 'very-late']] }, 1, 0] }
+            },
+            veryLateArrivals: {
+              $sum: { $cond: [{ $eq: ['$arrivalStatus', 'very-late'] }, 1, 0] }
+            },
+            earlyDepartures: {
+              $sum: { $cond: [{ $eq: ['$departureStatus', 'early'] }, 1, 0] }
             }
           }
         }
       ]);
 
+      // Late arrivals and early departures per user, worst first
+      const userLateStats = await Attendance.aggregate([
+        ...pipeline,
+        { $match: { $or: [{ arrivalStatus: { $exists: true } }, { departureStatus: { $exists: true } }] } },
+        {
+          $group: {
+            _id: '$user',
+            fullName: { $first: { $concat: ['$userInfo.firstName', ' ', '$userInfo.lastName'] } },
+            employeeId: { $first: '$userInfo.employeeId' },
+            department: { $first: '$userInfo.department' },
+            arrivals: {
+              $sum: { $cond: [{ $ifNull: ['$arrivalStatus', false] }, 1, 0] }
+            },
+            lateArrivals: {
+              $sum: { $cond: [{ $in: ['$arrivalStatus', ['late', 'very-late']] }, 1, 0] }
+            },
+            veryLateArrivals: {
+              $sum: { $cond: [{ $eq: ['$arrivalStatus', 'very-late'] }, 1, 0] }
+            },
+            totalLateMinutes: {
+              $sum: { $cond: [{ $in: ['$arrivalStatus', ['late', 'very-late']] }, '$lateMinutes', 0] }
+            },
+            earlyDepartures: {
+              $sum: { $cond: [{ $eq: ['$departureStatus', 'early'] }, 1, 0] }
+            }
+          }
+        },
+        {
+          $addFields: {
+            averageLateMinutes: {
+              $cond: [
+                { $gt: ['$lateArrivals', 0] },
+                { $round: [{ $divide: ['$totalLateMinutes', '$lateArrivals'] }, 1] },
+                0
+              ]
+            }
+          }
+        },
+        { $sort: { lateArrivals: -1, totalLateMinutes: -1 } }
+      ]);
+
       // Get daily attendance for the period
       const dailyStats = await Attendance.aggregate([
         ...pipeline,
         {
           $group: {
             _id: {
-              date: { $dateToString: { format: '%Y-%m-%d', date: '$checkInTime' } },
+              date: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
               type: '$type'
             },
             count: { $sum: 1 }
@@ -430,6 +747,15 @@ class AttendanceController {
               checkIns: {
                 $sum: { $cond: [{ $eq: ['$type', 'check-in'] }, 1, 0] }
               },
+              lateArrivals: {
+                $sum: { $cond: [{ $in: ['$arrivalStatus', ['late', 'very-late']] }, 1, 0] }
+              },
+              veryLateArrivals: {
+                $sum: { $cond: [{ $eq: ['$arrivalStatus', 'very-late'] }, 1, 0] }
+              },
+              earlyDepartures: {
+                $sum: { $cond: [{ $eq: ['$departureStatus', 'early'] }, 1, 0] }
+              },
               uniqueUsers: { $addToSet: '$user' }
             }
           },
@@ -451,15 +777,28 @@ class AttendanceController {
         totalRecords: 0,
         checkIns: 0,
         checkOuts: 0,
-        offlineRecords: 0
+        offlineRecords: 0,
+        lateArrivals: 0,
+        veryLateArrivals: 0,
+        earlyDepartures: 0
       };
 
+      // Approved leave days in the same period
+      const leaveStats = await leaveService.getLeaveStats({
+        organization: matchQuery.organization,
+        user: userId,
+        department,
+        dateRange: matchQuery.date
+      });
+
       res.json({
         success: true,
         data: {
           overview: stats,
+          leaveStats,
           dailyStats,
-          departmentStats
+          departmentStats,
+          userLateStats
         }
       });
 
@@ -472,14 +811,152 @@ class AttendanceController {
     }
   }
 
+  // @desc    Get attendance records waiting for review
+  // @route   GET /api/attendance/pending
+  // @access  Private (Admin/HR)
+  async getPendingAttendance(req, res) {
+    try {
+      const { error, value } = pendingQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const { flag, user, startDate, endDate, organization, page, limit } = value;
+
+      // Admins and HR review their own organization; super-admins may pick one
+      const query = { status: 'pending' };
+      if (req.user.role === 'super-admin') {
+        if (organization) query.organization = new mongoose.Types.ObjectId(organization);
+      } else {
+        query.organization = req.user.organization;
+      }
+
+      if (user) {
+        query.user = new mongoose.Types.ObjectId(user);
+      }
+
+      if (startDate || endDate) {
+        query.date = {};
+        if (startDate) query.date.$gte = dateKeyToDate(startDate);
+        if (endDate) query.date.$lte = dateKeyToDate(endDate);
+      }
+
+      // Count by reason before narrowing to one, so the queue can show a tab per reason
+      const flagCounts = await Attendance.aggregate([
+        { $match: query },
+        { $unwind: '$reviewFlags' },
+        { $group: { _id: '$reviewFlags', count: { $sum: 1 } } }
+      ]);
+      // Offline punches aren't flagged for lack of a photo, so this filter also lists the
+      // auto-approved ones for spot checks
+      const offlineQuery = { ...query, status: { $in: ['pending', 'auto-approved'] }, isOfflineEntry: true };
+      const offlineCount = await Attendance.countDocuments(offlineQuery);
+
+      if (flag === 'offline') {
+        Object.assign(query, offlineQuery);
+      } else if (flag) {
+        query.reviewFlags = flag;
+      }
+
+      const attendance = await Attendance.find(query)
+        .populate('user', 'firstName lastName email employeeId department')
+        .sort({ checkInTime: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit);
+
+      const total = await Attendance.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          attendance,
+          flagCounts: flagCounts.reduce((counts, item) => {
+            counts[item._id] = item.count;
+            return counts;
+          }, { offline: offlineCount }),
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total,
+            limit
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get pending attendance error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch pending attendance records'
+      });
+    }
+  }
+
+  // @desc    Approve or reject several pending attendance records
+  // @route   POST /api/attendance/review
+  // @access  Private (Admin/HR)
+  async reviewAttendance(req, res) {
+    try {
+      const { error, value } = reviewAttendanceSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const query = { _id: { $in: value.ids }, status: 'pending' };
+      if (req.user.role !== 'super-admin') {
+        query.organization = req.user.organization;
+      }
+
+      const records = await Attendance.find(query);
+      await attendanceService.reviewRecords(records, req.user, {
+        status: value.status,
+        reason: value.reason
+      });
+
+      const reviewedIds = new Set(records.map(record => record._id.toString()));
+      const skipped = value.ids.filter(id => !reviewedIds.has(id));
+
+      res.json({
+        success: true,
+        message: `${records.length} record(s) ${value.status}`,
+        data: {
+          reviewed: records.length,
+          skipped // not pending, not found or outside your organization
+        }
+      });
+
+    } catch (error) {
+      console.error('Review attendance error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to review attendance records'
+      });
+    }
+  }
+
   // @desc    Update attendance record (Admin only)
   // @route   PUT /api/attendance/:id
   // @access  Private (Admin only)
   async updateAttendance(req, res) {
     try {
-      const { note, isApproved } = req.body;
-      
-      const attendance = await Attendance.findById(req.params.id).populate('user');
+      const { error, value } = updateAttendanceSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const attendance = await Attendance.findById(req.params.id);
       
       if (!attendance) {
         return res.status(404).json({
@@ -498,13 +975,18 @@ class AttendanceController {
       }
 
       // Update fields
-      if (note !== undefined) attendance.note = note;
-      if (isApproved !== undefined) attendance.isApproved = isApproved;
-      
-      attendance.modifiedBy = req.user._id;
-      attendance.modifiedAt = new Date();
+      if (value.note !== undefined) attendance.adminNotes = value.note;
 
-      await attendance.save();
+      if (value.status && value.status !== attendance.status) {
+        await attendanceService.reviewRecords([attendance], req.user, {
+          status: value.status,
+          reason: value.rejectionReason
+        });
+      } else {
+        await attendance.save();
+      }
+
+      await attendance.populate('user', 'firstName lastName email employeeId department');
 
       res.json({
         success: true,
@@ -544,6 +1026,8 @@ class AttendanceController {
         });
       }
 
+      // Keep the work session consistent with the remaining punches
+      await attendanceService.removeFromSession(attendance);
       await Attendance.findByIdAndDelete(req.params.id);
 
       res.json({
@@ -565,78 +1049,179 @@ class AttendanceController {
   // @access  Private (Admin/HR)
   async getTodaySummary(req, res) {
     try {
-      const today = new Date();
-      const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-      const endOfDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000);
+      // Each organization's "today" is its current workday in its own time zone
+      const organizations = req.user.role === 'super-admin'
+        ? await Organization.find({ isActive: true })
+        : await Organization.find({ _id: req.user.organization });
+
+      const now = new Date();
+      const attendanceList = [];
+      const notCheckedIn = [];
+      let totalUsers = 0;
+      let offDutyUsers = 0;
+      let upcomingUsers = 0;
+      let pendingReviewUsers = 0;
+      let onLeaveUsers = 0;
+      let holidayUsers = 0;
+
+      for (const organization of organizations) {
+        const timeZone = shiftService.getTimeZone(organization);
+        const todayKey = toDateKey(now, timeZone);
+
+        const users = await User.find({ organization: organization._id, isActive: true, isApproved: true })
+          .select('firstName lastName email employeeId department designation organization allowedSites');
+        const schedule = await shiftService.getSchedule(users, todayKey, organization);
+
+        // Records are attributed to the workday their shift started on
+        const records = await Attendance.aggregate([
+          { $match: { organization: organization._id, date: dateKeyToDate(todayKey), ...Attendance.countedFilter() } },
+          {
+            $group: {
+              _id: '$user',
+              checkIns: {
+                $sum: { $cond: [{ $eq: ['$type', 'check-in'] }, 1, 0] }
+              },
+              checkOuts: {
+                $sum: { $cond: [{ $eq: ['$type', 'check-out'] }, 1, 0] }
+              },
+              firstCheckIn: {
+                $min: { $cond: [{ $eq: ['$type', 'check-in'] }, '$checkInTime', null] }
+              },
+              lastCheckOut: {
+                $max: { $cond: [{ $eq: ['$type', 'check-out'] }, '$checkOutTime', null] }
+              },
+              breakStarts: {
+                $sum: { $cond: [{ $eq: ['$type', 'break-start'] }, 1, 0] }
+              },
+              breakEnds: {
+                $sum: { $cond: [{ $eq: ['$type', 'break-end'] }, 1, 0] }
+              },
+              breakMinutes: { $sum: '$breakTime' },
+              unpaidBreakMinutes: { $sum: '$unpaidBreakTime' }
+            }
+          }
+        ]);
+        const recordsByUser = new Map(records.map(record => [record._id.toString(), record]));
+
+        // The latest session tells whether the user is still in (older punches may have none)
+        const sessions = await WorkSession.find({ organization: organization._id, date: dateKeyToDate(todayKey) })
+          .sort({ checkInTime: 1 })
+          .select('user status');
+        const sessionStatusByUser = new Map(sessions.map(session => [session.user.toString(), session.status]));
+
+        // Users whose only punches today are still waiting for review
+        const pendingUserIds = new Set((await Attendance.distinct('user', {
+          organization: organization._id,
+          date: dateKeyToDate(todayKey),
+          status: 'pending'
+        })).map(id => id.toString()));
+
+        // Holidays and approved leave excuse an absence
+        const holidayByUser = await holidayService.getHolidaysOn(users, organization, todayKey);
+        const leaveByUser = await leaveService.getLeaveOn(organization._id, todayKey);
+
+        totalUsers += users.length;
+
+        users.forEach(user => {
+          const { shift, source } = schedule.get(user._id.toString());
+          const window = shift ? shift.getWindow(todayKey, timeZone) : null;
+          const shiftInfo = shift ? {
+            _id: source === 'assignment' ? shift._id : null,
+            name: shift.name,
+            startTime: shift.startTime,
+            endTime: shift.endTime,
+            scheduledStart: window.start,
+            scheduledEnd: window.end
+          } : null;
+          const record = recordsByUser.get(user._id.toString());
+
+          if (record) {
+            const totalHours = record.firstCheckIn && record.lastCheckOut
+              ? Math.max(0, (record.lastCheckOut - record.firstCheckIn) / 3600000 - record.unpaidBreakMinutes / 60)
+              : 0;
+            const sessionStatus = sessionStatusByUser.get(user._id.toString());
+            let status = record.checkIns > record.checkOuts ? 'checked-in' : 'checked-out';
+            if (sessionStatus) {
+              status = SESSION_STATUS_LABELS[sessionStatus];
+            } else if (status === 'checked-in' && record.breakStarts > record.breakEnds) {
+              status = 'on-break';
+            }
 
-      let matchQuery = {
-        checkInTime: { $gte: startOfDay, $lt: endOfDay }
-      };
+            attendanceList.push({
+              _id: user._id,
+              user,
+              shift: shiftInfo,
+              checkIns: record.checkIns,
+              checkOuts: record.checkOuts,
+              firstCheckIn: record.firstCheckIn,
+              lastCheckOut: record.lastCheckOut,
+              breakMinutes: record.breakMinutes,
+              status,
+              totalHours
+            });
+            return;
+          }
 
-      // Organization filter for admin
-      if (req.user.role === 'admin') {
-        matchQuery.organization = req.user.organization;
-      }
+          if (pendingUserIds.has(user._id.toString())) {
+            pendingReviewUsers += 1;
+            notCheckedIn.push({ _id: user._id, user, shift: shiftInfo, status: 'pending-review' });
+            return;
+          }
 
-      const todayAttendance = await Attendance.aggregate([
-        { $match: matchQuery },
-        {
-          $lookup: {
-            from: 'users',
-            localField: 'user',
-            foreignField: '_id',
-            as: 'userInfo'
+          if (!shift) {
+            offDutyUsers += 1;
+            return;
           }
-        },
-        { $unwind: '$userInfo' },
-        {
-          $group: {
-            _id: '$user',
-            user: { $first: '$userInfo' },
-            checkIns: {
-              $sum: { $cond: [{ $eq: ['$type', 'check-in'] }, 1, 0] }
-            },
-            checkOuts: {
-              $sum: { $cond: [{ $eq: ['$type', 'check-out'] }, 1, 0] }
-            },
-            firstCheckIn: {
-              $min: { $cond: [{ $eq: ['$type', 'check-in'] }, '$checkInTime', null] }
-            },
-            lastCheckOut: {
-              $max: { $cond: [{ $eq: ['$type', 'check-out'] }, '$checkOutTime', null] }
-            }
+
+          const holiday = holidayByUser.get(user._id.toString());
+          if (holiday) {
+            holidayUsers += 1;
+            notCheckedIn.push({
+              _id: user._id,
+              user,
+              shift: shiftInfo,
+              status: 'holiday',
+              holiday: {
+                _id: holiday._id,
+                name: holiday.name,
+                type: holiday.type
+              }
+            });
+            return;
           }
-        },
-        {
-          $addFields: {
-            status: {
-              $cond: [
-                { $gt: ['$checkIns', 0] },
-                { $cond: [{ $gt: ['$checkOuts', 0] }, 'checked-out', 'checked-in'] },
-                'absent'
-              ]
-            },
-            totalHours: {
-              $cond: [
-                { $and: ['$firstCheckIn', '$lastCheckOut'] },
-                { $divide: [{ $subtract: ['$lastCheckOut', '$firstCheckIn'] }, 3600000] },
-                0
-              ]
-            }
+
+          const leave = leaveByUser.get(user._id.toString());
+          if (leave) {
+            onLeaveUsers += 1;
+            notCheckedIn.push({
+              _id: user._id,
+              user,
+              shift: shiftInfo,
+              status: 'on-leave',
+              leave: {
+                _id: leave._id,
+                leaveType: leave.leaveType,
+                halfDay: leave.halfDay
+              }
+            });
+            return;
           }
-        },
-        { $sort: { 'user.firstName': 1 } }
-      ]);
 
-      // Get total user count for organization
-      let userQuery = { isActive: true, isApproved: true };
-      if (req.user.role === 'admin') {
-        userQuery.organization = req.user.organization;
+          // Not expected yet: the shift hasn't started
+          const status = window.start > now ? 'upcoming' : 'absent';
+          if (status === 'upcoming') {
+            upcomingUsers += 1;
+          }
+
+          notCheckedIn.push({ _id: user._id, user, shift: shiftInfo, status });
+        });
       }
-      
-      const totalUsers = await User.countDocuments(userQuery);
-      const presentUsers = todayAttendance.filter(att => att.status !== 'absent').length;
-      const absentUsers = totalUsers - presentUsers;
+
+      attendanceList.sort((a, b) => a.user.firstName.localeCompare(b.user.firstName));
+
+      const presentUsers = attendanceList.length;
+      const absentUsers = notCheckedIn.length - upcomingUsers - pendingReviewUsers - onLeaveUsers - holidayUsers;
+      const expectedUsers = presentUsers + absentUsers;
 
       res.json({
         success: true,
@@ -645,9 +1230,15 @@ class AttendanceController {
             totalUsers,
             presentUsers,
             absentUsers,
-            attendanceRate: totalUsers > 0 ? ((presentUsers / totalUsers) * 100).toFixed(1) : 0
+            upcomingUsers,
+            pendingReviewUsers,
+            onLeaveUsers,
+            holidayUsers,
+            offDutyUsers,
+            attendanceRate: expectedUsers > 0 ? ((presentUsers / expectedUsers) * 100).toFixed(1) : 0
           },
-          attendanceList: todayAttendance
+          attendanceList,
+          notCheckedIn
         }
       });
 
@@ -678,15 +1269,8 @@ class AttendanceController {
       // Build query
       let query = {};
 
-      // Date filtering
-      const startDate = new Date(date);
-      const endDate = new Date(date);
-      endDate.setDate(endDate.getDate() + 1);
-
-      query.createdAt = {
-        $gte: startDate,
-        $lt: endDate
-      };
+      // Date filtering (the workday in the organization's time zone)
+      query.date = dateKeyToDate(String(date).slice(0, 10));
 
       // Organization filtering for admins
       if (user.role === 'admin' && user.organization) {
@@ -715,7 +1299,7 @@ class AttendanceController {
             checkInTime: 1,
             checkOutTime: 1,
             status: 1,
-            isOffline: 1,
+            isOfflineEntry: 1,
             location: 1,
             confidence: 1,
             createdAt: 1,
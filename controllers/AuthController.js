@@ -9,6 +9,11 @@ const crypto = require('crypto');
 const User = require('../models/User');
 const Organization = require('../models/Organization');
 const cloudinaryService = require('../services/cloudinaryService');
+const faceIndexService = require('../services/faceIndexService');
+const faceMatchingService = require('../services/faceMatchingService');
+const enrollmentService = require('../services/enrollmentService');
+const faceTemplateService = require('../services/faceTemplateService');
+const duplicateIdentityService = require('../services/duplicateIdentityService');
 
 // Validation schemas
 const registerSchema = Joi.object({
@@ -65,6 +70,62 @@ const formatUserResponse = (user) => {
   };
 };
 
+// Utility function to apply the organization's enrollment policy to a new face sample
+const evaluateEnrollmentSample = async (user, descriptor, model) => {
+  const organization = user.organization ? await Organization.findById(user.organization) : null;
+  const policy = enrollmentService.getPolicy(organization);
+
+  if (!enrollmentService.canAttempt(user, policy)) {
+    return { policy, limitReached: true, rejections: [] };
+  }
+
+  // Every submission counts towards the attempt limit, accepted or not
+  user.faceEnrollmentAttempts += 1;
+
+  // Samples from an outdated face model can't be matched against anything
+  if (!faceTemplateService.isCurrentModel(model)) {
+    const current = faceTemplateService.getCurrentModel();
+    return {
+      policy,
+      limitReached: false,
+      rejections: [{
+        code: 'unsupported-model',
+        message: `Face model ${model.model}@${model.modelVersion} is not supported; ` +
+          `please update the app to ${current.model}@${current.modelVersion}`
+      }]
+    };
+  }
+
+  const existing = faceTemplateService.getVectors(user.faceDescriptors, model, { source: 'enrollment' });
+  const rejections = enrollmentService.validateSample(descriptor, existing, policy);
+  return { policy, limitReached: false, rejections };
+};
+
+// Utility function to count a user's enrollment samples for the current face model
+const countEnrollmentSamples = (user) => {
+  return faceTemplateService.getVectors(user.faceDescriptors, undefined, { source: 'enrollment' }).length;
+};
+
+// Utility function to format enrollment progress for responses
+const formatEnrollmentProgress = (user, policy) => {
+  return {
+    faceEnrolled: user.faceEnrolled,
+    totalSamples: countEnrollmentSamples(user),
+    requiredSamples: policy.minSamples,
+    attemptsRemaining: Math.max(0, policy.maxAttempts - user.faceEnrollmentAttempts)
+  };
+};
+
+// Utility function to format the message for an accepted sample
+const formatEnrollmentMessage = (user, policy) => {
+  const remaining = policy.minSamples - countEnrollmentSamples(user);
+  return remaining > 0
+    ? `Face sample accepted. ${remaining} more sample${remaining === 1 ? '' : 's'} needed to complete enrollment.`
+    : 'Face enrolled successfully';
+};
+
+const ENROLLMENT_LIMIT_MESSAGE = 'Maximum face enrollment attempts reached. Please ask your admin to reset your face enrollment.';
+
 class AuthController {
   // @desc    Register a new user
   // @route   POST /api/auth/register
@@ -735,7 +796,8 @@ class AuthController {
   async enrollFace(req, res) {
     try {
       const user = req.user;
-      const faceDescriptors = req.body.faceDescriptors ? JSON.parse(req.body.faceDescriptors) : null;
+      const faceDescriptors = faceMatchingService.parseDescriptor(req.body.faceDescriptors);
+      const model = faceTemplateService.resolveModel(req.body);
 
       if (!req.file) {
         return res.status(400).json({
@@ -745,12 +807,37 @@ class AuthController {
       }
 
       if (!faceDescriptors || !Array.isArray(faceDescriptors)) {
+        await cloudinaryService.deleteImage(req.file.filename).catch(() => {});
         return res.status(400).json({
           success: false,
           message: 'Face descriptors are required'
         });
       }
 
+      // Apply the organization's enrollment policy before keeping the sample
+      const { policy, limitReached, rejections } = await evaluateEnrollmentSample(user, faceDescriptors, model);
+
+      if (limitReached || rejections.length) {
+        // The image was already uploaded by multer; don't keep rejected samples
+        await cloudinaryService.deleteImage(req.file.filename).catch(() => {});
+
+        if (limitReached) {
+          return res.status(403).json({
+            success: false,
+            message: ENROLLMENT_LIMIT_MESSAGE,
+            data: formatEnrollmentProgress(user, policy)
+          });
+        }
+
+        await user.save();
+        return res.status(400).json({
+          success: false,
+          message: 'Face sample rejected',
+          errors: rejections.map(rejection => rejection.message),
+          data: { rejections, ...formatEnrollmentProgress(user, policy) }
+        });
+      }
+
       // Add face image with Cloudinary URL
       const faceImageData = {
         filename: req.file.filename,
@@ -761,21 +848,24 @@ class AuthController {
 
       // Add face descriptors and image
       user.faceImages.push(faceImageData);
-      user.faceDescriptors.push(faceDescriptors);
+      user.faceDescriptors.push(faceTemplateService.createTemplate(faceDescriptors, { model }));
 
-      // Mark as enrolled if enough samples
-      if (user.faceDescriptors.length >= 1) {
-        user.faceEnrolled = true;
-      }
+      // Mark as enrolled once the policy's minimum sample count is reached for the current model
+      user.faceEnrolled = enrollmentService.isEnrolled(countEnrollmentSamples(user), policy);
 
       await user.save();
 
+      // Keep the organization's face index in sync
+      faceIndexService.updateUser(user);
+
+      // Open a case if this face is too close to another user's
+      await duplicateIdentityService.checkEnrollment(user, faceDescriptors);
+
       res.json({
         success: true,
-        message: 'Face enrolled successfully',
+        message: formatEnrollmentMessage(user, policy),
         data: {
-          faceEnrolled: user.faceEnrolled,
-          totalSamples: user.faceDescriptors.length,
+          ...formatEnrollmentProgress(user, policy),
           imageUrl: req.file.path
         }
       });
@@ -795,6 +885,7 @@ class AuthController {
     try {
       const user = req.user;
       const { faceImage, faceDescriptors } = req.body;
+      const model = faceTemplateService.resolveModel(req.body);
 
       if (!faceImage) {
         return res.status(400).json({
@@ -810,6 +901,27 @@ class AuthController {
         });
       }
 
+      // Apply the organization's enrollment policy before uploading anything
+      const { policy, limitReached, rejections } = await evaluateEnrollmentSample(user, faceDescriptors, model);
+
+      if (limitReached) {
+        return res.status(403).json({
+          success: false,
+          message: ENROLLMENT_LIMIT_MESSAGE,
+          data: formatEnrollmentProgress(user, policy)
+        });
+      }
+
+      if (rejections.length) {
+        await user.save();
+        return res.status(400).json({
+          success: false,
+          message: 'Face sample rejected',
+          errors: rejections.map(rejection => rejection.message),
+          data: { rejections, ...formatEnrollmentProgress(user, policy) }
+        });
+      }
+
       // Upload to Cloudinary
       const uploadResult = await cloudinaryService.uploadBase64(faceImage, {
         folder: 'attendance-system/faces',
@@ -830,21 +942,24 @@ class AuthController {
 
       // Add face descriptors and image
       user.faceImages.push(faceImageData);
-      user.faceDescriptors.push(faceDescriptors);
+      user.faceDescriptors.push(faceTemplateService.createTemplate(faceDescriptors, { model }));
 
-      // Mark as enrolled if enough samples
-      if (user.faceDescriptors.length >= 1) {
-        user.faceEnrolled = true;
-      }
+      // Mark as enrolled once the policy's minimum sample count is reached for the current model
+      user.faceEnrolled = enrollmentService.isEnrolled(countEnrollmentSamples(user), policy);
 
       await user.save();
 
+      // Keep the organization's face index in sync
+      faceIndexService.updateUser(user);
+
+      // Open a case if this face is too close to another user's
+      await duplicateIdentityService.checkEnrollment(user, faceDescriptors);
+
       res.json({
         success: true,
-        message: 'Face enrolled successfully',
+        message: formatEnrollmentMessage(user, policy),
         data: {
-          faceEnrolled: user.faceEnrolled,
-          totalSamples: user.faceDescriptors.length,
+          ...formatEnrollmentProgress(user, policy),
           imageUrl: uploadResult.secure_url
         }
       });
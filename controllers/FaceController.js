@@ -0,0 +1,430 @@
+const Joi = require('joi');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const IdentityCase = require('../models/IdentityCase');
+const faceIndexService = require('../services/faceIndexService');
+const duplicateIdentityService = require('../services/duplicateIdentityService');
+const faceTemplateService = require('../services/faceTemplateService');
+const enrollmentService = require('../services/enrollmentService');
+const faceCalibrationService = require('../services/faceCalibrationService');
+
+// Validation schemas
+const resolveCaseSchema = Joi.object({
+  status: Joi.string().valid('confirmed', 'dismissed').required(),
+  notes: Joi.string().trim().max(500).optional()
+});
+
+const calibrationQuerySchema = Joi.object({
+  targetFar: Joi.number().greater(0).max(0.5).default(0.001),
+  organization: Joi.string().hex().length(24).optional()
+});
+
+const scanUserSchema = Joi.object({
+  userId: Joi.string().hex().length(24).required(),
+  crossOrganization: Joi.boolean().default(false)
+});
+
+// Fields shown when comparing the two users of a duplicate identity case
+const CASE_USER_FIELDS = 'firstName lastName email employeeId department designation organization faceImages faceEnrolled isActive isApproved createdAt';
+
+// Admins only see cases inside their own organization; cross-organization cases are super-admin only
+const caseScope = (user) => (user.role === 'admin'
+  ? { organization: user.organization, crossOrganization: false }
+  : {});
+
+class FaceController {
+  // @desc    Get face index size per organization
+  // @route   GET /api/face/index/stats
+  // @access  Private (Admin/Super Admin)
+  async getIndexStats(req, res) {
+    try {
+      let stats = faceIndexService.getStats();
+
+      // Admin can only see their organization's index
+      if (req.user.role === 'admin') {
+        stats = stats.filter(item => item.organization === req.user.organization.toString());
+      }
+
+      res.json({
+        success: true,
+        data: { stats }
+      });
+    } catch (error) {
+      console.error('Get face index stats error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch face index statistics'
+      });
+    }
+  }
+
+  // @desc    Rebuild the in-memory face index from the database
+  // @route   POST /api/face/index/rebuild
+  // @access  Private (Admin/Super Admin)
+  async rebuildIndex(req, res) {
+    try {
+      // Admins rebuild their own organization; super-admins one organization or every loaded one
+      const organization = req.user.role === 'admin'
+        ? req.user.organization
+        : req.body.organization;
+
+      let stats = await faceIndexService.rebuild(organization);
+
+      if (req.user.role === 'admin') {
+        stats = stats.filter(item => item.organization === req.user.organization.toString());
+      }
+
+      res.json({
+        success: true,
+        message: 'Face index rebuilt successfully',
+        data: { stats }
+      });
+    } catch (error) {
+      console.error('Rebuild face index error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to rebuild face index'
+      });
+    }
+  }
+
+  // @desc    List possible duplicate identity cases
+  // @route   GET /api/face/duplicates
+  // @access  Private (Admin/Super Admin)
+  async getDuplicateCases(req, res) {
+    try {
+      const { page = 1, limit = 20, status = 'open', crossOrganization } = req.query;
+
+      const query = { ...caseScope(req.user) };
+
+      if (status !== 'all') {
+        query.status = status;
+      }
+
+      if (crossOrganization !== undefined && req.user.role === 'super-admin') {
+        query.crossOrganization = crossOrganization === 'true';
+      }
+
+      const cases = await IdentityCase.find(query)
+        .populate('user', 'firstName lastName employeeId department')
+        .populate('matchedUser', 'firstName lastName employeeId department')
+        .populate('matchedOrganization', 'name')
+        .populate('resolvedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await IdentityCase.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          cases,
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total,
+            limit: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get duplicate cases error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch duplicate identity cases'
+      });
+    }
+  }
+
+  // @desc    Get a duplicate identity case with both users' face images
+  // @route   GET /api/face/duplicates/:id
+  // @access  Private (Admin/Super Admin)
+  async getDuplicateCase(req, res) {
+    try {
+      const identityCase = await IdentityCase.findOne({ _id: req.params.id, ...caseScope(req.user) })
+        .populate('user', CASE_USER_FIELDS)
+        .populate('matchedUser', CASE_USER_FIELDS)
+        .populate('organization', 'name')
+        .populate('matchedOrganization', 'name')
+        .populate('resolvedBy', 'firstName lastName');
+
+      if (!identityCase) {
+        return res.status(404).json({
+          success: false,
+          message: 'Duplicate identity case not found'
+        });
+      }
+
+      // Side-by-side view of the two accounts' enrollment images
+      const comparison = [identityCase.user, identityCase.matchedUser].map(user => user && {
+        _id: user._id,
+        fullName: user.fullName,
+        employeeId: user.employeeId,
+        department: user.department,
+        isActive: user.isActive,
+        isApproved: user.isApproved,
+        faceImages: user.faceImages.map(image => ({
+          url: image.cloudinaryUrl,
+          uploadDate: image.uploadDate
+        }))
+      });
+
+      res.json({
+        success: true,
+        data: {
+          case: identityCase,
+          comparison
+        }
+      });
+    } catch (error) {
+      console.error('Get duplicate case error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch duplicate identity case'
+      });
+    }
+  }
+
+  // @desc    Resolve a duplicate identity case
+  // @route   POST /api/face/duplicates/:id/resolve
+  // @access  Private (Admin/Super Admin)
+  async resolveDuplicateCase(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = resolveCaseSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const identityCase = await IdentityCase.findOne({ _id: req.params.id, ...caseScope(req.user) });
+
+      if (!identityCase) {
+        return res.status(404).json({
+          success: false,
+          message: 'Duplicate identity case not found'
+        });
+      }
+
+      if (identityCase.status !== 'open') {
+        return res.status(400).json({
+          success: false,
+          message: `Case has already been ${identityCase.status}`
+        });
+      }
+
+      identityCase.status = value.status;
+      identityCase.resolutionNotes = value.notes;
+      identityCase.resolvedBy = req.user._id;
+      identityCase.resolvedAt = new Date();
+      await identityCase.save();
+
+      res.json({
+        success: true,
+        message: value.status === 'confirmed'
+          ? 'Duplicate identity confirmed. Deactivate or reset the duplicate account as needed.'
+          : 'Duplicate identity case dismissed',
+        data: { case: identityCase }
+      });
+    } catch (error) {
+      console.error('Resolve duplicate case error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resolve duplicate identity case'
+      });
+    }
+  }
+
+  // @desc    Check an enrolled user against other users' faces
+  // @route   POST /api/face/duplicates/scan
+  // @access  Private (Admin/Super Admin)
+  async scanForDuplicates(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = scanUserSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      if (value.crossOrganization && req.user.role !== 'super-admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only super admins can scan across organizations'
+        });
+      }
+
+      const query = { _id: value.userId };
+      if (req.user.role === 'admin') {
+        query.organization = req.user.organization;
+      }
+
+      const user = await User.findOne(query);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!faceTemplateService.getVectors(user.faceDescriptors).length) {
+        return res.status(400).json({
+          success: false,
+          message: 'User has no face samples for the current face model'
+        });
+      }
+
+      const cases = await duplicateIdentityService.scanUser(user, {
+        crossOrganization: value.crossOrganization
+      });
+
+      res.json({
+        success: true,
+        message: cases.length
+          ? `${cases.length} possible duplicate identity case(s) opened`
+          : 'No new possible duplicates found',
+        data: { cases }
+      });
+    } catch (error) {
+      console.error('Duplicate scan error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to scan for duplicate identities'
+      });
+    }
+  }
+
+  // @desc    List users who must re-enroll because their templates come from another face model
+  // @route   GET /api/face/re-enrollment
+  // @access  Private (Admin/Super Admin)
+  async getReEnrollmentReport(req, res) {
+    try {
+      const { page = 1, limit = 50, department } = req.query;
+      const currentModel = faceTemplateService.getCurrentModel();
+
+      // Anyone with face data who doesn't have enough current-model templates
+      const query = { 'faceDescriptors.0': { $exists: true } };
+
+      if (req.user.role === 'admin') {
+        query.organization = req.user.organization;
+      }
+
+      if (department) {
+        query.department = department;
+      }
+
+      const users = await User.find(query)
+        .select('firstName lastName employeeId department organization faceEnrolled faceDescriptors')
+        .sort({ department: 1, employeeId: 1 })
+        .lean();
+
+      // Enrollment policy (minimum samples) per organization
+      const organizationIds = [...new Set(users.map(user => user.organization && user.organization.toString()).filter(Boolean))];
+      const organizations = await Organization.find({ _id: { $in: organizationIds } }).select('name settings.faceEnrollment');
+      const policies = new Map(organizations.map(org => [org._id.toString(), enrollmentService.getPolicy(org)]));
+      const defaultPolicy = enrollmentService.getPolicy(null);
+
+      const affected = users
+        .map(user => {
+          const policy = (user.organization && policies.get(user.organization.toString())) || defaultPolicy;
+          const compatibleSamples = faceTemplateService.getVectors(user.faceDescriptors, currentModel, { source: 'enrollment' }).length;
+
+          return {
+            _id: user._id,
+            fullName: `${user.firstName} ${user.lastName}`,
+            employeeId: user.employeeId,
+            department: user.department,
+            organization: user.organization,
+            faceEnrolled: user.faceEnrolled,
+            compatibleSamples,
+            requiredSamples: policy.minSamples,
+            templateModels: faceTemplateService.summarizeModels(user.faceDescriptors)
+          };
+        })
+        .filter(user => user.compatibleSamples < user.requiredSamples);
+
+      const total = affected.length;
+      const start = (page - 1) * limit;
+
+      res.json({
+        success: true,
+        data: {
+          currentModel,
+          users: affected.slice(start, start + limit * 1),
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total,
+            limit: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get re-enrollment report error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch re-enrollment report'
+      });
+    }
+  }
+
+  // @desc    Genuine/impostor distance distributions and a suggested threshold for a target false-accept rate
+  // @route   GET /api/face/calibration
+  // @access  Private (Admin/Super Admin)
+  async getCalibrationReport(req, res) {
+    try {
+      // Validate query parameters
+      const { error, value } = calibrationQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      // Admins calibrate their own organization; super-admins must name one
+      const organizationId = req.user.role === 'admin' ? req.user.organization : value.organization;
+      if (!organizationId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Organization is required'
+        });
+      }
+
+      const organization = await Organization.findById(organizationId);
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+
+      const report = await faceCalibrationService.calibrate(organization, { targetFar: value.targetFar });
+
+      res.json({
+        success: true,
+        data: {
+          organization: { _id: organization._id, name: organization.name },
+          report
+        }
+      });
+    } catch (error) {
+      console.error('Face calibration error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to compute face calibration report'
+      });
+    }
+  }
+}
+
+module.exports = new FaceController();
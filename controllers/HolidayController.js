@@ -0,0 +1,769 @@
+const Joi = require('joi');
+const multer = require('multer');
+const Holiday = require('../models/Holiday');
+const HolidayCalendar = require('../models/HolidayCalendar');
+const Site = require('../models/Site');
+const Organization = require('../models/Organization');
+const holidayService = require('../services/holidayService');
+const { dateKeyToDate } = require('../utils/time');
+const { dateKeySchema } = require('../utils/validation');
+
+const HOLIDAY_TYPES = ['public', 'optional', 'restricted'];
+
+// Validation schemas
+const createCalendarSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().trim().max(500).optional(),
+  site: Joi.string().hex().length(24).optional(),
+  organization: Joi.string().hex().length(24).optional()
+});
+
+const updateCalendarSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  description: Joi.string().trim().max(500).allow('').optional(),
+  site: Joi.string().hex().length(24).allow(null).optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+const createHolidaySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).required(),
+  description: Joi.string().trim().max(1000).optional(),
+  date: dateKeySchema.required(),
+  endDate: dateKeySchema.optional(),
+  type: Joi.string().valid(...HOLIDAY_TYPES).optional()
+});
+
+const updateHolidaySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).optional(),
+  description: Joi.string().trim().max(1000).allow('').optional(),
+  date: dateKeySchema.optional(),
+  endDate: dateKeySchema.optional(),
+  type: Joi.string().valid(...HOLIDAY_TYPES).optional()
+}).min(1);
+
+const importSchema = Joi.object({
+  type: Joi.string().valid(...HOLIDAY_TYPES).default('public')
+});
+
+const yearSchema = Joi.object({
+  year: Joi.number().integer().min(2000).max(2100).optional()
+}).unknown(true);
+
+// ICS files are read from memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024 // 1MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.ics$/i.test(file.originalname) || file.mimetype === 'text/calendar') {
+      return cb(null, true);
+    }
+    cb(new Error('Only .ics calendar files are allowed'));
+  }
+});
+
+// Utility function to format Joi errors
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map(detail => detail.message)
+});
+
+// Admins and HR work within their own organization; super-admins name one
+const resolveOrganizationId = (req, requested) => (
+  req.user.role === 'super-admin' ? requested : req.user.organization
+);
+
+const canManage = (req, document) => (
+  req.user.role === 'super-admin' ||
+  (['admin', 'hr'].includes(req.user.role) && req.user.organization && req.user.organization.equals(document.organization))
+);
+
+const canView = (req, document) => (
+  req.user.role === 'super-admin' || (req.user.organization && req.user.organization.equals(document.organization))
+);
+
+// Site calendars must point at an active site of the same organization
+const checkSite = async (siteId, organization) => (
+  !siteId || !!await Site.exists({ _id: siteId, organization, isActive: true })
+);
+
+class HolidayController {
+  // @desc    Get holiday calendars
+  // @route   GET /api/holidays/calendars
+  // @access  Private
+  async getCalendars(req, res) {
+    try {
+      const organization = resolveOrganizationId(req, req.query.organization);
+      if (!organization) {
+        return res.status(400).json({
+          success: false,
+          message: 'Organization is required'
+        });
+      }
+
+      const query = { organization };
+      const isManager = ['admin', 'hr', 'super-admin'].includes(req.user.role);
+      if (!isManager || req.query.includeInactive !== 'true') {
+        query.isActive = true;
+      }
+
+      const calendars = await HolidayCalendar.find(query)
+        .populate('site', 'name')
+        .sort({ name: 1 });
+
+      res.json({
+        success: true,
+        data: { calendars }
+      });
+    } catch (error) {
+      console.error('Get holiday calendars error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch holiday calendars'
+      });
+    }
+  }
+
+  // @desc    Create a holiday calendar
+  // @route   POST /api/holidays/calendars
+  // @access  Private (Admin/HR)
+  async createCalendar(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = createCalendarSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const organization = resolveOrganizationId(req, value.organization);
+      if (!organization) {
+        return res.status(400).json({
+          success: false,
+          message: 'Organization is required'
+        });
+      }
+
+      if (!await checkSite(value.site, organization)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Site not found in this organization'
+        });
+      }
+
+      const existingCalendar = await HolidayCalendar.findOne({ organization, name: value.name });
+      if (existingCalendar) {
+        return res.status(400).json({
+          success: false,
+          message: 'A calendar with this name already exists'
+        });
+      }
+
+      const calendar = new HolidayCalendar({
+        ...value,
+        organization,
+        createdBy: req.user._id
+      });
+      await calendar.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Holiday calendar created successfully',
+        data: { calendar }
+      });
+    } catch (error) {
+      console.error('Create holiday calendar error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create holiday calendar'
+      });
+    }
+  }
+
+  // @desc    Update a holiday calendar
+  // @route   PUT /api/holidays/calendars/:id
+  // @access  Private (Admin/HR)
+  async updateCalendar(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = updateCalendarSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const calendar = await HolidayCalendar.findById(req.params.id);
+      if (!calendar) {
+        return res.status(404).json({
+          success: false,
+          message: 'Holiday calendar not found'
+        });
+      }
+
+      if (!canManage(req, calendar)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage calendars in your organization'
+        });
+      }
+
+      if (!await checkSite(value.site, calendar.organization)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Site not found in this organization'
+        });
+      }
+
+      if (value.name && value.name !== calendar.name &&
+          await HolidayCalendar.exists({ organization: calendar.organization, name: value.name })) {
+        return res.status(400).json({
+          success: false,
+          message: 'A calendar with this name already exists'
+        });
+      }
+
+      // A null site makes the calendar organization-wide
+      if (value.site === null) {
+        calendar.site = undefined;
+        delete value.site;
+      }
+      calendar.set(value);
+      await calendar.save();
+
+      res.json({
+        success: true,
+        message: 'Holiday calendar updated successfully',
+        data: { calendar }
+      });
+    } catch (error) {
+      console.error('Update holiday calendar error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update holiday calendar'
+      });
+    }
+  }
+
+  // @desc    Deactivate a holiday calendar
+  // @route   DELETE /api/holidays/calendars/:id
+  // @access  Private (Admin/HR)
+  async deleteCalendar(req, res) {
+    try {
+      const calendar = await HolidayCalendar.findById(req.params.id);
+      if (!calendar) {
+        return res.status(404).json({
+          success: false,
+          message: 'Holiday calendar not found'
+        });
+      }
+
+      if (!canManage(req, calendar)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage calendars in your organization'
+        });
+      }
+
+      // Inactive calendars no longer give anyone days off, and their feed stops working
+      calendar.isActive = false;
+      await calendar.save();
+
+      res.json({
+        success: true,
+        message: 'Holiday calendar deactivated successfully'
+      });
+    } catch (error) {
+      console.error('Delete holiday calendar error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete holiday calendar'
+      });
+    }
+  }
+
+  // @desc    Get the holidays that apply to the current user
+  // @route   GET /api/holidays/my
+  // @access  Private
+  async getMyHolidays(req, res) {
+    try {
+      const { error, value } = yearSchema.validate(req.query);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      if (!req.user.organization) {
+        return res.json({
+          success: true,
+          data: { holidays: [] }
+        });
+      }
+
+      const year = value.year || new Date().getFullYear();
+      const calendars = await holidayService.getCalendarsFor(req.user);
+      const holidays = await holidayService.findInRange(
+        calendars.map(calendar => calendar._id),
+        `${year}-01-01`,
+        `${year}-12-31`
+      ).populate('calendar', 'name site');
+
+      res.json({
+        success: true,
+        data: {
+          year,
+          holidays: holidays.map(holiday => ({
+            _id: holiday._id,
+            name: holiday.name,
+            description: holiday.description,
+            date: holiday.date,
+            endDate: holiday.endDate,
+            type: holiday.type,
+            calendar: holiday.calendar,
+            optedIn: holiday.optedIn.some(id => id.equals(req.user._id))
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Get my holidays error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch holidays'
+      });
+    }
+  }
+
+  // @desc    Get the holidays of a calendar
+  // @route   GET /api/holidays/calendars/:id/holidays
+  // @access  Private
+  async getHolidays(req, res) {
+    try {
+      const { error, value } = yearSchema.validate(req.query);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const calendar = await HolidayCalendar.findById(req.params.id);
+      if (!calendar || !canView(req, calendar)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Holiday calendar not found'
+        });
+      }
+
+      const query = { calendar: calendar._id };
+      if (value.year) {
+        query.date = { $lte: dateKeyToDate(`${value.year}-12-31`) };
+        query.endDate = { $gte: dateKeyToDate(`${value.year}-01-01`) };
+      }
+
+      // Who opted in is only shown to admins and HR
+      const projection = canManage(req, calendar) ? {} : { optedIn: 0 };
+      const holidays = await Holiday.find(query, projection).sort({ date: 1 });
+
+      res.json({
+        success: true,
+        data: { calendar, holidays }
+      });
+    } catch (error) {
+      console.error('Get holidays error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch holidays'
+      });
+    }
+  }
+
+  // @desc    Add a holiday to a calendar
+  // @route   POST /api/holidays/calendars/:id/holidays
+  // @access  Private (Admin/HR)
+  async createHoliday(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = createHolidaySchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const calendar = await HolidayCalendar.findById(req.params.id);
+      if (!calendar) {
+        return res.status(404).json({
+          success: false,
+          message: 'Holiday calendar not found'
+        });
+      }
+
+      if (!canManage(req, calendar)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage calendars in your organization'
+        });
+      }
+
+      const holiday = new Holiday({
+        ...value,
+        date: dateKeyToDate(value.date),
+        endDate: value.endDate ? dateKeyToDate(value.endDate) : undefined,
+        organization: calendar.organization,
+        calendar: calendar._id,
+        createdBy: req.user._id
+      });
+      await holiday.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Holiday added successfully',
+        data: { holiday }
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      console.error('Create holiday error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add holiday'
+      });
+    }
+  }
+
+  // @desc    Update a holiday
+  // @route   PUT /api/holidays/:id
+  // @access  Private (Admin/HR)
+  async updateHoliday(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = updateHolidaySchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const holiday = await Holiday.findById(req.params.id);
+      if (!holiday) {
+        return res.status(404).json({
+          success: false,
+          message: 'Holiday not found'
+        });
+      }
+
+      if (!canManage(req, holiday)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage holidays in your organization'
+        });
+      }
+
+      holiday.set({
+        ...value,
+        ...(value.date && { date: dateKeyToDate(value.date) }),
+        ...(value.endDate && { endDate: dateKeyToDate(value.endDate) })
+      });
+
+      // Moving a single-day holiday moves its end too
+      if (value.date && !value.endDate && holiday.endDate < holiday.date) {
+        holiday.endDate = holiday.date;
+      }
+
+      // Opt-ins only mean something for restricted holidays
+      if (holiday.type !== 'restricted') {
+        holiday.optedIn = [];
+      }
+
+      await holiday.save();
+
+      res.json({
+        success: true,
+        message: 'Holiday updated successfully',
+        data: { holiday }
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      console.error('Update holiday error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update holiday'
+      });
+    }
+  }
+
+  // @desc    Delete a holiday
+  // @route   DELETE /api/holidays/:id
+  // @access  Private (Admin/HR)
+  async deleteHoliday(req, res) {
+    try {
+      const holiday = await Holiday.findById(req.params.id);
+      if (!holiday) {
+        return res.status(404).json({
+          success: false,
+          message: 'Holiday not found'
+        });
+      }
+
+      if (!canManage(req, holiday)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage holidays in your organization'
+        });
+      }
+
+      await Holiday.deleteOne({ _id: holiday._id });
+
+      res.json({
+        success: true,
+        message: 'Holiday deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete holiday error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete holiday'
+      });
+    }
+  }
+
+  // @desc    Take a restricted holiday off
+  // @route   POST /api/holidays/:id/opt-in
+  // @access  Private
+  async optIn(req, res) {
+    try {
+      const holiday = await Holiday.findById(req.params.id);
+      if (!holiday || !canView(req, holiday)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Holiday not found'
+        });
+      }
+
+      const organization = await Organization.findById(holiday.organization);
+      await holidayService.optIn(holiday, req.user, organization);
+
+      res.json({
+        success: true,
+        message: `You will be off on ${holiday.name}`,
+        data: { holiday: { _id: holiday._id, name: holiday.name, date: holiday.date, type: holiday.type, optedIn: true } }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Holiday opt-in error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to opt into holiday'
+      });
+    }
+  }
+
+  // @desc    Withdraw from a restricted holiday
+  // @route   POST /api/holidays/:id/opt-out
+  // @access  Private
+  async optOut(req, res) {
+    try {
+      const holiday = await Holiday.findById(req.params.id);
+      if (!holiday || !canView(req, holiday)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Holiday not found'
+        });
+      }
+
+      const organization = await Organization.findById(holiday.organization);
+      await holidayService.optOut(holiday, req.user, organization);
+
+      res.json({
+        success: true,
+        message: `You are no longer taking ${holiday.name} off`,
+        data: { holiday: { _id: holiday._id, name: holiday.name, date: holiday.date, type: holiday.type, optedIn: false } }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Holiday opt-out error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to opt out of holiday'
+      });
+    }
+  }
+
+  // @desc    Import holidays into a calendar from an .ics file
+  // @route   POST /api/holidays/calendars/:id/import
+  // @access  Private (Admin/HR)
+  async importCalendar(req, res) {
+    try {
+      const { error, value } = importSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'An .ics file is required'
+        });
+      }
+
+      const calendar = await HolidayCalendar.findById(req.params.id);
+      if (!calendar) {
+        return res.status(404).json({
+          success: false,
+          message: 'Holiday calendar not found'
+        });
+      }
+
+      if (!canManage(req, calendar)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage calendars in your organization'
+        });
+      }
+
+      const organization = await Organization.findById(calendar.organization);
+      const result = await holidayService.importCalendar(calendar, req.file.buffer.toString('utf8'), organization, {
+        defaultType: value.type,
+        createdBy: req.user._id
+      });
+
+      res.json({
+        success: true,
+        message: `Imported ${result.created} new and ${result.updated} updated holiday(s)`,
+        data: result
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Import holiday calendar error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import holiday calendar'
+      });
+    }
+  }
+
+  // @desc    Download a calendar's holidays as an .ics file
+  // @route   GET /api/holidays/calendars/:id/export
+  // @access  Private
+  async exportCalendar(req, res) {
+    try {
+      const { error, value } = yearSchema.validate(req.query);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const calendar = await HolidayCalendar.findById(req.params.id);
+      if (!calendar || !canView(req, calendar)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Holiday calendar not found'
+        });
+      }
+
+      const ics = await holidayService.exportCalendar(calendar, { year: value.year });
+      const filename = `${calendar.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}${value.year ? `-${value.year}` : ''}.ics`;
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(ics);
+    } catch (error) {
+      console.error('Export holiday calendar error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export holiday calendar'
+      });
+    }
+  }
+
+  // @desc    Issue a new secret feed URL for a calendar (the previous one stops working)
+  // @route   POST /api/holidays/calendars/:id/feed
+  // @access  Private (Admin/HR)
+  async issueFeed(req, res) {
+    try {
+      const calendar = await HolidayCalendar.findById(req.params.id);
+      if (!calendar) {
+        return res.status(404).json({
+          success: false,
+          message: 'Holiday calendar not found'
+        });
+      }
+
+      if (!canManage(req, calendar)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage calendars in your organization'
+        });
+      }
+
+      const token = calendar.generateFeedToken();
+      await calendar.save();
+
+      res.json({
+        success: true,
+        message: 'Calendar feed URL issued. It is shown only once; anyone with it can read the holidays.',
+        data: {
+          feedUrl: `${req.protocol}://${req.get('host')}/api/holidays/feed/${token}.ics`
+        }
+      });
+    } catch (error) {
+      console.error('Issue holiday feed error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to issue calendar feed'
+      });
+    }
+  }
+
+  // @desc    ICS feed of a calendar for calendar apps to subscribe to
+  // @route   GET /api/holidays/feed/:token.ics
+  // @access  Public (secret feed token)
+  async getFeed(req, res) {
+    try {
+      const calendar = await HolidayCalendar.findByFeedToken(req.params.token);
+      if (!calendar) {
+        return res.status(404).json({
+          success: false,
+          message: 'Calendar feed not found'
+        });
+      }
+
+      const ics = await holidayService.exportCalendar(calendar);
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.send(ics);
+    } catch (error) {
+      console.error('Get holiday feed error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch calendar feed'
+      });
+    }
+  }
+}
+
+module.exports = {
+  HolidayController: new HolidayController(),
+  upload
+};
@@ -0,0 +1,398 @@
+const Joi = require('joi');
+const Device = require('../models/Device');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Site = require('../models/Site');
+const cloudinaryService = require('../services/cloudinaryService');
+const faceMatchingService = require('../services/faceMatchingService');
+const faceIndexService = require('../services/faceIndexService');
+const faceTemplateService = require('../services/faceTemplateService');
+const attendanceService = require('../services/attendanceService');
+const geofenceService = require('../services/geofenceService');
+const offlineSyncService = require('../services/offlineSyncService');
+
+// Response wording for each punch type
+const ACTION_LABELS = {
+  'check-in': 'checked in',
+  'check-out': 'checked out',
+  'break-start': 'started a break',
+  'break-end': 'ended a break'
+};
+
+// Validation schemas
+const registerDeviceSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  location: Joi.string().trim().max(200).optional(),
+  site: Joi.string().hex().length(24).optional(),
+  organization: Joi.string().hex().length(24).optional()
+});
+
+const identifySchema = Joi.object({
+  faceDescriptor: Joi.array().items(Joi.number()).min(1).required(),
+  faceModel: Joi.string().trim().max(100).optional(),
+  faceModelVersion: Joi.string().trim().max(50).optional(),
+  type: Joi.string().valid('check-in', 'check-out', 'break-start', 'break-end').optional(),
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).optional(),
+    longitude: Joi.number().min(-180).max(180).optional(),
+    address: Joi.string().max(500).optional()
+  }).optional()
+});
+
+// Punches captured while the kiosk was offline, each with an ID generated on the device
+const syncSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    clientId: Joi.string().trim().min(1).max(100).required(),
+    timestamp: Joi.date().required(),
+    faceDescriptor: Joi.array().items(Joi.number()).min(1).required(),
+    faceModel: Joi.string().trim().max(100).optional(),
+    faceModelVersion: Joi.string().trim().max(50).optional(),
+    type: Joi.string().valid('check-in', 'check-out', 'break-start', 'break-end').optional(),
+    location: Joi.object({
+      latitude: Joi.number().min(-90).max(90).optional(),
+      longitude: Joi.number().min(-180).max(180).optional(),
+      address: Joi.string().max(500).optional()
+    }).optional()
+  })).min(1).max(500).required()
+});
+
+// Kiosk images are kept in memory so liveness checks can run before upload
+const upload = cloudinaryService.getAttendanceMemoryUpload();
+
+class KioskController {
+  // @desc    Register a kiosk device and issue its credential
+  // @route   POST /api/kiosk/devices
+  // @access  Private (Admin/Super Admin)
+  async registerDevice(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = registerDeviceSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      // Admins always register devices for their own organization
+      const organization = req.user.role === 'super-admin' ? value.organization : req.user.organization;
+      if (!organization) {
+        return res.status(400).json({
+          success: false,
+          message: 'Organization is required'
+        });
+      }
+
+      if (value.site && !await Site.exists({ _id: value.site, organization })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Site not found in this organization'
+        });
+      }
+
+      const device = new Device({
+        name: value.name,
+        location: value.location,
+        site: value.site,
+        organization,
+        createdBy: req.user._id
+      });
+
+      const apiKey = device.generateApiKey();
+      await device.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Device registered successfully. Store the device key now; it will not be shown again.',
+        data: {
+          device: {
+            _id: device._id,
+            name: device.name,
+            location: device.location,
+            site: device.site,
+            organization: device.organization,
+            apiKeyPrefix: device.apiKeyPrefix
+          },
+          apiKey
+        }
+      });
+    } catch (error) {
+      console.error('Register device error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to register device'
+      });
+    }
+  }
+
+  // @desc    Get kiosk devices
+  // @route   GET /api/kiosk/devices
+  // @access  Private (Admin/Super Admin)
+  async getDevices(req, res) {
+    try {
+      let query = {};
+
+      // Admin can only see devices in their organization
+      if (req.user.role === 'admin') {
+        query.organization = req.user.organization;
+      }
+
+      const devices = await Device.find(query).sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: { devices }
+      });
+    } catch (error) {
+      console.error('Get devices error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch devices'
+      });
+    }
+  }
+
+  // @desc    Revoke a kiosk device credential
+  // @route   DELETE /api/kiosk/devices/:id
+  // @access  Private (Admin/Super Admin)
+  async revokeDevice(req, res) {
+    try {
+      const device = await Device.findById(req.params.id);
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found'
+        });
+      }
+
+      // Check if admin can manage this device (same organization)
+      if (req.user.role === 'admin' &&
+          !req.user.organization.equals(device.organization)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage devices in your organization'
+        });
+      }
+
+      await device.updateOne({ isActive: false });
+
+      res.json({
+        success: true,
+        message: 'Device revoked successfully'
+      });
+    } catch (error) {
+      console.error('Revoke device error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke device'
+      });
+    }
+  }
+
+  // @desc    Identify an employee by face (1:N) and mark their attendance
+  // @route   POST /api/kiosk/identify
+  // @access  Device
+  async identify(req, res) {
+    try {
+      // Validate request body (the descriptor arrives as a JSON string in multipart forms)
+      const { error, value } = identifySchema.validate({
+        ...req.body,
+        faceDescriptor: faceMatchingService.parseDescriptor(req.body.faceDescriptor)
+      });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const device = req.device;
+
+      // The index only holds templates from the current face model
+      const model = faceTemplateService.resolveModel(value);
+      if (!faceTemplateService.isCurrentModel(model)) {
+        return res.status(400).json({
+          success: false,
+          message: `Face model ${model.model}@${model.modelVersion} is not supported by this server. Please update the kiosk app.`
+        });
+      }
+
+      const organization = await Organization.findById(device.organization);
+      const matching = faceMatchingService.getSettings(organization);
+
+      // Search every enrolled, approved employee of the device's organization
+      const result = await faceIndexService.search(device.organization, value.faceDescriptor, matching);
+      const candidates = result.candidates.map(candidate => ({
+        user: candidate.user,
+        distance: candidate.distance,
+        confidence: candidate.confidence
+      }));
+
+      if (!result.matched) {
+        return res.status(404).json({
+          success: false,
+          message: 'No matching employee found. Please try again or use your own login.',
+          data: { candidates }
+        });
+      }
+
+      if (result.ambiguous) {
+        return res.status(409).json({
+          success: false,
+          message: 'Face match is ambiguous. Please try again or use your own login.',
+          data: { candidates }
+        });
+      }
+
+      if (result.borderline && matching.borderlineAction === 'reject') {
+        return res.status(409).json({
+          success: false,
+          message: 'Face match is too uncertain. Please try again in better lighting or use your own login.',
+          data: { candidates }
+        });
+      }
+
+      const user = await User.findById(result.match.userId);
+      if (!user || !user.isActive || !user.isApproved) {
+        return res.status(403).json({
+          success: false,
+          message: 'Account is not active. Please contact your admin.'
+        });
+      }
+
+      // Evaluate the punch against the employee's scheduled shift
+      const workday = await attendanceService.resolveWorkday(user, organization);
+      const type = value.type || await attendanceService.getNextType(user._id, workday);
+
+      // Refuse an impossible punch (e.g. a second check-in) before the photo is uploaded
+      await attendanceService.validateTransition(user._id, type, workday);
+
+      // Check-ins are validated against the kiosk's site, or the location it reports
+      const geofence = type === 'check-in' ? await geofenceService.checkDevice(user, device, value.location) : null;
+      if (geofence && geofence.action === 'reject') {
+        return res.status(403).json({
+          success: false,
+          message: geofenceService.getRejectionMessage(geofence),
+          data: { geofence: geofenceService.toRecord(geofence) }
+        });
+      }
+
+      // Run passive liveness checks on the photo (may block the punch per organization policy)
+      const { liveness, faceImage } = await attendanceService.preparePhoto(req.file, organization);
+
+      const attendance = await attendanceService.recordAttendance({
+        user,
+        organization,
+        workday,
+        type,
+        location: value.location,
+        geofence,
+        deviceId: device._id.toString(),
+        faceMatch: {
+          matched: true,
+          distance: result.match.distance,
+          confidence: result.match.confidence,
+          threshold: result.threshold,
+          borderline: result.borderline
+        },
+        borderlineAction: matching.borderlineAction,
+        liveness,
+        faceImage
+      });
+
+      // Optionally keep a very confident probe as an extra template
+      await attendanceService.adaptTemplates({
+        user,
+        probe: value.faceDescriptor,
+        model,
+        faceMatch: { matched: true, distance: result.match.distance },
+        attendance,
+        organization
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${user.fullName} ${ACTION_LABELS[type]} successfully!`,
+        data: {
+          attendance,
+          user: result.match.user,
+          candidates
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Kiosk identify error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to identify employee'
+      });
+    }
+  }
+
+  // @desc    Sync punches recorded while the kiosk was offline
+  // @route   POST /api/kiosk/sync
+  // @access  Device
+  async sync(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = syncSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const organization = await Organization.findById(req.device.organization);
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+
+      const results = await offlineSyncService.syncBatch({
+        device: req.device,
+        organization,
+        items: value.items
+      });
+
+      const summary = { accepted: 0, duplicate: 0, conflict: 0 };
+      results.forEach(result => { summary[result.status] += 1; });
+
+      res.json({
+        success: true,
+        message: `Synced ${summary.accepted} of ${results.length} offline punches`,
+        data: { results, summary }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Kiosk sync error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to sync offline punches'
+      });
+    }
+  }
+}
+
+module.exports = {
+  KioskController: new KioskController(),
+  upload
+};
@@ -0,0 +1,598 @@
+const Joi = require('joi');
+const LeaveType = require('../models/LeaveType');
+const LeaveRequest = require('../models/LeaveRequest');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const leaveService = require('../services/leaveService');
+const { dateKeySchema } = require('../utils/validation');
+
+// Validation schemas
+const createLeaveTypeSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  code: Joi.string().trim().uppercase().min(1).max(10).required(),
+  description: Joi.string().trim().max(500).optional(),
+  isPaid: Joi.boolean().optional(),
+  annualAllowance: Joi.number().min(0).max(366).multiple(0.5).optional(),
+  accrual: Joi.string().valid('upfront', 'monthly').optional(),
+  carryForwardLimit: Joi.number().min(0).max(366).multiple(0.5).optional(),
+  allowHalfDay: Joi.boolean().optional(),
+  allowNegativeBalance: Joi.boolean().optional(),
+  organization: Joi.string().hex().length(24).optional()
+});
+
+const updateLeaveTypeSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  code: Joi.string().trim().uppercase().min(1).max(10).optional(),
+  description: Joi.string().trim().max(500).allow('').optional(),
+  isPaid: Joi.boolean().optional(),
+  annualAllowance: Joi.number().min(0).max(366).multiple(0.5).optional(),
+  accrual: Joi.string().valid('upfront', 'monthly').optional(),
+  carryForwardLimit: Joi.number().min(0).max(366).multiple(0.5).optional(),
+  allowHalfDay: Joi.boolean().optional(),
+  allowNegativeBalance: Joi.boolean().optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+const createRequestSchema = Joi.object({
+  leaveType: Joi.string().hex().length(24).required(),
+  startDate: dateKeySchema.required(),
+  endDate: dateKeySchema.optional(),
+  halfDay: Joi.boolean().optional(),
+  reason: Joi.string().trim().max(500).optional()
+});
+
+const reviewRequestSchema = Joi.object({
+  status: Joi.string().valid('approved', 'rejected').required(),
+  notes: Joi.string().trim().max(500).allow('').optional()
+});
+
+const adjustBalanceSchema = Joi.object({
+  leaveType: Joi.string().hex().length(24).required(),
+  year: Joi.number().integer().min(2000).max(2100).required(),
+  adjustment: Joi.number().min(-366).max(366).multiple(0.5).required(),
+  notes: Joi.string().trim().max(500).allow('').optional()
+});
+
+const yearSchema = Joi.number().integer().min(2000).max(2100);
+
+// Utility function to format Joi errors
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map(detail => detail.message)
+});
+
+// Admins and HR work within their own organization; super-admins name one
+const resolveOrganizationId = (req, requested) => (
+  req.user.role === 'super-admin' ? requested : req.user.organization
+);
+
+const canManage = (req, document) => (
+  req.user.role === 'super-admin' ||
+  (['admin', 'hr'].includes(req.user.role) && req.user.organization && req.user.organization.equals(document.organization))
+);
+
+// The requested year, or the current year in the organization's time zone
+const resolveYear = (req, organization) => {
+  const { error, value } = yearSchema.validate(req.query.year);
+  if (req.query.year !== undefined && !error) {
+    return value;
+  }
+  return Number(leaveService.getTodayKey(organization).slice(0, 4));
+};
+
+class LeaveController {
+  // @desc    Get leave types
+  // @route   GET /api/leaves/types
+  // @access  Private
+  async getLeaveTypes(req, res) {
+    try {
+      const organization = resolveOrganizationId(req, req.query.organization);
+      if (!organization) {
+        return res.status(400).json({
+          success: false,
+          message: 'Organization is required'
+        });
+      }
+
+      const query = { organization };
+      const isManager = ['admin', 'hr', 'super-admin'].includes(req.user.role);
+      if (!isManager || req.query.includeInactive !== 'true') {
+        query.isActive = true;
+      }
+
+      const leaveTypes = await LeaveType.find(query).sort({ name: 1 });
+
+      res.json({
+        success: true,
+        data: { leaveTypes }
+      });
+    } catch (error) {
+      console.error('Get leave types error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch leave types'
+      });
+    }
+  }
+
+  // @desc    Create a leave type
+  // @route   POST /api/leaves/types
+  // @access  Private (Admin/HR)
+  async createLeaveType(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = createLeaveTypeSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const organization = resolveOrganizationId(req, value.organization);
+      if (!organization) {
+        return res.status(400).json({
+          success: false,
+          message: 'Organization is required'
+        });
+      }
+
+      const existingType = await LeaveType.findOne({ organization, code: value.code });
+      if (existingType) {
+        return res.status(400).json({
+          success: false,
+          message: 'A leave type with this code already exists'
+        });
+      }
+
+      const leaveType = new LeaveType({
+        ...value,
+        organization,
+        createdBy: req.user._id
+      });
+      await leaveType.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Leave type created successfully',
+        data: { leaveType }
+      });
+    } catch (error) {
+      console.error('Create leave type error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create leave type'
+      });
+    }
+  }
+
+  // @desc    Update a leave type
+  // @route   PUT /api/leaves/types/:id
+  // @access  Private (Admin/HR)
+  async updateLeaveType(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = updateLeaveTypeSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const leaveType = await LeaveType.findById(req.params.id);
+      if (!leaveType) {
+        return res.status(404).json({
+          success: false,
+          message: 'Leave type not found'
+        });
+      }
+
+      if (!canManage(req, leaveType)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage leave types in your organization'
+        });
+      }
+
+      if (value.code && value.code !== leaveType.code) {
+        const existingType = await LeaveType.findOne({ organization: leaveType.organization, code: value.code });
+        if (existingType) {
+          return res.status(400).json({
+            success: false,
+            message: 'A leave type with this code already exists'
+          });
+        }
+      }
+
+      // Existing balances keep the allowance they were opened with (admins adjust them if needed)
+      leaveType.set(value);
+      await leaveType.save();
+
+      res.json({
+        success: true,
+        message: 'Leave type updated successfully',
+        data: { leaveType }
+      });
+    } catch (error) {
+      console.error('Update leave type error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update leave type'
+      });
+    }
+  }
+
+  // @desc    Get the current user's leave balances
+  // @route   GET /api/leaves/balances/my
+  // @access  Private
+  async getMyBalances(req, res) {
+    try {
+      if (!req.user.organization) {
+        return res.status(400).json({
+          success: false,
+          message: 'You must belong to an organization to have leave balances'
+        });
+      }
+
+      const organization = await Organization.findById(req.user.organization);
+      const year = resolveYear(req, organization);
+      const balances = await leaveService.getBalances(req.user, organization, year);
+
+      res.json({
+        success: true,
+        data: { year, balances }
+      });
+    } catch (error) {
+      console.error('Get my leave balances error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch leave balances'
+      });
+    }
+  }
+
+  // @desc    Get a user's leave balances
+  // @route   GET /api/leaves/balances/users/:userId
+  // @access  Private (Admin/HR)
+  async getUserBalances(req, res) {
+    try {
+      const user = await User.findById(req.params.userId).select('firstName lastName employeeId organization');
+      if (!user || !user.organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!canManage(req, user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view users in your organization'
+        });
+      }
+
+      const organization = await Organization.findById(user.organization);
+      const year = resolveYear(req, organization);
+      const balances = await leaveService.getBalances(user, organization, year);
+
+      res.json({
+        success: true,
+        data: { user, year, balances }
+      });
+    } catch (error) {
+      console.error('Get user leave balances error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch leave balances'
+      });
+    }
+  }
+
+  // @desc    Set a manual adjustment on a user's leave balance
+  // @route   PUT /api/leaves/balances/users/:userId
+  // @access  Private (Admin/HR)
+  async adjustBalance(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = adjustBalanceSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const user = await User.findById(req.params.userId).select('organization');
+      if (!user || !user.organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!canManage(req, user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage users in your organization'
+        });
+      }
+
+      const leaveType = await LeaveType.findOne({ _id: value.leaveType, organization: user.organization });
+      if (!leaveType || !leaveType.tracksBalance) {
+        return res.status(404).json({
+          success: false,
+          message: 'Leave type not found or has no balance'
+        });
+      }
+
+      const balance = await leaveService.getBalance(user._id, user.organization, leaveType, value.year);
+      balance.adjustment = value.adjustment;
+      balance.adjustmentNotes = value.notes;
+      await balance.save();
+
+      const organization = await Organization.findById(user.organization);
+
+      res.json({
+        success: true,
+        message: 'Leave balance adjusted successfully',
+        data: { balance: leaveService.summarize(balance, leaveType, leaveService.getTodayKey(organization)) }
+      });
+    } catch (error) {
+      console.error('Adjust leave balance error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to adjust leave balance'
+      });
+    }
+  }
+
+  // @desc    Request leave
+  // @route   POST /api/leaves/requests
+  // @access  Private
+  async createRequest(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = createRequestSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      if (!req.user.organization) {
+        return res.status(400).json({
+          success: false,
+          message: 'You must belong to an organization to request leave'
+        });
+      }
+
+      const organization = await Organization.findById(req.user.organization);
+      const request = await leaveService.createRequest(req.user, organization, value);
+
+      res.status(201).json({
+        success: true,
+        message: 'Leave request submitted for approval',
+        data: { request }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Create leave request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit leave request'
+      });
+    }
+  }
+
+  // @desc    Get the current user's leave requests
+  // @route   GET /api/leaves/requests/my
+  // @access  Private
+  async getMyRequests(req, res) {
+    try {
+      const query = { user: req.user._id };
+      if (req.query.status) {
+        query.status = req.query.status;
+      }
+
+      const requests = await LeaveRequest.find(query)
+        .populate('leaveType', 'name code isPaid')
+        .populate('reviewedBy', 'firstName lastName')
+        .sort({ startDate: -1 });
+
+      res.json({
+        success: true,
+        data: { requests }
+      });
+    } catch (error) {
+      console.error('Get my leave requests error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch leave requests'
+      });
+    }
+  }
+
+  // @desc    Get leave requests to review
+  // @route   GET /api/leaves/requests
+  // @access  Private (Admin/HR)
+  async getRequests(req, res) {
+    try {
+      const { status = 'pending', user, organization, page = 1, limit = 20 } = req.query;
+
+      const query = {};
+      if (req.user.role === 'super-admin') {
+        if (organization) query.organization = organization;
+      } else {
+        query.organization = req.user.organization;
+      }
+      if (status !== 'all') {
+        query.status = status;
+      }
+      if (user) {
+        query.user = user;
+      }
+
+      const requests = await LeaveRequest.find(query)
+        .populate('user', 'firstName lastName employeeId department')
+        .populate('leaveType', 'name code isPaid')
+        .populate('reviewedBy', 'firstName lastName')
+        .sort({ startDate: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await LeaveRequest.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          requests,
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total,
+            limit: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get leave requests error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch leave requests'
+      });
+    }
+  }
+
+  // @desc    Get a leave request
+  // @route   GET /api/leaves/requests/:id
+  // @access  Private (owner, or Admin/HR of the organization)
+  async getRequest(req, res) {
+    try {
+      const request = await LeaveRequest.findById(req.params.id)
+        .populate('user', 'firstName lastName employeeId department')
+        .populate('leaveType', 'name code isPaid')
+        .populate('reviewedBy', 'firstName lastName');
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Leave request not found'
+        });
+      }
+
+      if (!request.user._id.equals(req.user._id) && !canManage(req, request)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { request }
+      });
+    } catch (error) {
+      console.error('Get leave request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch leave request'
+      });
+    }
+  }
+
+  // @desc    Approve or reject a leave request
+  // @route   POST /api/leaves/requests/:id/review
+  // @access  Private (Admin/HR)
+  async reviewRequest(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = reviewRequestSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const request = await LeaveRequest.findById(req.params.id);
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Leave request not found'
+        });
+      }
+
+      if (!canManage(req, request)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only review requests in your organization'
+        });
+      }
+
+      await leaveService.review(request, req.user, value);
+
+      res.json({
+        success: true,
+        message: `Leave request ${request.status}`,
+        data: { request }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Review leave request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to review leave request'
+      });
+    }
+  }
+
+  // @desc    Cancel a leave request (your own, or any in your organization for Admin/HR)
+  // @route   POST /api/leaves/requests/:id/cancel
+  // @access  Private
+  async cancelRequest(req, res) {
+    try {
+      const request = await LeaveRequest.findById(req.params.id);
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Leave request not found'
+        });
+      }
+
+      const isOwner = request.user.equals(req.user._id);
+      const isReviewer = !isOwner && canManage(req, request);
+      if (!isOwner && !isReviewer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Leave request not found'
+        });
+      }
+
+      const organization = await Organization.findById(request.organization);
+      await leaveService.cancel(request, req.user, organization, { isReviewer });
+
+      res.json({
+        success: true,
+        message: 'Leave request cancelled',
+        data: { request }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Cancel leave request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel leave request'
+      });
+    }
+  }
+}
+
+module.exports = new LeaveController();
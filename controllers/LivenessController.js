@@ -0,0 +1,154 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const LivenessSession = require('../models/LivenessSession');
+const Organization = require('../models/Organization');
+const livenessChallengeService = require('../services/livenessChallengeService');
+const faceTemplateService = require('../services/faceTemplateService');
+const faceMatchingService = require('../services/faceMatchingService');
+
+// Sessions must be completed within this window after the challenge is issued
+const SESSION_TTL_MS = 2 * 60 * 1000;
+const MAX_VERIFY_ATTEMPTS = 3;
+
+// Validation schemas
+const point = Joi.array().items(Joi.number()).length(2);
+
+const verifySessionSchema = Joi.object({
+  frames: Joi.array().items(Joi.object({
+    timestamp: Joi.number().required(), // milliseconds, client clock
+    landmarks: Joi.array().items(point).length(68).required(),
+    descriptor: Joi.array().items(Joi.number()).min(1).optional()
+  })).min(1).required()
+});
+
+class LivenessController {
+  // @desc    Start an active liveness session and get a random challenge
+  // @route   POST /api/liveness/sessions
+  // @access  Private
+  async createSession(req, res) {
+    try {
+      const challenge = livenessChallengeService.pickChallenge();
+
+      const session = new LivenessSession({
+        user: req.user._id,
+        organization: req.user.organization,
+        challenge,
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+      });
+
+      await session.save();
+
+      res.status(201).json({
+        success: true,
+        data: {
+          sessionId: session._id,
+          challenge,
+          instruction: livenessChallengeService.getInstruction(challenge),
+          expiresAt: session.expiresAt,
+          ...livenessChallengeService.getLimits()
+        }
+      });
+    } catch (error) {
+      console.error('Create liveness session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start liveness session'
+      });
+    }
+  }
+
+  // @desc    Submit frames for a liveness challenge and receive a one-time token
+  // @route   POST /api/liveness/sessions/:id/verify
+  // @access  Private
+  async verifySession(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = verifySessionSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const found = mongoose.isValidObjectId(req.params.id) &&
+        await LivenessSession.findOne({ _id: req.params.id, user: req.user._id });
+
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          message: 'Liveness session not found'
+        });
+      }
+
+      if (found.status !== 'issued') {
+        return res.status(400).json({
+          success: false,
+          message: 'Liveness session has already been used. Please start a new one.'
+        });
+      }
+
+      if (found.expiresAt < new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Liveness session has expired. Please start a new one.'
+        });
+      }
+
+      // Count the attempt atomically; a concurrent request may have used the last one
+      const session = await LivenessSession.startAttempt(found._id, MAX_VERIFY_ATTEMPTS);
+      if (!session) {
+        return res.status(400).json({
+          success: false,
+          message: 'Liveness session has already been used. Please start a new one.'
+        });
+      }
+
+      const organization = session.organization && await Organization.findById(session.organization);
+
+      const result = livenessChallengeService.verify(
+        session.challenge,
+        value.frames,
+        faceTemplateService.getVectors(req.user.faceDescriptors),
+        { threshold: faceMatchingService.getSettings(organization).threshold }
+      );
+
+      if (!result.passed) {
+        if (session.attempts >= MAX_VERIFY_ATTEMPTS) {
+          session.status = 'failed';
+        }
+        session.failureReason = result.reason;
+        await session.save();
+
+        return res.status(400).json({
+          success: false,
+          message: `Liveness check failed: ${result.reason}`,
+          data: {
+            attemptsRemaining: Math.max(0, MAX_VERIFY_ATTEMPTS - session.attempts)
+          }
+        });
+      }
+
+      const livenessToken = session.issueToken();
+      await session.save();
+
+      res.json({
+        success: true,
+        message: 'Liveness verified successfully',
+        data: {
+          livenessToken,
+          expiresAt: session.tokenExpiresAt
+        }
+      });
+    } catch (error) {
+      console.error('Verify liveness session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify liveness session'
+      });
+    }
+  }
+}
+
+module.exports = new LivenessController();
@@ -3,8 +3,83 @@ const mongoose = require('mongoose');
 const Organization = require('../models/Organization');
 const User = require('../models/User');
 const Attendance = require('../models/Attendance');
+const attendanceService = require('../services/attendanceService');
+const leaveService = require('../services/leaveService');
+const holidayService = require('../services/holidayService');
+const enrollmentService = require('../services/enrollmentService');
+const { isValidTimeZone } = require('../utils/time');
+
+// IANA time zone names such as 'Asia/Singapore'
+const timezoneSchema = Joi.string().custom((value, helpers) => (
+  isValidTimeZone(value) ? value : helpers.error('any.invalid')
+), 'IANA time zone').messages({ 'any.invalid': '{{#label}} must be a valid IANA time zone' });
 
 // Validation schemas
+const livenessSettingsSchema = Joi.object({
+  enabled: Joi.boolean().optional(),
+  onFailure: Joi.string().valid('block', 'flag').optional(),
+  checks: Joi.object({
+    texture: Joi.boolean().optional(),
+    metadata: Joi.boolean().optional(),
+    duplicate: Joi.boolean().optional()
+  }).optional()
+});
+
+// When only one of the sample limits is sent, updates check it against the stored other one
+const faceEnrollmentSettingsSchema = Joi.object({
+  minSamples: Joi.number().integer().min(1).max(10).optional(),
+  maxSamples: Joi.number().integer().min(1).max(20).optional()
+    .when('minSamples', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minSamples')) }),
+  maxAttempts: Joi.number().integer().min(1).max(50).optional(),
+  descriptorLength: Joi.number().integer().min(1).max(1024).optional(),
+  minSampleDistance: Joi.number().min(0).max(2).optional(),
+  maxSampleDistance: Joi.number().min(0).max(2).optional()
+});
+
+const breakSettingsSchema = Joi.object({
+  paid: Joi.boolean().optional(),
+  maxBreakMinutes: Joi.number().integer().min(1).max(720).optional()
+});
+
+const missedPunchSettingsSchema = Joi.object({
+  graceMinutes: Joi.number().integer().min(0).max(1440).optional(),
+  action: Joi.string().valid('auto-close', 'mark-missed').optional(),
+  notifyEmployee: Joi.boolean().optional(),
+  notifyAdmins: Joi.boolean().optional()
+});
+
+const holidaySettingsSchema = Joi.object({
+  restrictedPerYear: Joi.number().integer().min(0).max(366).optional()
+});
+
+// Unset thresholds and caps (null) fall back to the shift length and no cap
+const overtimeSettingsSchema = Joi.object({
+  enabled: Joi.boolean().optional(),
+  dailyThresholdMinutes: Joi.number().integer().min(0).max(1440).allow(null).optional(),
+  weeklyThresholdMinutes: Joi.number().integer().min(0).max(10080).optional(),
+  weekStartsOn: Joi.string().valid('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday').optional(),
+  multiplier: Joi.number().min(1).max(5).optional(),
+  weekendMultiplier: Joi.number().min(1).max(5).optional(),
+  holidayMultiplier: Joi.number().min(1).max(5).optional(),
+  minimumBlockMinutes: Joi.number().integer().min(0).max(240).optional(),
+  dailyCapMinutes: Joi.number().integer().min(0).max(1440).allow(null).optional(),
+  weeklyCapMinutes: Joi.number().integer().min(0).max(10080).allow(null).optional()
+});
+
+const faceMatchingSettingsSchema = Joi.object({
+  threshold: Joi.number().min(0.1).max(1.5).optional(),
+  minMargin: Joi.number().min(0).max(0.5).optional(),
+  borderlineMargin: Joi.number().min(0).max(0.5).optional(),
+  borderlineAction: Joi.string().valid('accept', 'review', 'reject').optional(),
+  adaptiveTemplates: Joi.object({
+    enabled: Joi.boolean().optional(),
+    maxDistance: Joi.number().min(0).max(1).optional(),
+    maxTemplates: Joi.number().integer().min(1).max(10).optional(),
+    ttlDays: Joi.number().integer().min(1).max(365).optional(),
+    minNovelty: Joi.number().min(0).max(1).optional()
+  }).optional()
+});
+
 const createOrganizationSchema = Joi.object({
   name: Joi.string().trim().min(2).max(100).required(),
   type: Joi.string().valid('school', 'office', 'hotel', 'hospital', 'factory', 'retail', 'other').required(),
@@ -27,10 +102,19 @@ const createOrganizationSchema = Joi.object({
     workingDays: Joi.array().items(
       Joi.string().valid('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday')
     ).optional(),
-    timezone: Joi.string().default('Asia/Kolkata'),
+    timezone: timezoneSchema.default('Asia/Kolkata'),
     lateThreshold: Joi.number().min(0).max(120).default(15),
+    veryLateThreshold: Joi.number().min(0).max(720).default(60),
+    earlyDepartureThreshold: Joi.number().min(0).max(720).default(15),
+    breaks: breakSettingsSchema.optional(),
+    missedPunches: missedPunchSettingsSchema.optional(),
+    holidays: holidaySettingsSchema.optional(),
+    overtime: overtimeSettingsSchema.optional(),
     requireFaceRecognition: Joi.boolean().default(true),
-    allowOfflineMode: Joi.boolean().default(true)
+    allowOfflineMode: Joi.boolean().default(true),
+    faceEnrollment: faceEnrollmentSettingsSchema.optional(),
+    liveness: livenessSettingsSchema.optional(),
+    faceMatching: faceMatchingSettingsSchema.optional()
   }).optional(),
   subscription: Joi.object({
     plan: Joi.string().valid('free', 'basic', 'premium', 'enterprise').default('free'),
@@ -57,6 +141,43 @@ const updateOrganizationSchema = Joi.object({
   isActive: Joi.boolean().optional()
 });
 
+// Partial settings update - no defaults, so omitted keys keep their current values
+const updateSettingsSchema = Joi.object({
+  workingHours: Joi.object({
+    start: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).optional(),
+    end: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).optional()
+  }).optional(),
+  workingDays: Joi.array().items(
+    Joi.string().valid('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday')
+  ).optional(),
+  timezone: timezoneSchema.optional(),
+  lateThreshold: Joi.number().min(0).max(120).optional(),
+  veryLateThreshold: Joi.number().min(0).max(720).optional(),
+  earlyDepartureThreshold: Joi.number().min(0).max(720).optional(),
+  breaks: breakSettingsSchema.optional(),
+  missedPunches: missedPunchSettingsSchema.optional(),
+  holidays: holidaySettingsSchema.optional(),
+  overtime: overtimeSettingsSchema.optional(),
+  requireFaceRecognition: Joi.boolean().optional(),
+  allowOfflineMode: Joi.boolean().optional(),
+  faceEnrollment: faceEnrollmentSettingsSchema.optional(),
+  liveness: livenessSettingsSchema.optional(),
+  faceMatching: faceMatchingSettingsSchema.optional()
+}).min(1);
+
+// Flatten nested settings into dotted paths so a partial update doesn't wipe sibling values
+const toSettingPaths = (value, prefix = 'settings') => {
+  return Object.entries(value).reduce((paths, [key, item]) => {
+    const path = `${prefix}.${key}`;
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      Object.assign(paths, toSettingPaths(item, path));
+    } else {
+      paths[path] = item;
+    }
+    return paths;
+  }, {});
+};
+
 class OrganizationController {
   // @desc    Get all organizations (Super Admin only)
   // @route   GET /api/organizations
@@ -249,6 +370,66 @@ class OrganizationController {
     }
   }
 
+  // @desc    Update organization settings
+  // @route   PUT /api/organizations/:id/settings
+  // @access  Private (Super Admin or Admin of organization)
+  async updateOrganizationSettings(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = updateSettingsSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const organization = await Organization.findById(req.params.id);
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+
+      // Check permissions
+      if (req.user.role !== 'super-admin' && 
+          (req.user.role !== 'admin' || !req.user.organization?.equals(organization._id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      if (value.faceEnrollment) {
+        const { minSamples, maxSamples } = { ...enrollmentService.getPolicy(organization), ...value.faceEnrollment };
+        if (maxSamples < minSamples) {
+          return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: [`"maxSamples" (${maxSamples}) must be greater than or equal to "minSamples" (${minSamples})`]
+          });
+        }
+      }
+
+      organization.set(toSettingPaths(value));
+      await organization.save();
+
+      res.json({
+        success: true,
+        message: 'Organization settings updated successfully',
+        data: { settings: organization.settings }
+      });
+    } catch (error) {
+      console.error('Update organization settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update organization settings'
+      });
+    }
+  }
+
   // @desc    Delete organization (Super Admin only)
   // @route   DELETE /api/organizations/:id
   // @access  Private (Super Admin)
@@ -349,16 +530,12 @@ class OrganizationController {
 
       const total = await User.countDocuments(query);
 
-      // Get today's date range
-      const today = new Date();
-      const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-      const endOfDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000);
-
-      // Get attendance data for today for all users
+      // Get attendance data for today (in the organization's time zone) for all users
       const todayAttendance = await Attendance.find({
         organization: req.params.id,
         user: { $in: users.map(u => u._id) },
-        checkInTime: { $gte: startOfDay, $lt: endOfDay }
+        date: attendanceService.getTodayLabel(organization),
+        ...Attendance.countedFilter()
       }).populate('user', '_id');
 
       // Create attendance map
@@ -387,13 +564,26 @@ class OrganizationController {
         }
       });
 
+      // Users without a punch today are on holiday or on leave rather than absent
+      const todayKey = leaveService.getTodayKey(organization);
+      const holidayByUser = await holidayService.getHolidaysOn(users, organization, todayKey);
+      const leaveByUser = await leaveService.getLeaveOn(organization._id, todayKey);
+
       // Combine user data with attendance
       const usersWithAttendance = users.map(user => {
+        const holiday = holidayByUser.get(user._id.toString());
+        const leave = leaveByUser.get(user._id.toString());
+        let absenceStatus = 'absent';
+        if (holiday) {
+          absenceStatus = 'holiday';
+        } else if (leave) {
+          absenceStatus = 'on-leave';
+        }
         const attendance = attendanceMap.get(user._id.toString()) || {
           checkIn: null,
           checkOut: null,
           totalHours: 0,
-          status: 'absent'
+          status: absenceStatus
         };
 
         return {
@@ -404,6 +594,8 @@ class OrganizationController {
             checkOutTime: attendance.checkOut,
             totalHours: Number(attendance.totalHours.toFixed(2)),
             status: attendance.status,
+            holiday: holiday ? { _id: holiday._id, name: holiday.name, type: holiday.type } : null,
+            leave: leave ? { _id: leave._id, leaveType: leave.leaveType, halfDay: leave.halfDay } : null,
             checkInFormatted: attendance.checkIn ? 
               attendance.checkIn.toLocaleTimeString('en-US', { 
                 hour12: false, 
@@ -475,22 +667,45 @@ class OrganizationController {
       const approvedUsers = await User.countDocuments({ organization: req.params.id, isApproved: true });
       const pendingUsers = await User.countDocuments({ organization: req.params.id, isApproved: false });
 
-      // Today's stats
-      const today = new Date();
-      const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-      const endOfDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000);
+      // Today's stats (in the organization's time zone)
+      const today = attendanceService.getTodayLabel(organization);
 
       const todayCheckIns = await Attendance.countDocuments({
         organization: req.params.id,
         type: 'check-in',
-        checkInTime: { $gte: startOfDay, $lt: endOfDay }
+        date: today,
+        ...Attendance.countedFilter()
       });
 
       const todayCheckOuts = await Attendance.countDocuments({
         organization: req.params.id,
         type: 'check-out',
-        checkInTime: { $gte: startOfDay, $lt: endOfDay }
+        date: today,
+        ...Attendance.countedFilter()
+      });
+
+      // Present counts people, not punches: a user can check in more than once a day (split shifts)
+      const checkedInUsers = await Attendance.distinct('user', {
+        organization: req.params.id,
+        type: 'check-in',
+        date: today,
+        ...Attendance.countedFilter()
       });
+      const checkedIn = new Set(checkedInUsers.map(id => id.toString()));
+      const present = checkedIn.size;
+
+      // Users on approved leave who haven't checked in aren't counted as absent
+      const leaveUserIds = (await leaveService.getUsersOnLeaveToday([organization]))
+        .filter(userId => !checkedIn.has(userId));
+      const onLeave = leaveUserIds.length;
+
+      // ...and neither are users on holiday
+      const activeUserList = await User.find({ organization: req.params.id, isActive: true }).select('allowedSites');
+      const holidayByUser = await holidayService.getHolidaysOn(activeUserList, organization, leaveService.getTodayKey(organization));
+      const holidayUserIds = Array.from(holidayByUser.keys()).filter(userId => !checkedIn.has(userId));
+      const onHoliday = holidayUserIds.length;
+      // A user can be on leave during a holiday, so they're excused once
+      const excused = new Set([...leaveUserIds, ...holidayUserIds]).size;
 
       // Department-wise stats
       const departmentStats = await User.aggregate([
@@ -521,8 +736,10 @@ class OrganizationController {
           todayStats: {
             checkIns: todayCheckIns,
             checkOuts: todayCheckOuts,
-            present: todayCheckIns,
-            absent: Math.max(0, activeUsers - todayCheckIns)
+            present,
+            onLeave,
+            onHoliday,
+            absent: Math.max(0, activeUsers - present - excused)
           },
           departmentStats
         }
@@ -574,17 +791,17 @@ class OrganizationController {
     try {
       const orgStats = await Organization.getStats();
       const totalUsers = await User.countDocuments();
-      const totalAttendance = await Attendance.countDocuments();
+      const totalAttendance = await Attendance.countDocuments(Attendance.countedFilter());
 
-      // Today's global stats
-      const today = new Date();
-      const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-      const endOfDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000);
+      // Today's global stats, each organization's "today" in its own time zone
+      const organizations = await Organization.find().select('settings.timezone');
 
       const todayGlobalAttendance = await Attendance.countDocuments({
         type: 'check-in',
-        checkInTime: { $gte: startOfDay, $lt: endOfDay }
+        ...Attendance.countedFilter(),
+        ...attendanceService.getTodayFilter(organizations)
       });
+      const todayOnLeave = (await leaveService.getUsersOnLeaveToday(organizations)).length;
 
       res.json({
         success: true,
@@ -592,7 +809,8 @@ class OrganizationController {
           ...orgStats,
           totalUsers,
           totalAttendance,
-          todayAttendance: todayGlobalAttendance
+          todayAttendance: todayGlobalAttendance,
+          todayOnLeave
         }
       });
     } catch (error) {
@@ -0,0 +1,289 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const OvertimeEntry = require('../models/OvertimeEntry');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const overtimeService = require('../services/overtimeService');
+const timesheetService = require('../services/timesheetService');
+const { dateKeyToDate } = require('../utils/time');
+const { dateKeySchema } = require('../utils/validation');
+
+// Validation schemas
+// A pay period is a calendar month (year and month) or a from/to range of workdays
+const periodKeys = {
+  year: Joi.number().integer().min(2000).max(2100).optional(),
+  month: Joi.number().integer().min(1).max(12).optional(),
+  from: dateKeySchema.optional(),
+  to: dateKeySchema.optional()
+};
+
+const myOvertimeQuerySchema = Joi.object({
+  ...periodKeys,
+  status: Joi.string().valid('pending', 'approved', 'rejected').optional()
+}).and('year', 'month').and('from', 'to').oxor('year', 'from');
+
+const pendingQuerySchema = Joi.object({
+  ...periodKeys,
+  department: Joi.string().trim().max(100).optional(),
+  user: Joi.string().hex().length(24).optional(),
+  organization: Joi.string().hex().length(24).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+}).and('year', 'month').and('from', 'to').oxor('year', 'from');
+
+const reviewEntrySchema = Joi.object({
+  status: Joi.string().valid('approved', 'rejected').required(),
+  approvedMinutes: Joi.number().integer().min(0).when('status', {
+    is: 'approved',
+    then: Joi.optional(),
+    otherwise: Joi.forbidden()
+  }),
+  notes: Joi.string().trim().max(500).allow('').optional()
+});
+
+const reviewEntriesSchema = Joi.object({
+  ids: Joi.array().items(Joi.string().hex().length(24)).min(1).max(200).unique().required(),
+  status: Joi.string().valid('approved', 'rejected').required(),
+  notes: Joi.string().trim().max(500).allow('').optional()
+});
+
+// Utility function to format Joi errors
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map(detail => detail.message)
+});
+
+const canManage = (req, document) => (
+  req.user.role === 'super-admin' ||
+  (['admin', 'hr'].includes(req.user.role) && req.user.organization && req.user.organization.equals(document.organization))
+);
+
+class OvertimeController {
+  // @desc    Get the current user's overtime for a pay period
+  // @route   GET /api/overtime/my
+  // @access  Private
+  async getMyOvertime(req, res) {
+    try {
+      const { error, value } = myOvertimeQuerySchema.validate(req.query);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const organization = req.user.organization ? await Organization.findById(req.user.organization) : null;
+      const { fromKey, toKey } = timesheetService.getPeriod(value, organization);
+      if (toKey < fromKey) {
+        return res.status(400).json({
+          success: false,
+          message: 'The end date cannot be before the start date'
+        });
+      }
+
+      const query = {
+        user: req.user._id,
+        date: { $gte: dateKeyToDate(fromKey), $lte: dateKeyToDate(toKey) }
+      };
+      if (value.status) {
+        query.status = value.status;
+      }
+
+      const entries = await OvertimeEntry.find(query)
+        .populate('reviewedBy', 'firstName lastName')
+        .sort({ date: 1 });
+
+      const totals = entries.reduce((sums, entry) => {
+        sums.minutes += entry.minutes;
+        if (entry.status === 'pending') sums.pendingMinutes += entry.minutes;
+        if (entry.status === 'approved') sums.approvedMinutes += entry.approvedMinutes;
+        sums.payableMinutes += entry.payableMinutes;
+        return sums;
+      }, { minutes: 0, pendingMinutes: 0, approvedMinutes: 0, payableMinutes: 0 });
+
+      res.json({
+        success: true,
+        data: {
+          from: fromKey,
+          to: toKey,
+          entries,
+          totals
+        }
+      });
+    } catch (error) {
+      console.error('Get my overtime error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch overtime'
+      });
+    }
+  }
+
+  // @desc    Get unapproved overtime by department and pay period
+  // @route   GET /api/overtime/pending
+  // @access  Private (Admin/HR)
+  async getPendingOvertime(req, res) {
+    try {
+      const { error, value } = pendingQuerySchema.validate(req.query);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const { department, user, page, limit } = value;
+
+      // Admins and HR review their own organization; super-admins may pick one
+      const organizationId = req.user.role === 'super-admin' ? value.organization : req.user.organization;
+      const organization = organizationId ? await Organization.findById(organizationId) : null;
+      const { fromKey, toKey } = timesheetService.getPeriod(value, organization);
+      if (toKey < fromKey) {
+        return res.status(400).json({
+          success: false,
+          message: 'The end date cannot be before the start date'
+        });
+      }
+
+      const query = {
+        status: 'pending',
+        date: { $gte: dateKeyToDate(fromKey), $lte: dateKeyToDate(toKey) }
+      };
+      if (organizationId) {
+        query.organization = new mongoose.Types.ObjectId(organizationId);
+      }
+
+      // Summarize every department before narrowing to one, so the list can show a tab per department
+      const departments = await overtimeService.summarizeByDepartment(query);
+
+      if (department || user) {
+        const userQuery = {};
+        if (organizationId) userQuery.organization = organizationId;
+        if (department) userQuery.department = department;
+        if (user) userQuery._id = user;
+        query.user = { $in: await User.find(userQuery).distinct('_id') };
+      }
+
+      const entries = await OvertimeEntry.find(query)
+        .populate('user', 'firstName lastName email employeeId department')
+        .sort({ date: 1 })
+        .limit(limit)
+        .skip((page - 1) * limit);
+
+      const total = await OvertimeEntry.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          from: fromKey,
+          to: toKey,
+          entries,
+          departments,
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total,
+            limit
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get pending overtime error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch pending overtime'
+      });
+    }
+  }
+
+  // @desc    Approve or reject several overtime entries
+  // @route   POST /api/overtime/review
+  // @access  Private (Admin/HR)
+  async reviewOvertimeEntries(req, res) {
+    try {
+      const { error, value } = reviewEntriesSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const query = { _id: { $in: value.ids }, status: 'pending' };
+      if (req.user.role !== 'super-admin') {
+        query.organization = req.user.organization;
+      }
+
+      const entries = await OvertimeEntry.find(query);
+      const reviewed = [];
+      for (const entry of entries) {
+        // Your own overtime is left for someone else
+        if (entry.user.equals(req.user._id)) continue;
+
+        await overtimeService.review(entry, req.user, { status: value.status, notes: value.notes });
+        reviewed.push(entry._id.toString());
+      }
+
+      const reviewedIds = new Set(reviewed);
+      const skipped = value.ids.filter(id => !reviewedIds.has(id));
+
+      res.json({
+        success: true,
+        message: `${reviewed.length} overtime entr${reviewed.length === 1 ? 'y' : 'ies'} ${value.status}`,
+        data: {
+          reviewed: reviewed.length,
+          skipped // not pending, not found, your own or outside your organization
+        }
+      });
+    } catch (error) {
+      console.error('Review overtime entries error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to review overtime'
+      });
+    }
+  }
+
+  // @desc    Approve (possibly fewer minutes) or reject an overtime entry
+  // @route   POST /api/overtime/:id/review
+  // @access  Private (Admin/HR)
+  async reviewOvertimeEntry(req, res) {
+    try {
+      const { error, value } = reviewEntrySchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const entry = await OvertimeEntry.findById(req.params.id);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Overtime entry not found'
+        });
+      }
+
+      if (!canManage(req, entry)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only review overtime in your organization'
+        });
+      }
+
+      await overtimeService.review(entry, req.user, value);
+
+      res.json({
+        success: true,
+        message: `Overtime ${entry.status}`,
+        data: { entry }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Review overtime entry error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to review overtime'
+      });
+    }
+  }
+}
+
+module.exports = new OvertimeController();
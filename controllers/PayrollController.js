@@ -0,0 +1,176 @@
+const Joi = require('joi');
+const Organization = require('../models/Organization');
+const payrollService = require('../services/payrollService');
+const timesheetService = require('../services/timesheetService');
+const { daysBetween } = require('../utils/time');
+const { dateKeySchema } = require('../utils/validation');
+
+const MAX_PERIOD_DAYS = 62;
+
+// Validation schemas
+// A pay period is a calendar month (year and month) or a from/to range of workdays
+const exportQuerySchema = Joi.object({
+  format: Joi.string().valid('csv', 'xlsx').default('csv'),
+  year: Joi.number().integer().min(2000).max(2100).optional(),
+  month: Joi.number().integer().min(1).max(12).optional(),
+  from: dateKeySchema.optional(),
+  to: dateKeySchema.optional(),
+  department: Joi.string().trim().max(100).optional(),
+  organization: Joi.string().hex().length(24).optional()
+}).and('year', 'month').and('from', 'to').oxor('year', 'from');
+
+// An empty column list goes back to the default layout
+const layoutSchema = Joi.object({
+  columns: Joi.array().items(Joi.object({
+    field: Joi.string().valid(...payrollService.getFieldNames()).required(),
+    header: Joi.string().trim().max(100).allow('').optional()
+  })).max(50).optional(),
+  delimiter: Joi.string().valid(',', ';', '\t').optional(),
+  organization: Joi.string().hex().length(24).optional()
+}).or('columns', 'delimiter');
+
+// Utility function to format Joi errors
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map(detail => detail.message)
+});
+
+// Admins and HR work within their own organization; super-admins name one
+const resolveOrganizationId = (req, requested) => (
+  req.user.role === 'super-admin' ? requested : req.user.organization
+);
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+class PayrollController {
+  // @desc    Get the payroll export layout and the fields a column can show
+  // @route   GET /api/payroll/layout
+  // @access  Private (Admin/HR)
+  async getLayout(req, res) {
+    try {
+      const organizationId = resolveOrganizationId(req, req.query.organization);
+      const organization = organizationId && await Organization.findById(organizationId);
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          layout: payrollService.getLayout(organization),
+          fields: payrollService.getFields()
+        }
+      });
+    } catch (error) {
+      console.error('Get payroll layout error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch payroll layout'
+      });
+    }
+  }
+
+  // @desc    Set the organization's payroll export layout
+  // @route   PUT /api/payroll/layout
+  // @access  Private (Admin/HR)
+  async updateLayout(req, res) {
+    try {
+      const { error, value } = layoutSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const organizationId = resolveOrganizationId(req, value.organization);
+      const organization = organizationId && await Organization.findById(organizationId);
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+
+      if (value.columns) {
+        organization.set('settings.payrollExport.columns', value.columns.map(column => ({
+          field: column.field,
+          header: column.header || undefined
+        })));
+      }
+      if (value.delimiter) {
+        organization.set('settings.payrollExport.delimiter', value.delimiter);
+      }
+      await organization.save();
+
+      res.json({
+        success: true,
+        message: 'Payroll layout updated successfully',
+        data: { layout: payrollService.getLayout(organization) }
+      });
+    } catch (error) {
+      console.error('Update payroll layout error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update payroll layout'
+      });
+    }
+  }
+
+  // @desc    Download per-employee pay-period totals as CSV or XLSX
+  // @route   GET /api/payroll/export
+  // @access  Private (Admin/HR)
+  async exportPayroll(req, res) {
+    try {
+      const { error, value } = exportQuerySchema.validate(req.query);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const organizationId = resolveOrganizationId(req, value.organization);
+      const organization = organizationId && await Organization.findById(organizationId);
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+
+      const { fromKey, toKey } = timesheetService.getPeriod(value, organization);
+      if (toKey < fromKey) {
+        return res.status(400).json({
+          success: false,
+          message: 'The end date cannot be before the start date'
+        });
+      }
+      if (daysBetween(fromKey, toKey) + 1 > MAX_PERIOD_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: `A pay period can cover at most ${MAX_PERIOD_DAYS} days`
+        });
+      }
+
+      const report = await payrollService.buildReport(organization, fromKey, toKey, {
+        department: value.department
+      });
+      const body = value.format === 'xlsx' ? await payrollService.toXlsx(report) : payrollService.toCsv(report);
+      const filename = `payroll-${fromKey}-to-${toKey}.${value.format}`;
+
+      res.set('Content-Type', CONTENT_TYPES[value.format]);
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(body);
+    } catch (error) {
+      console.error('Export payroll error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export payroll'
+      });
+    }
+  }
+}
+
+module.exports = new PayrollController();
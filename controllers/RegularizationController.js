@@ -0,0 +1,289 @@
+const Joi = require('joi');
+const RegularizationRequest = require('../models/RegularizationRequest');
+const Organization = require('../models/Organization');
+const regularizationService = require('../services/regularizationService');
+const { dateKeySchema } = require('../utils/validation');
+
+// Validation schemas
+// Either name the record to correct, or give the type and workday of the missing punch
+const createRequestSchema = Joi.object({
+  attendance: Joi.string().hex().length(24).optional(),
+  type: Joi.string().valid('check-in', 'check-out', 'break-start', 'break-end').optional(),
+  date: dateKeySchema.optional(),
+  proposedTime: Joi.date().iso().required(),
+  reason: Joi.string().trim().min(5).max(500).required()
+}).oxor('attendance', 'type').oxor('attendance', 'date');
+
+const reviewRequestSchema = Joi.object({
+  status: Joi.string().valid('approved', 'rejected').required(),
+  notes: Joi.string().trim().max(500).allow('').optional()
+});
+
+// Utility function to format Joi errors
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map(detail => detail.message)
+});
+
+// Admins and HR review requests in their own organization; super-admins review any
+const canReview = (req, request) => (
+  req.user.role === 'super-admin' ||
+  (['admin', 'hr'].includes(req.user.role) && req.user.organization && req.user.organization.equals(request.organization))
+);
+
+class RegularizationController {
+  // @desc    Request a correction to a punch, or a missing punch
+  // @route   POST /api/regularizations
+  // @access  Private
+  async createRequest(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = createRequestSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      if (!req.user.organization) {
+        return res.status(400).json({
+          success: false,
+          message: 'You must belong to an organization to request corrections'
+        });
+      }
+
+      const organization = await Organization.findById(req.user.organization);
+      const request = await regularizationService.createRequest(req.user, organization, value);
+      await request.save();
+
+      await regularizationService.notify(request, 'submitted', organization);
+
+      res.status(201).json({
+        success: true,
+        message: 'Correction request submitted for approval',
+        data: { request }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Create regularization request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit correction request'
+      });
+    }
+  }
+
+  // @desc    Get the current user's correction requests
+  // @route   GET /api/regularizations/my
+  // @access  Private
+  async getMyRequests(req, res) {
+    try {
+      const query = { user: req.user._id };
+      if (req.query.status) {
+        query.status = req.query.status;
+      }
+
+      const requests = await RegularizationRequest.find(query)
+        .populate('attendance', 'type checkInTime checkOutTime status')
+        .populate('reviewedBy', 'firstName lastName')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: { requests }
+      });
+    } catch (error) {
+      console.error('Get my regularization requests error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch correction requests'
+      });
+    }
+  }
+
+  // @desc    Get correction requests to review
+  // @route   GET /api/regularizations
+  // @access  Private (Admin/HR)
+  async getRequests(req, res) {
+    try {
+      const { status = 'pending', user, organization, page = 1, limit = 20 } = req.query;
+
+      const query = {};
+      if (req.user.role === 'super-admin') {
+        if (organization) query.organization = organization;
+      } else {
+        query.organization = req.user.organization;
+      }
+      if (status !== 'all') {
+        query.status = status;
+      }
+      if (user) {
+        query.user = user;
+      }
+
+      const requests = await RegularizationRequest.find(query)
+        .populate('user', 'firstName lastName employeeId department')
+        .populate('attendance', 'type checkInTime checkOutTime status')
+        .populate('reviewedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await RegularizationRequest.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          requests,
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total,
+            limit: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get regularization requests error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch correction requests'
+      });
+    }
+  }
+
+  // @desc    Get a correction request
+  // @route   GET /api/regularizations/:id
+  // @access  Private (owner, or Admin/HR of the organization)
+  async getRequest(req, res) {
+    try {
+      const request = await RegularizationRequest.findById(req.params.id)
+        .populate('user', 'firstName lastName employeeId department')
+        .populate('attendance')
+        .populate('reviewedBy', 'firstName lastName');
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Correction request not found'
+        });
+      }
+
+      if (!request.user._id.equals(req.user._id) && !canReview(req, request)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { request }
+      });
+    } catch (error) {
+      console.error('Get regularization request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch correction request'
+      });
+    }
+  }
+
+  // @desc    Approve or reject a correction request
+  // @route   POST /api/regularizations/:id/review
+  // @access  Private (Admin/HR)
+  async reviewRequest(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = reviewRequestSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const request = await RegularizationRequest.findById(req.params.id);
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Correction request not found'
+        });
+      }
+
+      if (!canReview(req, request)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only review requests in your organization'
+        });
+      }
+
+      const organization = await Organization.findById(request.organization);
+      await regularizationService.review(request, req.user, organization, value);
+
+      await regularizationService.notify(request, 'reviewed', organization);
+
+      res.json({
+        success: true,
+        message: `Correction request ${request.status}`,
+        data: { request }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Review regularization request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to review correction request'
+      });
+    }
+  }
+
+  // @desc    Cancel one of your own pending correction requests
+  // @route   POST /api/regularizations/:id/cancel
+  // @access  Private
+  async cancelRequest(req, res) {
+    try {
+      const request = await RegularizationRequest.findOne({ _id: req.params.id, user: req.user._id });
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Correction request not found'
+        });
+      }
+
+      if (request.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `This request has already been ${request.status}`
+        });
+      }
+
+      request.status = 'cancelled';
+      await request.save();
+
+      res.json({
+        success: true,
+        message: 'Correction request cancelled',
+        data: { request }
+      });
+    } catch (error) {
+      console.error('Cancel regularization request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel correction request'
+      });
+    }
+  }
+}
+
+module.exports = new RegularizationController();
@@ -0,0 +1,616 @@
+const Joi = require('joi');
+const Shift = require('../models/Shift');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const shiftService = require('../services/shiftService');
+const { toDateKey, dateKeyToDate, addDays, daysBetween } = require('../utils/time');
+const { dateKeySchema } = require('../utils/validation');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const MAX_ROSTER_DAYS = 62;
+
+// Validation schemas
+// Overrides of the organization's daily overtime rules; null clears one
+const shiftOvertimeSchema = Joi.object({
+  dailyThresholdMinutes: Joi.number().integer().min(0).max(1440).allow(null).optional(),
+  multiplier: Joi.number().min(1).max(5).allow(null).optional(),
+  holidayMultiplier: Joi.number().min(1).max(5).allow(null).optional(),
+  minimumBlockMinutes: Joi.number().integer().min(0).max(240).allow(null).optional(),
+  dailyCapMinutes: Joi.number().integer().min(0).max(1440).allow(null).optional()
+});
+
+const createShiftSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  code: Joi.string().trim().max(10).optional(),
+  startTime: Joi.string().pattern(TIME_PATTERN).required(),
+  endTime: Joi.string().pattern(TIME_PATTERN).required(),
+  earlyCheckInMinutes: Joi.number().integer().min(0).max(720).optional(),
+  lateCheckOutMinutes: Joi.number().integer().min(0).max(720).optional(),
+  overtime: shiftOvertimeSchema.optional(),
+  color: Joi.string().trim().max(20).optional(),
+  organization: Joi.string().hex().length(24).optional()
+});
+
+const updateShiftSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  code: Joi.string().trim().max(10).allow('').optional(),
+  startTime: Joi.string().pattern(TIME_PATTERN).optional(),
+  endTime: Joi.string().pattern(TIME_PATTERN).optional(),
+  earlyCheckInMinutes: Joi.number().integer().min(0).max(720).optional(),
+  lateCheckOutMinutes: Joi.number().integer().min(0).max(720).optional(),
+  overtime: shiftOvertimeSchema.optional(),
+  color: Joi.string().trim().max(20).allow('').optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+// A rotation pattern lists one shift id per day; null is a day off
+const patternSchema = Joi.array()
+  .items(Joi.string().hex().length(24).allow(null))
+  .min(1)
+  .max(62);
+
+const createAssignmentSchema = Joi.object({
+  user: Joi.string().hex().length(24).required(),
+  pattern: patternSchema.required(),
+  startDate: dateKeySchema.required(),
+  endDate: dateKeySchema.optional(),
+  notes: Joi.string().trim().max(500).optional()
+});
+
+const updateAssignmentSchema = Joi.object({
+  pattern: patternSchema.optional(),
+  endDate: dateKeySchema.allow(null).optional(),
+  notes: Joi.string().trim().max(500).allow('').optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+const rosterQuerySchema = Joi.object({
+  from: dateKeySchema.optional(),
+  to: dateKeySchema.optional(),
+  department: Joi.string().optional(),
+  user: Joi.string().hex().length(24).optional(),
+  organization: Joi.string().hex().length(24).optional()
+});
+
+// Utility function to format Joi errors
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map(detail => detail.message)
+});
+
+// Admins and HR work within their own organization; super-admins name one
+const resolveOrganizationId = (req, requested) => (
+  req.user.role === 'super-admin' ? requested : req.user.organization
+);
+
+const canManage = (req, document) => (
+  req.user.role === 'super-admin' || (req.user.organization && req.user.organization.equals(document.organization))
+);
+
+// Check that every shift in a pattern belongs to the organization and is active
+const validatePattern = async (pattern, organizationId) => {
+  const shiftIds = [...new Set(pattern.filter(Boolean))];
+  const count = await Shift.countDocuments({ _id: { $in: shiftIds }, organization: organizationId, isActive: true });
+  return count === shiftIds.length;
+};
+
+// Resolve and bound a roster date range (defaults to the next two weeks)
+const resolveRange = (value, organization) => {
+  const today = toDateKey(new Date(), shiftService.getTimeZone(organization));
+  const from = value.from || today;
+  const to = value.to || addDays(from, 13);
+  const days = daysBetween(from, to) + 1;
+
+  if (days < 1 || days > MAX_ROSTER_DAYS) {
+    return { error: `Date range must cover between 1 and ${MAX_ROSTER_DAYS} days` };
+  }
+  return { from, to };
+};
+
+class ShiftController {
+  // @desc    Get shifts
+  // @route   GET /api/shifts
+  // @access  Private (Admin/HR)
+  async getShifts(req, res) {
+    try {
+      const query = {};
+
+      const organization = resolveOrganizationId(req, req.query.organization);
+      if (organization) {
+        query.organization = organization;
+      }
+
+      if (req.query.includeInactive !== 'true') {
+        query.isActive = true;
+      }
+
+      const shifts = await Shift.find(query).sort({ startTime: 1, name: 1 });
+
+      res.json({
+        success: true,
+        data: { shifts }
+      });
+    } catch (error) {
+      console.error('Get shifts error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch shifts'
+      });
+    }
+  }
+
+  // @desc    Create a shift
+  // @route   POST /api/shifts
+  // @access  Private (Admin/HR)
+  async createShift(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = createShiftSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const organization = resolveOrganizationId(req, value.organization);
+      if (!organization) {
+        return res.status(400).json({
+          success: false,
+          message: 'Organization is required'
+        });
+      }
+
+      const existingShift = await Shift.findOne({ organization, name: value.name });
+      if (existingShift) {
+        return res.status(400).json({
+          success: false,
+          message: 'A shift with this name already exists'
+        });
+      }
+
+      const shift = new Shift({
+        ...value,
+        organization,
+        createdBy: req.user._id
+      });
+      await shift.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Shift created successfully',
+        data: { shift }
+      });
+    } catch (error) {
+      console.error('Create shift error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create shift'
+      });
+    }
+  }
+
+  // @desc    Update a shift
+  // @route   PUT /api/shifts/:id
+  // @access  Private (Admin/HR)
+  async updateShift(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = updateShiftSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const shift = await Shift.findById(req.params.id);
+      if (!shift) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shift not found'
+        });
+      }
+
+      if (!canManage(req, shift)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage shifts in your organization'
+        });
+      }
+
+      // Changes apply to future punches; existing records keep their scheduled times.
+      // Overtime overrides are set one by one so an update doesn't clear the others.
+      const { overtime, ...fields } = value;
+      shift.set(fields);
+      Object.entries(overtime || {}).forEach(([key, item]) => shift.set(`overtime.${key}`, item));
+      await shift.save();
+
+      res.json({
+        success: true,
+        message: 'Shift updated successfully',
+        data: { shift }
+      });
+    } catch (error) {
+      console.error('Update shift error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update shift'
+      });
+    }
+  }
+
+  // @desc    Deactivate a shift
+  // @route   DELETE /api/shifts/:id
+  // @access  Private (Admin/HR)
+  async deleteShift(req, res) {
+    try {
+      const shift = await Shift.findById(req.params.id);
+      if (!shift) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shift not found'
+        });
+      }
+
+      if (!canManage(req, shift)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage shifts in your organization'
+        });
+      }
+
+      // Shifts are referenced by attendance records, so they are only deactivated
+      shift.isActive = false;
+      await shift.save();
+
+      const affectedAssignments = await ShiftAssignment.countDocuments({
+        'pattern.shift': shift._id,
+        isActive: true
+      });
+
+      res.json({
+        success: true,
+        message: affectedAssignments
+          ? `Shift deactivated. ${affectedAssignments} active assignment(s) now treat it as a day off.`
+          : 'Shift deactivated successfully'
+      });
+    } catch (error) {
+      console.error('Delete shift error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete shift'
+      });
+    }
+  }
+
+  // @desc    Get shift assignments
+  // @route   GET /api/shifts/assignments
+  // @access  Private (Admin/HR)
+  async getAssignments(req, res) {
+    try {
+      const query = {};
+
+      const organization = resolveOrganizationId(req, req.query.organization);
+      if (organization) {
+        query.organization = organization;
+      }
+
+      if (req.query.user) {
+        query.user = req.query.user;
+      }
+
+      if (req.query.includeInactive !== 'true') {
+        query.isActive = true;
+      }
+
+      const assignments = await ShiftAssignment.find(query)
+        .populate('user', 'firstName lastName employeeId department')
+        .populate('pattern.shift', 'name code startTime endTime')
+        .sort({ startDate: -1 });
+
+      res.json({
+        success: true,
+        data: { assignments }
+      });
+    } catch (error) {
+      console.error('Get shift assignments error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch shift assignments'
+      });
+    }
+  }
+
+  // @desc    Assign a shift rotation to a user
+  // @route   POST /api/shifts/assignments
+  // @access  Private (Admin/HR)
+  async createAssignment(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = createAssignmentSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      if (value.endDate && value.endDate < value.startDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'End date must not be before start date'
+        });
+      }
+
+      const user = await User.findById(value.user);
+      if (!user || !user.organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!canManage(req, user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only assign shifts to users in your organization'
+        });
+      }
+
+      if (!await validatePattern(value.pattern, user.organization)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Pattern contains shifts that do not exist or are inactive in this organization'
+        });
+      }
+
+      // A new open-ended assignment replaces the user's current one from its start date
+      const startDate = dateKeyToDate(value.startDate);
+      await ShiftAssignment.updateMany(
+        {
+          user: user._id,
+          isActive: true,
+          startDate: { $lt: startDate },
+          $or: [{ endDate: null }, { endDate: { $gte: startDate } }]
+        },
+        { $set: { endDate: dateKeyToDate(addDays(value.startDate, -1)) } }
+      );
+
+      const assignment = new ShiftAssignment({
+        organization: user.organization,
+        user: user._id,
+        pattern: value.pattern.map(shift => ({ shift })),
+        startDate,
+        endDate: value.endDate ? dateKeyToDate(value.endDate) : undefined,
+        notes: value.notes,
+        createdBy: req.user._id
+      });
+      await assignment.save();
+      await assignment.populate('pattern.shift', 'name code startTime endTime');
+
+      res.status(201).json({
+        success: true,
+        message: 'Shift assignment created successfully',
+        data: { assignment }
+      });
+    } catch (error) {
+      console.error('Create shift assignment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create shift assignment'
+      });
+    }
+  }
+
+  // @desc    Update a shift assignment
+  // @route   PUT /api/shifts/assignments/:id
+  // @access  Private (Admin/HR)
+  async updateAssignment(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = updateAssignmentSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const assignment = await ShiftAssignment.findById(req.params.id);
+      if (!assignment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shift assignment not found'
+        });
+      }
+
+      if (!canManage(req, assignment)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage shift assignments in your organization'
+        });
+      }
+
+      if (value.pattern) {
+        if (!await validatePattern(value.pattern, assignment.organization)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Pattern contains shifts that do not exist or are inactive in this organization'
+          });
+        }
+        assignment.pattern = value.pattern.map(shift => ({ shift }));
+      }
+
+      if (value.endDate !== undefined) {
+        if (value.endDate && dateKeyToDate(value.endDate) < assignment.startDate) {
+          return res.status(400).json({
+            success: false,
+            message: 'End date must not be before start date'
+          });
+        }
+        assignment.endDate = value.endDate ? dateKeyToDate(value.endDate) : undefined;
+      }
+
+      if (value.notes !== undefined) {
+        assignment.notes = value.notes;
+      }
+
+      if (value.isActive !== undefined) {
+        assignment.isActive = value.isActive;
+      }
+
+      await assignment.save();
+      await assignment.populate('pattern.shift', 'name code startTime endTime');
+
+      res.json({
+        success: true,
+        message: 'Shift assignment updated successfully',
+        data: { assignment }
+      });
+    } catch (error) {
+      console.error('Update shift assignment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update shift assignment'
+      });
+    }
+  }
+
+  // @desc    Deactivate a shift assignment
+  // @route   DELETE /api/shifts/assignments/:id
+  // @access  Private (Admin/HR)
+  async deleteAssignment(req, res) {
+    try {
+      const assignment = await ShiftAssignment.findById(req.params.id);
+      if (!assignment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shift assignment not found'
+        });
+      }
+
+      if (!canManage(req, assignment)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage shift assignments in your organization'
+        });
+      }
+
+      assignment.isActive = false;
+      await assignment.save();
+
+      res.json({
+        success: true,
+        message: 'Shift assignment removed successfully'
+      });
+    } catch (error) {
+      console.error('Delete shift assignment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete shift assignment'
+      });
+    }
+  }
+
+  // @desc    Get the day-by-day shift roster for an organization
+  // @route   GET /api/shifts/roster
+  // @access  Private (Admin/HR)
+  async getRoster(req, res) {
+    try {
+      // Validate query parameters
+      const { error, value } = rosterQuerySchema.validate(req.query);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const organizationId = resolveOrganizationId(req, value.organization);
+      const organization = organizationId && await Organization.findById(organizationId);
+      if (!organization) {
+        return res.status(400).json({
+          success: false,
+          message: 'Organization is required'
+        });
+      }
+
+      const range = resolveRange(value, organization);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
+
+      const userQuery = { organization: organization._id, isActive: true, isApproved: true };
+      if (value.department) {
+        userQuery.department = value.department;
+      }
+      if (value.user) {
+        userQuery._id = value.user;
+      }
+
+      const users = await User.find(userQuery)
+        .select('firstName lastName employeeId department')
+        .sort({ department: 1, firstName: 1 });
+      const roster = await shiftService.getRoster(users, range.from, range.to, organization);
+
+      res.json({
+        success: true,
+        data: {
+          from: range.from,
+          to: range.to,
+          timezone: shiftService.getTimeZone(organization),
+          roster: users.map(user => ({
+            user,
+            days: roster.get(user._id.toString())
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Get shift roster error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch shift roster'
+      });
+    }
+  }
+
+  // @desc    Get the current user's upcoming shifts
+  // @route   GET /api/shifts/my-schedule
+  // @access  Private
+  async getMySchedule(req, res) {
+    try {
+      // Validate query parameters
+      const { error, value } = rosterQuerySchema.validate(req.query);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const organization = req.user.organization && await Organization.findById(req.user.organization);
+      if (!organization) {
+        return res.status(400).json({
+          success: false,
+          message: 'You are not part of an organization'
+        });
+      }
+
+      const range = resolveRange(value, organization);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
+
+      const roster = await shiftService.getRoster([req.user], range.from, range.to, organization);
+
+      res.json({
+        success: true,
+        data: {
+          from: range.from,
+          to: range.to,
+          timezone: shiftService.getTimeZone(organization),
+          days: roster.get(req.user._id.toString())
+        }
+      });
+    } catch (error) {
+      console.error('Get my schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch your schedule'
+      });
+    }
+  }
+}
+
+module.exports = new ShiftController();
@@ -0,0 +1,312 @@
+const Joi = require('joi');
+const Site = require('../models/Site');
+const User = require('../models/User');
+const geofenceService = require('../services/geofenceService');
+
+// Validation schemas
+const pointSchema = Joi.object({
+  latitude: Joi.number().min(-90).max(90).required(),
+  longitude: Joi.number().min(-180).max(180).required()
+});
+
+const geofenceSchema = Joi.object({
+  shape: Joi.string().valid('circle', 'polygon').default('circle'),
+  center: pointSchema.when('shape', { is: 'circle', then: Joi.required(), otherwise: Joi.forbidden() }),
+  radius: Joi.number().min(10).max(50000).when('shape', { is: 'circle', then: Joi.required(), otherwise: Joi.forbidden() }),
+  polygon: Joi.array().items(pointSchema).min(3).max(100)
+    .when('shape', { is: 'polygon', then: Joi.required(), otherwise: Joi.forbidden() })
+});
+
+const createSiteSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  address: Joi.string().trim().max(500).optional(),
+  geofence: geofenceSchema.required(),
+  outsideAction: Joi.string().valid('reject', 'flag').optional(),
+  organization: Joi.string().hex().length(24).optional()
+});
+
+const updateSiteSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  address: Joi.string().trim().max(500).allow('').optional(),
+  geofence: geofenceSchema.optional(),
+  outsideAction: Joi.string().valid('reject', 'flag').optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+const userSitesSchema = Joi.object({
+  allowedSites: Joi.array().items(Joi.string().hex().length(24)).unique().optional(),
+  geofenceExempt: Joi.boolean().optional()
+}).min(1);
+
+// Utility function to format Joi errors
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.details.map(detail => detail.message)
+});
+
+// Admins and HR work within their own organization; super-admins name one
+const resolveOrganizationId = (req, requested) => (
+  req.user.role === 'super-admin' ? requested : req.user.organization
+);
+
+const canManage = (req, document) => (
+  req.user.role === 'super-admin' || (req.user.organization && req.user.organization.equals(document.organization))
+);
+
+class SiteController {
+  // @desc    Get work sites
+  // @route   GET /api/sites
+  // @access  Private (Admin/HR)
+  async getSites(req, res) {
+    try {
+      const query = {};
+
+      const organization = resolveOrganizationId(req, req.query.organization);
+      if (organization) {
+        query.organization = organization;
+      }
+
+      if (req.query.includeInactive !== 'true') {
+        query.isActive = true;
+      }
+
+      const sites = await Site.find(query).sort({ name: 1 });
+
+      res.json({
+        success: true,
+        data: { sites }
+      });
+    } catch (error) {
+      console.error('Get sites error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sites'
+      });
+    }
+  }
+
+  // @desc    Get the sites the current user may check in at
+  // @route   GET /api/sites/my-sites
+  // @access  Private
+  async getMySites(req, res) {
+    try {
+      const sites = req.user.organization ? await geofenceService.getSitesFor(req.user) : [];
+
+      res.json({
+        success: true,
+        data: {
+          sites,
+          geofenceExempt: !!req.user.geofenceExempt
+        }
+      });
+    } catch (error) {
+      console.error('Get my sites error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sites'
+      });
+    }
+  }
+
+  // @desc    Create a work site
+  // @route   POST /api/sites
+  // @access  Private (Admin/HR)
+  async createSite(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = createSiteSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const organization = resolveOrganizationId(req, value.organization);
+      if (!organization) {
+        return res.status(400).json({
+          success: false,
+          message: 'Organization is required'
+        });
+      }
+
+      const existingSite = await Site.findOne({ organization, name: value.name });
+      if (existingSite) {
+        return res.status(400).json({
+          success: false,
+          message: 'A site with this name already exists'
+        });
+      }
+
+      const site = new Site({
+        ...value,
+        organization,
+        createdBy: req.user._id
+      });
+      await site.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Site created successfully',
+        data: { site }
+      });
+    } catch (error) {
+      console.error('Create site error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create site'
+      });
+    }
+  }
+
+  // @desc    Update a work site
+  // @route   PUT /api/sites/:id
+  // @access  Private (Admin/HR)
+  async updateSite(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = updateSiteSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const site = await Site.findById(req.params.id);
+      if (!site) {
+        return res.status(404).json({
+          success: false,
+          message: 'Site not found'
+        });
+      }
+
+      if (!canManage(req, site)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage sites in your organization'
+        });
+      }
+
+      // A new geofence replaces the old one entirely (a circle and a polygon don't mix)
+      if (value.geofence) {
+        site.geofence = undefined;
+      }
+      site.set(value);
+      await site.save();
+
+      res.json({
+        success: true,
+        message: 'Site updated successfully',
+        data: { site }
+      });
+    } catch (error) {
+      console.error('Update site error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update site'
+      });
+    }
+  }
+
+  // @desc    Deactivate a work site
+  // @route   DELETE /api/sites/:id
+  // @access  Private (Admin/HR)
+  async deleteSite(req, res) {
+    try {
+      const site = await Site.findById(req.params.id);
+      if (!site) {
+        return res.status(404).json({
+          success: false,
+          message: 'Site not found'
+        });
+      }
+
+      if (!canManage(req, site)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage sites in your organization'
+        });
+      }
+
+      // Sites are referenced by attendance records, so they are only deactivated
+      site.isActive = false;
+      await site.save();
+
+      res.json({
+        success: true,
+        message: 'Site deactivated successfully'
+      });
+    } catch (error) {
+      console.error('Delete site error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete site'
+      });
+    }
+  }
+
+  // @desc    Set the sites a user may check in at, or exempt them from geofencing
+  // @route   PUT /api/sites/users/:userId
+  // @access  Private (Admin/HR)
+  async updateUserSites(req, res) {
+    try {
+      // Validate request body
+      const { error, value } = userSitesSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+
+      const user = await User.findById(req.params.userId);
+      if (!user || !user.organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (!canManage(req, user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage users in your organization'
+        });
+      }
+
+      if (value.allowedSites) {
+        const count = await Site.countDocuments({
+          _id: { $in: value.allowedSites },
+          organization: user.organization,
+          isActive: true
+        });
+        if (count !== value.allowedSites.length) {
+          return res.status(400).json({
+            success: false,
+            message: 'Some sites do not exist or are inactive in this organization'
+          });
+        }
+        user.allowedSites = value.allowedSites;
+      }
+
+      if (value.geofenceExempt !== undefined) {
+        user.geofenceExempt = value.geofenceExempt;
+      }
+
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'User sites updated successfully',
+        data: {
+          user: {
+            _id: user._id,
+            allowedSites: user.allowedSites,
+            geofenceExempt: user.geofenceExempt
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Update user sites error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update user sites'
+      });
+    }
+  }
+}
+
+module.exports = new SiteController();
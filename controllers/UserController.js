@@ -1,6 +1,11 @@
 const Joi = require('joi');
 const User = require('../models/User');
 const Attendance = require('../models/Attendance');
+const Organization = require('../models/Organization');
+const faceIndexService = require('../services/faceIndexService');
+const attendanceService = require('../services/attendanceService');
+const leaveService = require('../services/leaveService');
+const { getOrganizationTimeZone } = require('../utils/time');
 const fs = require('fs').promises;
 
 // Validation schemas
@@ -181,10 +186,18 @@ class UserController {
 
       const total = await User.countDocuments(query);
 
+      // Each user's "today" is in their organization's time zone
+      const organizations = await Organization.find({
+        _id: { $in: users.map(user => user.organization).filter(Boolean) }
+      }).select('settings.timezone');
+      const timeZones = new Map(organizations.map(org => [org._id.toString(), getOrganizationTimeZone(org)]));
+
       // Get attendance stats for each user
       const usersWithStats = await Promise.all(
         users.map(async (user) => {
-          const todayAttendance = await Attendance.getTodayAttendance(user._id);
+          const timeZone = user.organization && timeZones.get(user.organization.toString());
+          const todayAttendance = (await Attendance.getTodayAttendance(user._id, timeZone))
+            .filter(att => att.isCounted);
           const hasCheckedIn = todayAttendance.some(att => att.type === 'check-in');
           const hasCheckedOut = todayAttendance.some(att => att.type === 'check-out');
           
@@ -291,6 +304,9 @@ class UserController {
 
       await user.save();
 
+      // Status and face data changes affect who the face index can match
+      faceIndexService.updateUser(user);
+
       res.json({
         success: true,
         message: `User ${action}d successfully`,
@@ -369,22 +385,16 @@ class UserController {
         { $sort: { count: -1 } }
       ]);
 
-      // Get today's attendance stats
-      const today = new Date();
-      const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-      const endOfDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000);
-
-      let attendanceQuery = {
-        checkInTime: { $gte: startOfDay, $lt: endOfDay }
-      };
+      // Get today's attendance stats, "today" being each organization's day in its own time zone
+      // (admins only see their organization)
+      const organizations = await Organization.find(
+        req.user.role === 'admin' ? { _id: req.user.organization } : {}
+      ).select('settings.timezone');
 
-      // Add organization filter for admin
-      if (req.user.role === 'admin') {
-        attendanceQuery.organization = req.user.organization;
-      }
+      const attendanceQuery = attendanceService.getTodayFilter(organizations);
 
       const todayAttendance = await Attendance.aggregate([
-        { $match: attendanceQuery },
+        { $match: { ...attendanceQuery, ...Attendance.countedFilter() } },
         {
           $group: {
             _id: '$type',
@@ -398,6 +408,9 @@ class UserController {
         return acc;
       }, {});
 
+      // Users on approved leave today
+      const todayOnLeave = (await leaveService.getUsersOnLeaveToday(organizations)).length;
+
       res.json({
         success: true,
         data: {
@@ -410,7 +423,8 @@ class UserController {
             aadhaarVerified: aadhaarVerifiedUsers
           },
           departmentStats,
-          todayAttendance: attendanceStats
+          todayAttendance: attendanceStats,
+          todayOnLeave
         }
       });
     } catch (error) {
@@ -466,6 +480,7 @@ class UserController {
       }
 
       await User.findByIdAndDelete(req.params.id);
+      faceIndexService.removeUser(user._id, user.organization);
 
       res.json({
         success: true,
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Device = require('../models/Device');
 
 // Middleware to verify JWT token
 const authenticate = async (req, res, next) => {
@@ -62,6 +63,40 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Middleware to verify a kiosk device credential
+const authenticateDevice = async (req, res, next) => {
+  try {
+    const apiKey = req.header('X-Device-Key');
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No device key provided.'
+      });
+    }
+
+    const device = await Device.findByApiKey(apiKey);
+
+    if (!device) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or revoked device key.'
+      });
+    }
+
+    await device.updateOne({ lastSeenAt: new Date() });
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error('Device authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Device authentication failed.'
+    });
+  }
+};
+
 // Middleware to check if user is approved
 const requireApproval = (req, res, next) => {
   if (!req.user.isApproved) {
@@ -189,6 +224,7 @@ const sensitiveOperationLimit = (maxAttempts = 5, windowMs = 15 * 60 * 1000) =>
 
 module.exports = {
   authenticate,
+  authenticateDevice,
   requireApproval,
   requireFaceEnrollment,
   authorize,
@@ -0,0 +1,83 @@
+// Convert legacy face descriptors (bare number arrays) into versioned face templates.
+//
+// Usage: node migrations/20261019-face-template-versioning.js [--dry-run] [--model <name>] [--model-version <version>]
+//
+// Legacy descriptors carry no model information, so they are tagged with the model given on the
+// command line, or with the current face model (FACE_MODEL_NAME / FACE_MODEL_VERSION) by default.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const faceTemplateService = require('../services/faceTemplateService');
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const migrate = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const current = faceTemplateService.getCurrentModel();
+  const model = {
+    model: getArg('--model') || current.model,
+    modelVersion: getArg('--model-version') || current.modelVersion
+  };
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/attendance_system');
+  console.log(`Tagging legacy face descriptors as ${model.model}@${model.modelVersion}${dryRun ? ' (dry run)' : ''}`);
+
+  // Read the raw documents; the User schema can no longer cast the legacy shape
+  const cursor = User.collection.find(
+    { 'faceDescriptors.0': { $exists: true } },
+    { projection: { faceDescriptors: 1, faceImages: 1, updatedAt: 1 } }
+  );
+
+  let scanned = 0;
+  let migrated = 0;
+  let operations = [];
+
+  for await (const user of cursor) {
+    scanned += 1;
+
+    if (!user.faceDescriptors.some(Array.isArray)) continue;
+
+    const templates = user.faceDescriptors.map((descriptor, index) => {
+      if (!Array.isArray(descriptor)) return descriptor;
+
+      // Samples were pushed together with their image, so the image date is the enrollment date
+      const image = user.faceImages && user.faceImages[index];
+      const template = faceTemplateService.createTemplate(descriptor, {
+        model,
+        enrolledAt: (image && image.uploadDate) || user.updatedAt || new Date()
+      });
+
+      return { _id: new mongoose.Types.ObjectId(), ...template };
+    });
+
+    migrated += 1;
+    operations.push({
+      updateOne: {
+        filter: { _id: user._id },
+        update: { $set: { faceDescriptors: templates } }
+      }
+    });
+
+    if (operations.length >= 500) {
+      if (!dryRun) await User.collection.bulkWrite(operations);
+      operations = [];
+    }
+  }
+
+  if (operations.length && !dryRun) {
+    await User.collection.bulkWrite(operations);
+  }
+
+  console.log(`Scanned ${scanned} users with face data, migrated ${migrated}`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Face template migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,68 @@
+// Recompute the workday label (`date`) of existing attendance records in each organization's time zone.
+//
+// Usage: node migrations/20261020-attendance-workday-timezone.js [--dry-run]
+//
+// Older records were labelled with the server's local midnight. Records evaluated against a
+// scheduled shift already carry the shift's workday (which may differ from the check-in's
+// calendar date for night shifts), so they are left alone.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Attendance = require('../models/Attendance');
+const Organization = require('../models/Organization');
+const { getOrganizationTimeZone, toDateKey, dateKeyToDate } = require('../utils/time');
+
+const migrate = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/attendance_system');
+
+  const organizations = await Organization.find().select('name settings.timezone');
+
+  for (const organization of organizations) {
+    const timeZone = getOrganizationTimeZone(organization);
+
+    const cursor = Attendance.collection.find(
+      { organization: organization._id, scheduledStart: { $exists: false } },
+      { projection: { date: 1, checkInTime: 1 } }
+    );
+
+    let scanned = 0;
+    let changed = 0;
+    let operations = [];
+
+    for await (const record of cursor) {
+      scanned += 1;
+      if (!record.checkInTime) continue;
+
+      const date = dateKeyToDate(toDateKey(record.checkInTime, timeZone));
+      if (record.date && record.date.getTime() === date.getTime()) continue;
+
+      changed += 1;
+      operations.push({
+        updateOne: {
+          filter: { _id: record._id },
+          update: { $set: { date } }
+        }
+      });
+
+      if (operations.length >= 1000) {
+        if (!dryRun) await Attendance.collection.bulkWrite(operations);
+        operations = [];
+      }
+    }
+
+    if (operations.length && !dryRun) {
+      await Attendance.collection.bulkWrite(operations);
+    }
+
+    console.log(`${organization.name} (${timeZone}): scanned ${scanned}, relabelled ${changed}${dryRun ? ' (dry run)' : ''}`);
+  }
+};
+
+migrate()
+  .catch(error => {
+    console.error('Attendance workday migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
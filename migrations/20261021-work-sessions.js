@@ -0,0 +1,125 @@
+// Build work sessions from existing attendance punches.
+//
+// Usage: node migrations/20261021-work-sessions.js [--dry-run]
+//
+// Punches recorded before work sessions existed are replayed in order per user and workday:
+// each check-in opens a session, breaks are paired inside it and a check-out closes it, filling
+// in break time and worked time on the punch records as the live code would.
+// Punches that don't fit (e.g. a check-out without a check-in) are left unlinked.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Attendance = require('../models/Attendance');
+const Organization = require('../models/Organization');
+const WorkSession = require('../models/WorkSession');
+const attendanceService = require('../services/attendanceService');
+
+const migrate = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/attendance_system');
+
+  const organizations = await Organization.find().select('settings.breaks');
+  const breakPolicies = new Map(organizations.map(organization => [
+    organization._id.toString(),
+    attendanceService.getBreakPolicy(organization)
+  ]));
+
+  const cursor = Attendance.collection
+    .find({ session: { $exists: false } })
+    .sort({ user: 1, date: 1, checkInTime: 1 })
+    .allowDiskUse();
+
+  let scanned = 0;
+  let linked = 0;
+  let created = 0;
+  let sessionDocs = [];
+  let operations = [];
+  let dayKey = null;
+  let daySessions = [];
+  let open = null;
+
+  const flush = async (force = false) => {
+    if (!force && operations.length < 1000) return;
+    if (!dryRun) {
+      if (sessionDocs.length) await WorkSession.collection.insertMany(sessionDocs);
+      if (operations.length) await Attendance.collection.bulkWrite(operations);
+    }
+    sessionDocs = [];
+    operations = [];
+  };
+
+  // Sessions are written once their workday has been fully replayed
+  const finishDay = () => {
+    daySessions.forEach(session => sessionDocs.push(session.toObject({ depopulate: true })));
+    created += daySessions.length;
+    daySessions = [];
+    open = null;
+  };
+
+  for await (const record of cursor) {
+    scanned += 1;
+    if (!record.user || !record.date || !record.checkInTime) continue;
+
+    const key = `${record.user}:${record.date.getTime()}`;
+    if (key !== dayKey) {
+      finishDay();
+      await flush();
+      dayKey = key;
+    }
+
+    const update = {};
+
+    if (record.type === 'check-in') {
+      if (open) continue; // a second check-in without a check-out
+      open = new WorkSession({
+        organization: record.organization,
+        user: record.user,
+        date: record.date,
+        shift: record.shift,
+        scheduledStart: record.scheduledStart,
+        scheduledEnd: record.scheduledEnd,
+        checkIn: record._id,
+        checkInTime: record.checkInTime
+      });
+      daySessions.push(open);
+    } else if (!open) {
+      continue;
+    } else if (record.type === 'break-start' && open.status === 'open') {
+      open.startBreak(record);
+    } else if (record.type === 'break-end' && open.status === 'on-break') {
+      const policy = breakPolicies.get(String(record.organization)) || attendanceService.getBreakPolicy(null);
+      const ended = open.endBreak(record, policy);
+      update.breakTime = ended.minutes;
+      update.unpaidBreakTime = ended.unpaidMinutes;
+    } else if (record.type === 'check-out' && open.status === 'open') {
+      open.close(record);
+      update.checkOutTime = record.checkInTime;
+      update.workingHours = open.workingMinutes;
+      open = null;
+    } else {
+      continue;
+    }
+
+    update.session = (open || daySessions[daySessions.length - 1])._id;
+    linked += 1;
+    operations.push({
+      updateOne: {
+        filter: { _id: record._id },
+        update: { $set: update }
+      }
+    });
+  }
+
+  finishDay();
+  await flush(true);
+
+  console.log(`Scanned ${scanned} punches, linked ${linked}, created ${created} sessions${dryRun ? ' (dry run)' : ''}`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Work session migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
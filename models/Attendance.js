@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { getOrganizationTimeZone, toDateKey, dateKeyToDate } = require('../utils/time');
+
+// Only these records count toward attendance summaries; pending and rejected punches don't
+const COUNTED_STATUSES = ['approved', 'auto-approved'];
 
 const AttendanceSchema = new mongoose.Schema({
   user: {
@@ -13,13 +17,11 @@ const AttendanceSchema = new mongoose.Schema({
   },
   
   // Date and Time Information
+  // Workday label: UTC midnight of the calendar date in the organization's time zone
   date: {
     type: Date,
     required: true,
-    default: () => {
-      const today = new Date();
-      return new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    }
+    default: () => dateKeyToDate(new Date().toISOString().slice(0, 10))
   },
   checkInTime: {
     type: Date,
@@ -30,6 +32,42 @@ const AttendanceSchema = new mongoose.Schema({
     type: Date
   },
   
+  // Work session this punch belongs to (opened by its check-in)
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkSession'
+  },
+  
+  // Shift Information (snapshot of the schedule the punch was evaluated against)
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  scheduledStart: {
+    type: Date
+  },
+  scheduledEnd: {
+    type: Date
+  },
+  
+  // Punctuality (first check-in of the workday / each check-out, against the scheduled shift)
+  arrivalStatus: {
+    type: String,
+    enum: ['on-time', 'late', 'very-late']
+  },
+  lateMinutes: {
+    type: Number,
+    default: 0
+  },
+  departureStatus: {
+    type: String,
+    enum: ['early', 'normal']
+  },
+  earlyDepartureMinutes: {
+    type: Number,
+    default: 0
+  },
+  
   // Attendance Type
   type: {
     type: String,
@@ -40,7 +78,7 @@ const AttendanceSchema = new mongoose.Schema({
   // Recognition Method
   recognitionMethod: {
     type: String,
-    enum: ['face-recognition', 'manual', 'aadhaar-assisted'],
+    enum: ['face-recognition', 'manual', 'aadhaar-assisted', 'system'],
     default: 'face-recognition'
   },
   
@@ -50,6 +88,12 @@ const AttendanceSchema = new mongoose.Schema({
     min: 0,
     max: 1
   },
+  faceMatch: {
+    distance: Number, // Euclidean distance to the closest enrolled descriptor
+    threshold: Number, // Threshold in force when the match was computed
+    matched: Boolean,
+    borderline: Boolean // accepted, but just under the threshold
+  },
   faceImage: {
     filename: String,
     path: String, // Local file path (deprecated)
@@ -57,12 +101,44 @@ const AttendanceSchema = new mongoose.Schema({
     cloudinaryPublicId: String // Cloudinary public ID for deletion
   },
   
+  // Passive Liveness (anti-spoofing) Verdict
+  liveness: {
+    verdict: {
+      type: String,
+      enum: ['passed', 'failed', 'skipped', 'not-applicable']
+    },
+    reason: String, // Why the checks were skipped or don't apply
+    checks: [{
+      _id: false,
+      name: String,
+      passed: Boolean,
+      value: mongoose.Schema.Types.Mixed,
+      detail: String
+    }],
+    imageHash: String, // Perceptual hash used to detect reused photos
+    checkedAt: Date
+  },
+  
   // Location Information
   location: {
     latitude: Number,
     longitude: Number,
     address: String
   },
+  // Geofence result (check-ins only)
+  geofence: {
+    status: {
+      type: String,
+      enum: ['inside', 'outside', 'other-site', 'no-location', 'no-active-site', 'exempt', 'not-configured']
+    },
+    site: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Site'
+    },
+    distance: {
+      type: Number // metres from the site's fence (0 when inside)
+    }
+  },
   ipAddress: {
     type: String
   },
@@ -83,21 +159,34 @@ const AttendanceSchema = new mongoose.Schema({
   approvedDate: {
     type: Date
   },
+  // Set when an approved regularization request created or corrected this record
+  regularization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegularizationRequest'
+  },
   rejectionReason: {
     type: String
   },
+  reviewFlags: [{
+    type: String,
+    enum: [
+      'face-not-verified', 'low-face-confidence', 'liveness-failed', 'liveness-not-checked',
+      'borderline-face-match', 'break-exceeded', 'auto-checked-out', 'missed-check-out',
+      'outside-geofence'
+    ]
+  }],
   
   // Attendance Metrics
   workingHours: {
-    type: Number, // in minutes
+    type: Number, // in minutes (on check-out records: the session's worked time)
     default: 0
   },
   breakTime: {
-    type: Number, // in minutes
+    type: Number, // in minutes (on break-end records: the length of that break)
     default: 0
   },
-  overtime: {
-    type: Number, // in minutes
+  unpaidBreakTime: {
+    type: Number, // in minutes, the part of the break deducted from working time
     default: 0
   },
   
@@ -112,6 +201,12 @@ const AttendanceSchema = new mongoose.Schema({
   deviceId: {
     type: String
   },
+  // ID generated by the device for an offline punch, used to deduplicate re-sent batches
+  clientId: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
   
   // Notes and Comments
   notes: {
@@ -131,8 +226,16 @@ AttendanceSchema.index({ user: 1, date: 1 });
 AttendanceSchema.index({ user: 1, type: 1, createdAt: -1 });
 AttendanceSchema.index({ date: 1, status: 1 });
 AttendanceSchema.index({ isOfflineEntry: 1, syncedAt: 1 });
+AttendanceSchema.index(
+  { organization: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
 AttendanceSchema.index({ organization: 1, date: 1 });
 AttendanceSchema.index({ organization: 1, user: 1, date: 1 });
+AttendanceSchema.index({ shift: 1, date: 1 });
+AttendanceSchema.index({ session: 1 });
+AttendanceSchema.index({ organization: 1, arrivalStatus: 1, date: 1 });
+AttendanceSchema.index({ organization: 1, 'liveness.imageHash': 1, createdAt: -1 });
 
 // Virtual for formatted date
 AttendanceSchema.virtual('formattedDate').get(function() {
@@ -149,6 +252,11 @@ AttendanceSchema.virtual('formattedCheckOutTime').get(function() {
   return this.checkOutTime ? this.checkOutTime.toLocaleTimeString() : null;
 });
 
+// Virtual for whether the record counts toward summaries
+AttendanceSchema.virtual('isCounted').get(function() {
+  return COUNTED_STATUSES.includes(this.status);
+});
+
 // Virtual for total working hours (formatted)
 AttendanceSchema.virtual('formattedWorkingHours').get(function() {
   const hours = Math.floor(this.workingHours / 60);
@@ -156,26 +264,30 @@ AttendanceSchema.virtual('formattedWorkingHours').get(function() {
   return `${hours}h ${minutes}m`;
 });
 
-// Static method to get today's attendance for a user
-AttendanceSchema.statics.getTodayAttendance = function(userId) {
-  const today = new Date();
-  const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-  const endOfDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000);
-  
+// Static method to get today's attendance for a user (today in the given time zone)
+AttendanceSchema.statics.getTodayAttendance = function(userId, timeZone) {
   return this.find({
     user: userId,
-    checkInTime: { $gte: startOfDay, $lt: endOfDay }
+    date: dateKeyToDate(toDateKey(new Date(), timeZone || getOrganizationTimeZone(null)))
   }).sort({ checkInTime: -1 });
 };
 
-// Static method to get attendance summary for a date range
+// Static method to get the query condition for records that count toward summaries
+AttendanceSchema.statics.countedFilter = function() {
+  return { status: { $in: COUNTED_STATUSES } };
+};
+
+// Static method to get attendance summary for a date range.
+// Overtime comes from the workday's overtime entry (approved minutes only once reviewed).
 AttendanceSchema.statics.getAttendanceSummary = function(userId, startDate, endDate) {
+  const user = new mongoose.Types.ObjectId(userId);
+
   return this.aggregate([
     {
       $match: {
-        user: new mongoose.Types.ObjectId(userId),
+        user,
         date: { $gte: startDate, $lte: endDate },
-        status: { $in: ['approved', 'auto-approved'] }
+        status: { $in: COUNTED_STATUSES }
       }
     },
     {
@@ -183,50 +295,44 @@ AttendanceSchema.statics.getAttendanceSummary = function(userId, startDate, endD
         _id: '$date',
         totalWorkingHours: { $sum: '$workingHours' },
         totalBreakTime: { $sum: '$breakTime' },
-        totalOvertime: { $sum: '$overtime' },
         checkInTime: { $first: '$checkInTime' },
         checkOutTime: { $last: '$checkOutTime' },
         attendanceCount: { $sum: 1 }
       }
     },
+    {
+      $lookup: {
+        from: mongoose.model('OvertimeEntry').collection.name,
+        let: { date: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$user', user] }, { $eq: ['$date', '$$date'] }] } } }
+        ],
+        as: 'overtimeEntries'
+      }
+    },
+    {
+      $addFields: {
+        totalOvertime: { $sum: '$overtimeEntries.minutes' },
+        approvedOvertime: {
+          $sum: {
+            $map: {
+              input: '$overtimeEntries',
+              as: 'entry',
+              in: { $cond: [{ $eq: ['$$entry.status', 'approved'] }, '$$entry.approvedMinutes', 0] }
+            }
+          }
+        }
+      }
+    },
+    {
+      $project: { overtimeEntries: 0 }
+    },
     {
       $sort: { '_id': 1 }
     }
   ]);
 };
 
-// Static method to calculate working hours between check-in and check-out
-AttendanceSchema.statics.calculateWorkingHours = function(checkIn, checkOut, breakTime = 0) {
-  if (!checkOut) return 0;
-  
-  const diffInMs = checkOut - checkIn;
-  const totalMinutes = Math.floor(diffInMs / (1000 * 60));
-  return Math.max(0, totalMinutes - breakTime);
-};
-
-// Method to mark check-out and calculate working hours
-AttendanceSchema.methods.markCheckOut = function(checkOutTime = new Date()) {
-  this.checkOutTime = checkOutTime;
-  this.type = 'check-out';
-  
-  // Calculate working hours (assuming 1 hour break if more than 6 hours)
-  const totalMinutes = AttendanceSchema.statics.calculateWorkingHours(
-    this.checkInTime, 
-    checkOutTime, 
-    this.breakTime
-  );
-  
-  this.workingHours = totalMinutes;
-  
-  // Calculate overtime (assuming 8 hours standard work day)
-  const standardWorkDay = 8 * 60; // 8 hours in minutes
-  if (totalMinutes > standardWorkDay) {
-    this.overtime = totalMinutes - standardWorkDay;
-  }
-  
-  return this.save();
-};
-
 // Method to sync offline entry
 AttendanceSchema.methods.syncOfflineEntry = function() {
   this.isOfflineEntry = false;
@@ -234,11 +340,18 @@ AttendanceSchema.methods.syncOfflineEntry = function() {
   return this.save();
 };
 
-// Pre-save middleware to set date from checkInTime
-AttendanceSchema.pre('save', function(next) {
-  if (this.isNew && this.checkInTime) {
-    const checkInDate = new Date(this.checkInTime);
-    this.date = new Date(checkInDate.getFullYear(), checkInDate.getMonth(), checkInDate.getDate());
+// Pre-save middleware to set date from checkInTime in the organization's time zone
+// (unless the workday was set explicitly)
+AttendanceSchema.pre('save', async function(next) {
+  if (this.isNew && this.checkInTime && this.$isDefault('date')) {
+    try {
+      const organization = await mongoose.model('Organization')
+        .findById(this.organization)
+        .select('settings.timezone');
+      this.date = dateKeyToDate(toDateKey(this.checkInTime, getOrganizationTimeZone(organization)));
+    } catch (error) {
+      return next(error);
+    }
   }
   next();
 });
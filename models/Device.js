@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const DeviceSchema = new mongoose.Schema({
+  // Basic Information
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    enum: ['kiosk'],
+    default: 'kiosk'
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Work site the kiosk is installed at; its check-ins are validated against it
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Site'
+  },
+
+  // Device Credential (only the hash is stored; the key is shown once at registration)
+  apiKeyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  apiKeyPrefix: {
+    type: String
+  },
+
+  // Status
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastSeenAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+DeviceSchema.index({ organization: 1, isActive: 1 });
+DeviceSchema.index({ apiKeyHash: 1 }, { unique: true });
+
+// Hash a raw device key for storage and lookup
+const hashApiKey = (apiKey) => crypto
+  .createHash('sha256')
+  .update(apiKey)
+  .digest('hex');
+
+// Method to generate a new device API key
+DeviceSchema.methods.generateApiKey = function() {
+  const apiKey = `dev_${crypto.randomBytes(32).toString('hex')}`;
+
+  this.apiKeyHash = hashApiKey(apiKey);
+  this.apiKeyPrefix = apiKey.slice(0, 12);
+
+  return apiKey;
+};
+
+// Static method to find an active device by its raw API key
+DeviceSchema.statics.findByApiKey = function(apiKey) {
+  return this.findOne({ apiKeyHash: hashApiKey(apiKey), isActive: true });
+};
+
+module.exports = mongoose.model('Device', DeviceSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// A holiday in a calendar, one day or a range of days.
+//  - 'public': everyone covered by the calendar is off
+//  - 'optional': work goes on, but anyone may take the day off without it counting as an absence
+//  - 'restricted': a day off only for employees who opt in (a limited number per year)
+const HolidaySchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  calendar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HolidayCalendar',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Workday labels (UTC midnight of the calendar date), inclusive
+  date: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['public', 'optional', 'restricted'],
+    default: 'public'
+  },
+
+  // Employees who chose to take a restricted holiday
+  optedIn: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // iCalendar UID, so re-importing a file updates holidays instead of duplicating them
+  uid: {
+    type: String,
+    trim: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+HolidaySchema.index({ calendar: 1, date: 1 });
+HolidaySchema.index({ organization: 1, date: 1, endDate: 1 });
+HolidaySchema.index({ calendar: 1, uid: 1 }, { unique: true, partialFilterExpression: { uid: { $type: 'string' } } });
+
+// End defaults to the start (a single day) and can't come before it
+HolidaySchema.pre('validate', function(next) {
+  if (!this.endDate) {
+    this.endDate = this.date;
+  }
+  if (this.date && this.endDate < this.date) {
+    this.invalidate('endDate', 'The end date cannot be before the start date');
+  }
+  next();
+});
+
+// Whether the holiday is a day off for a user
+HolidaySchema.methods.appliesTo = function(userId) {
+  return this.type !== 'restricted' || this.optedIn.some(id => id.equals(userId));
+};
+
+module.exports = mongoose.model('Holiday', HolidaySchema);
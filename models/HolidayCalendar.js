@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A named set of holidays for a whole organization, or for the employees of one site
+const HolidayCalendarSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Unset for organization-wide calendars; otherwise applies to employees assigned to the site
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Site'
+  },
+
+  // Secret for the public ICS feed (only the hash is stored; the URL is shown once when issued)
+  feedTokenHash: {
+    type: String,
+    select: false
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+HolidayCalendarSchema.index({ organization: 1, name: 1 }, { unique: true });
+HolidayCalendarSchema.index({ feedTokenHash: 1 }, { unique: true, sparse: true });
+
+// Hash a raw feed token for storage and lookup
+const hashFeedToken = (token) => crypto
+  .createHash('sha256')
+  .update(token)
+  .digest('hex');
+
+// Method to issue a new feed token (replacing any previous one)
+HolidayCalendarSchema.methods.generateFeedToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.feedTokenHash = hashFeedToken(token);
+  return token;
+};
+
+// Static method to find an active calendar by its raw feed token
+HolidayCalendarSchema.statics.findByFeedToken = function(token) {
+  return this.findOne({ feedTokenHash: hashFeedToken(token), isActive: true });
+};
+
+module.exports = mongoose.model('HolidayCalendar', HolidayCalendarSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A "possible duplicate identity" case: two user accounts whose enrolled faces are too close
+const IdentityCaseSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  matchedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  matchedOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  // Cases spanning two organizations are only visible to super-admins
+  crossOrganization: {
+    type: Boolean,
+    default: false
+  },
+  distance: {
+    type: Number,
+    required: true
+  },
+  threshold: {
+    type: Number
+  },
+  source: {
+    type: String,
+    enum: ['enrollment', 'scan'],
+    default: 'enrollment'
+  },
+
+  // Resolution
+  status: {
+    type: String,
+    enum: ['open', 'confirmed', 'dismissed'],
+    default: 'open'
+  },
+  resolutionNotes: {
+    type: String,
+    maxlength: 500
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+IdentityCaseSchema.index({ organization: 1, status: 1, createdAt: -1 });
+IdentityCaseSchema.index({ user: 1, matchedUser: 1 });
+IdentityCaseSchema.index({ crossOrganization: 1, status: 1 });
+
+// Static method to find any existing case for a pair of users, in either order
+IdentityCaseSchema.statics.findForPair = function(userId, otherUserId) {
+  return this.findOne({
+    $or: [
+      { user: userId, matchedUser: otherUserId },
+      { user: otherUserId, matchedUser: userId }
+    ]
+  });
+};
+
+module.exports = mongoose.model('IdentityCase', IdentityCaseSchema);
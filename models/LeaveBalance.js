@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A user's balance of one leave type for one calendar year. Days are counted in working days
+// (half days allowed); what has accrued so far is derived from the leave type when read.
+const LeaveBalanceSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  leaveType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveType',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+
+  // The type's annual allowance when the balance was opened
+  entitlement: {
+    type: Number,
+    default: 0
+  },
+  carriedForward: {
+    type: Number,
+    default: 0
+  },
+
+  // Manual corrections by admins (positive or negative)
+  adjustment: {
+    type: Number,
+    default: 0
+  },
+  adjustmentNotes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Days taken by approved requests, and held by requests awaiting review
+  used: {
+    type: Number,
+    default: 0
+  },
+  pending: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+LeaveBalanceSchema.index({ user: 1, leaveType: 1, year: 1 }, { unique: true });
+LeaveBalanceSchema.index({ organization: 1, year: 1 });
+
+module.exports = mongoose.model('LeaveBalance', LeaveBalanceSchema);
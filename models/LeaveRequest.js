@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// An employee's request for leave over a range of workdays
+const LeaveRequestSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  leaveType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveType',
+    required: true
+  },
+
+  // Workday labels (UTC midnight of the calendar date in the organization's time zone), inclusive
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  halfDay: {
+    type: Boolean,
+    default: false
+  },
+
+  // The scheduled working days the leave covers, and the days deducted (0.5 for a half day)
+  dates: [{
+    type: Date
+  }],
+  days: {
+    type: Number,
+    required: true,
+    min: 0.5
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+LeaveRequestSchema.index({ organization: 1, status: 1, createdAt: -1 });
+LeaveRequestSchema.index({ user: 1, startDate: -1 });
+LeaveRequestSchema.index({ organization: 1, status: 1, dates: 1 });
+
+module.exports = mongoose.model('LeaveRequest', LeaveRequestSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// A kind of leave an organization grants (annual, sick, unpaid...) and how it accrues
+const LeaveTypeSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    maxlength: 10
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Paid leave counts as paid time in payroll; unpaid leave only excuses the absence
+  isPaid: {
+    type: Boolean,
+    default: true
+  },
+
+  // Days granted per calendar year; 0 means the type is not limited by a balance
+  annualAllowance: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 366
+  },
+
+  // 'upfront' grants the whole allowance on January 1st, 'monthly' a twelfth at the start of each month
+  accrual: {
+    type: String,
+    enum: ['upfront', 'monthly'],
+    default: 'upfront'
+  },
+
+  // Unused days moved to the next year, at most
+  carryForwardLimit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  allowHalfDay: {
+    type: Boolean,
+    default: true
+  },
+  allowNegativeBalance: {
+    type: Boolean,
+    default: false
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+LeaveTypeSchema.index({ organization: 1, code: 1 }, { unique: true });
+LeaveTypeSchema.index({ organization: 1, isActive: 1 });
+
+// Whether requests are limited by (and deducted from) a yearly balance
+LeaveTypeSchema.virtual('tracksBalance').get(function() {
+  return this.annualAllowance > 0;
+});
+
+LeaveTypeSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('LeaveType', LeaveTypeSchema);
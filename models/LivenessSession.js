@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const LivenessSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+
+  // Challenge
+  challenge: {
+    type: String,
+    enum: ['turn-head-left', 'turn-head-right', 'blink', 'smile', 'nod'],
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Status
+  status: {
+    type: String,
+    enum: ['issued', 'verified', 'failed', 'consumed'],
+    default: 'issued'
+  },
+  failureReason: {
+    type: String
+  },
+  verifiedAt: {
+    type: Date
+  },
+
+  // One-time Liveness Token (only the hash is stored)
+  tokenHash: {
+    type: String
+  },
+  tokenExpiresAt: {
+    type: Date
+  },
+  consumedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+LivenessSessionSchema.index({ user: 1, createdAt: -1 });
+LivenessSessionSchema.index({ tokenHash: 1 }, { sparse: true });
+// Clean up old sessions an hour after they expire
+LivenessSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+// Hash a raw liveness token for storage and lookup
+const hashToken = (token) => crypto
+  .createHash('sha256')
+  .update(token)
+  .digest('hex');
+
+// Method to mark the session verified and issue a one-time token
+LivenessSessionSchema.methods.issueToken = function(ttlMs = 5 * 60 * 1000) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.status = 'verified';
+  this.verifiedAt = new Date();
+  this.tokenHash = hashToken(token);
+  this.tokenExpiresAt = new Date(Date.now() + ttlMs);
+
+  return token;
+};
+
+// Static method to count a verification attempt on an open session, atomically so concurrent
+// attempts can't exceed the limit. Returns the updated session, or null when none is left.
+LivenessSessionSchema.statics.startAttempt = function(sessionId, maxAttempts) {
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      status: 'issued',
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: maxAttempts }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+// Filter matching a valid, unused token for a user
+const validTokenFilter = (token, userId) => ({
+  tokenHash: hashToken(token),
+  user: userId,
+  status: 'verified',
+  tokenExpiresAt: { $gt: new Date() }
+});
+
+// Static method to check a token is valid and unused without consuming it
+LivenessSessionSchema.statics.findValidToken = function(token, userId) {
+  return this.findOne(validTokenFilter(token, userId));
+};
+
+// Static method to atomically consume a valid, unused token for a user
+LivenessSessionSchema.statics.consumeToken = function(token, userId) {
+  return this.findOneAndUpdate(
+    validTokenFilter(token, userId),
+    {
+      $set: { status: 'consumed', consumedAt: new Date() }
+    },
+    { new: true }
+  );
+};
+
+// Static method to make a consumed token usable again when the punch it was spent on wasn't saved
+LivenessSessionSchema.statics.releaseToken = function(token, userId) {
+  return this.updateOne(
+    { tokenHash: hashToken(token), user: userId, status: 'consumed' },
+    { $set: { status: 'verified' }, $unset: { consumedAt: 1 } }
+  );
+};
+
+module.exports = mongoose.model('LivenessSession', LivenessSessionSchema);
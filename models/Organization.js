@@ -62,9 +62,124 @@ const OrganizationSchema = new mongoose.Schema({
       default: 'Asia/Kolkata'
     },
     lateThreshold: {
-      type: Number, // minutes
+      type: Number, // minutes after the scheduled start before a check-in is late
       default: 15
     },
+    veryLateThreshold: {
+      type: Number, // minutes after the scheduled start before a check-in is very late
+      default: 60
+    },
+    earlyDepartureThreshold: {
+      type: Number, // minutes before the scheduled end before a check-out is early
+      default: 15
+    },
+    breaks: {
+      // Paid breaks count as working time (up to maxBreakMinutes each); unpaid breaks are deducted
+      paid: {
+        type: Boolean,
+        default: false
+      },
+      // Longer breaks are flagged for review and the excess is never paid
+      maxBreakMinutes: {
+        type: Number,
+        default: 60
+      }
+    },
+    missedPunches: {
+      // Check-ins still open this long after the scheduled shift end are handled by the missed-punch job
+      graceMinutes: {
+        type: Number,
+        default: 120
+      },
+      // 'auto-close' checks the employee out at shift end, 'mark-missed' leaves the session without a check-out
+      action: {
+        type: String,
+        enum: ['auto-close', 'mark-missed'],
+        default: 'auto-close'
+      },
+      notifyEmployee: {
+        type: Boolean,
+        default: true
+      },
+      notifyAdmins: {
+        type: Boolean,
+        default: true
+      }
+    },
+    holidays: {
+      // How many restricted holidays an employee may opt into per calendar year
+      restrictedPerYear: {
+        type: Number,
+        default: 2
+      }
+    },
+    // Overtime policy; shifts can override the daily parts (see Shift.overtime)
+    overtime: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      // Minutes worked in a day before overtime starts; unset uses the length of the scheduled shift
+      dailyThresholdMinutes: {
+        type: Number
+      },
+      // Non-overtime minutes in a week before the rest counts as overtime; 0 turns the weekly rule off
+      weeklyThresholdMinutes: {
+        type: Number,
+        default: 2400
+      },
+      weekStartsOn: {
+        type: String,
+        enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+        default: 'Monday'
+      },
+      multiplier: {
+        type: Number,
+        default: 1.5
+      },
+      // Every minute worked on a day off or a holiday is overtime, paid at these rates
+      weekendMultiplier: {
+        type: Number,
+        default: 2
+      },
+      holidayMultiplier: {
+        type: Number,
+        default: 2
+      },
+      // Overtime is counted in whole blocks; the remainder is dropped
+      minimumBlockMinutes: {
+        type: Number,
+        default: 15
+      },
+      // Unset caps are unlimited
+      dailyCapMinutes: {
+        type: Number
+      },
+      weeklyCapMinutes: {
+        type: Number
+      }
+    },
+    // Column layout of payroll exports, matching what the payroll provider expects.
+    // No columns uses the default layout (see payrollService).
+    payrollExport: {
+      columns: [{
+        _id: false,
+        field: {
+          type: String,
+          required: true
+        },
+        header: {
+          type: String,
+          trim: true,
+          maxlength: 100
+        }
+      }],
+      delimiter: {
+        type: String,
+        enum: [',', ';', '\t'],
+        default: ','
+      }
+    },
     requireFaceRecognition: {
       type: Boolean,
       default: true
@@ -72,6 +187,103 @@ const OrganizationSchema = new mongoose.Schema({
     allowOfflineMode: {
       type: Boolean,
       default: true
+    },
+    faceEnrollment: {
+      minSamples: {
+        type: Number,
+        default: 3
+      },
+      maxSamples: {
+        type: Number,
+        default: 5
+      },
+      maxAttempts: {
+        type: Number,
+        default: 10
+      },
+      descriptorLength: {
+        type: Number,
+        default: 128
+      },
+      // Samples closer than this to an existing one are rejected as duplicates
+      minSampleDistance: {
+        type: Number,
+        default: 0.1
+      },
+      // Samples further than this from an existing one are rejected as a different person
+      maxSampleDistance: {
+        type: Number,
+        default: 0.5
+      }
+    },
+    liveness: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      // 'block' rejects the punch, 'flag' records it as pending for admin review
+      onFailure: {
+        type: String,
+        enum: ['block', 'flag'],
+        default: 'flag'
+      },
+      checks: {
+        texture: {
+          type: Boolean,
+          default: true
+        },
+        metadata: {
+          type: Boolean,
+          default: true
+        },
+        duplicate: {
+          type: Boolean,
+          default: true
+        }
+      }
+    },
+    // Unset matching parameters fall back to the server defaults (FACE_MATCH_THRESHOLD etc.)
+    faceMatching: {
+      threshold: {
+        type: Number
+      },
+      // Minimum gap between the best and second-best kiosk candidate
+      minMargin: {
+        type: Number
+      },
+      // Matches within this distance under the threshold are borderline
+      borderlineMargin: {
+        type: Number
+      },
+      borderlineAction: {
+        type: String,
+        enum: ['accept', 'review', 'reject']
+      },
+      // Keep very confident check-in probes as extra, expiring templates
+      adaptiveTemplates: {
+        enabled: {
+          type: Boolean,
+          default: false
+        },
+        // Only probes at least this close to the user's templates are kept
+        maxDistance: {
+          type: Number,
+          default: 0.35
+        },
+        maxTemplates: {
+          type: Number,
+          default: 3
+        },
+        ttlDays: {
+          type: Number,
+          default: 90
+        },
+        // Probes closer than this to an existing template add nothing new
+        minNovelty: {
+          type: Number,
+          default: 0.1
+        }
+      }
     }
   },
   
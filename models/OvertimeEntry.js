@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Overtime a user worked on one workday, as worked out by the organization's overtime policy.
+// It only becomes payable once a manager approves it.
+const OvertimeEntrySchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Workday label: UTC midnight of the calendar date in the organization's time zone
+  date: {
+    type: Date,
+    required: true
+  },
+
+  // Why the time counts as overtime: past the daily or weekly threshold, or worked on a day off or holiday
+  basis: {
+    type: String,
+    enum: ['daily', 'weekly', 'weekend', 'holiday'],
+    required: true
+  },
+
+  // Minutes worked that day and the overtime minutes after blocks and caps
+  workedMinutes: {
+    type: Number,
+    default: 0
+  },
+  minutes: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  multiplier: {
+    type: Number,
+    default: 1.5
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  // The reviewer may approve fewer minutes than were worked
+  approvedMinutes: {
+    type: Number,
+    min: 0
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+OvertimeEntrySchema.index({ user: 1, date: 1 }, { unique: true });
+OvertimeEntrySchema.index({ organization: 1, status: 1, date: 1 });
+
+// Virtual for the minutes to pay, weighted by the multiplier (nothing until approved)
+OvertimeEntrySchema.virtual('payableMinutes').get(function() {
+  return this.status === 'approved' ? Math.round(this.approvedMinutes * this.multiplier) : 0;
+});
+
+module.exports = mongoose.model('OvertimeEntry', OvertimeEntrySchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// An employee's request to correct a punch time or add a punch they missed.
+// Approval applies the change to the attendance record; the values it replaced are kept here.
+const RegularizationRequestSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 'correct-punch' changes the time of an existing record, 'add-punch' creates a missing one
+  kind: {
+    type: String,
+    enum: ['correct-punch', 'add-punch'],
+    required: true
+  },
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance'
+  },
+  punchType: {
+    type: String,
+    enum: ['check-in', 'check-out', 'break-start', 'break-end'],
+    required: true
+  },
+
+  // Workday label: UTC midnight of the calendar date in the organization's time zone
+  date: {
+    type: Date,
+    required: true
+  },
+  proposedTime: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Audit: the record's values just before the approved change was applied
+  original: {
+    type: {
+      type: String
+    },
+    checkInTime: {
+      type: Date
+    },
+    checkOutTime: {
+      type: Date
+    },
+    status: {
+      type: String
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+RegularizationRequestSchema.index({ organization: 1, status: 1, createdAt: -1 });
+RegularizationRequestSchema.index({ user: 1, createdAt: -1 });
+RegularizationRequestSchema.index({ attendance: 1, status: 1 });
+
+module.exports = mongoose.model('RegularizationRequest', RegularizationRequestSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { parseTime, zonedTimeToUtc } = require('../utils/time');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const ShiftSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: 10
+  },
+
+  // Wall-clock times in the organization's time zone; an end at or before the start crosses midnight
+  startTime: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+
+  // How early a check-in may count towards this shift
+  earlyCheckInMinutes: {
+    type: Number,
+    default: 120
+  },
+  // How long after the shift ends a check-out still counts towards it
+  lateCheckOutMinutes: {
+    type: Number,
+    default: 240
+  },
+
+  // Overrides of the organization's daily overtime rules on days worked on this shift; unset values inherit
+  overtime: {
+    dailyThresholdMinutes: {
+      type: Number
+    },
+    multiplier: {
+      type: Number
+    },
+    holidayMultiplier: {
+      type: Number
+    },
+    minimumBlockMinutes: {
+      type: Number
+    },
+    dailyCapMinutes: {
+      type: Number
+    }
+  },
+
+  color: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+ShiftSchema.index({ organization: 1, isActive: 1 });
+ShiftSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+// Virtual for shifts that end on the next calendar day
+ShiftSchema.virtual('crossesMidnight').get(function() {
+  return parseTime(this.endTime) <= parseTime(this.startTime);
+});
+
+// Virtual for shift length in minutes
+ShiftSchema.virtual('durationMinutes').get(function() {
+  const start = parseTime(this.startTime);
+  const end = parseTime(this.endTime);
+  return end > start ? end - start : end + 24 * 60 - start;
+});
+
+// Method to get the start and end instants of the shift on a workday (YYYY-MM-DD)
+ShiftSchema.methods.getWindow = function(dateKey, timeZone) {
+  const start = parseTime(this.startTime);
+  return {
+    start: zonedTimeToUtc(dateKey, start, timeZone),
+    end: zonedTimeToUtc(dateKey, start + this.durationMinutes, timeZone)
+  };
+};
+
+module.exports = mongoose.model('Shift', ShiftSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { dateToDateKey, daysBetween } = require('../utils/time');
+
+// Assigns a user a repeating rotation of shifts. The pattern is a list of days starting at
+// startDate; each day names a shift or is a day off (no shift). For example a 4-on/4-off
+// rotation is [A, A, A, A, off, off, off, off] and a fixed Monday-Friday shift anchored on a
+// Monday is [A, A, A, A, A, off, off].
+const ShiftAssignmentSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pattern: {
+    type: [{
+      _id: false,
+      shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift',
+        default: null // day off
+      }
+    }],
+    validate: {
+      validator: (pattern) => pattern.length > 0 && pattern.length <= 62,
+      message: 'Rotation pattern must have between 1 and 62 days'
+    }
+  },
+
+  // Workday labels (UTC midnight of the calendar date), inclusive
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date
+  },
+
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ShiftAssignmentSchema.index({ user: 1, isActive: 1, startDate: -1 });
+ShiftAssignmentSchema.index({ organization: 1, isActive: 1 });
+
+// Method to get the shift id scheduled on a workday (null on a day off, undefined outside the assignment)
+ShiftAssignmentSchema.methods.getShiftIdFor = function(dateKey) {
+  const offset = daysBetween(dateToDateKey(this.startDate), dateKey);
+
+  if (offset < 0 || (this.endDate && dateKey > dateToDateKey(this.endDate))) {
+    return undefined;
+  }
+
+  const day = this.pattern[offset % this.pattern.length];
+  return day.shift || null;
+};
+
+// Static method to find the assignments in force for users on a workday label
+ShiftAssignmentSchema.statics.findActiveOn = function(userIds, date) {
+  return this.find({
+    user: { $in: userIds },
+    isActive: true,
+    startDate: { $lte: date },
+    $or: [{ endDate: null }, { endDate: { $gte: date } }]
+  }).sort({ startDate: -1 });
+};
+
+module.exports = mongoose.model('ShiftAssignment', ShiftAssignmentSchema);
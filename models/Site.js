@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const PointSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  }
+}, { _id: false });
+
+// A place employees work at, with the geofence check-ins are validated against
+const SiteSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Geofence: a circle (center + radius in metres) or a polygon (3+ vertices)
+  geofence: {
+    shape: {
+      type: String,
+      enum: ['circle', 'polygon'],
+      default: 'circle'
+    },
+    center: {
+      type: PointSchema
+    },
+    radius: {
+      type: Number,
+      min: 10,
+      max: 50000
+    },
+    polygon: {
+      type: [PointSchema],
+      default: undefined
+    }
+  },
+
+  // What happens to a check-in outside the fence: 'reject' refuses it, 'flag' keeps it for review
+  outsideAction: {
+    type: String,
+    enum: ['reject', 'flag'],
+    default: 'flag'
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+SiteSchema.index({ organization: 1, name: 1 }, { unique: true });
+SiteSchema.index({ organization: 1, isActive: 1 });
+
+// A circle needs a center and radius, a polygon at least three vertices
+SiteSchema.pre('validate', function(next) {
+  const { shape, center, radius, polygon } = this.geofence || {};
+
+  if (shape === 'circle' && (!center || !radius)) {
+    this.invalidate('geofence', 'A circular geofence needs a center and a radius');
+  } else if (shape === 'polygon' && (!polygon || polygon.length < 3)) {
+    this.invalidate('geofence', 'A polygon geofence needs at least three points');
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('Site', SiteSchema);
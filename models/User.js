@@ -53,9 +53,36 @@ const UserSchema = new mongoose.Schema({
   },
   
   // Face Recognition Data
+  // Face templates, each tagged with the model that produced it (see faceTemplateService)
   faceDescriptors: [{
-    type: [Number], // Face-api.js descriptors array
-    required: true
+    vector: {
+      type: [Number], // Face-api.js descriptor
+      required: true
+    },
+    model: {
+      type: String,
+      required: true
+    },
+    modelVersion: {
+      type: String,
+      required: true
+    },
+    dimension: {
+      type: Number,
+      required: true
+    },
+    source: {
+      type: String,
+      enum: ['enrollment', 'adaptive'], // adaptive templates come from confident check-ins
+      default: 'enrollment'
+    },
+    enrolledAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date // adaptive templates only
+    }
   }],
   faceImages: [{
     filename: String,
@@ -73,8 +100,7 @@ const UserSchema = new mongoose.Schema({
   },
   faceEnrollmentAttempts: {
     type: Number,
-    default: 0,
-    max: 3
+    default: 0
   },
   
   // Aadhaar Information (Optional)
@@ -127,6 +153,17 @@ const UserSchema = new mongoose.Schema({
     }
   },
   
+  // Work Sites (check-ins are validated against these; empty means any active site of the organization)
+  allowedSites: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Site'
+  }],
+  // Remote and field staff can check in from anywhere
+  geofenceExempt: {
+    type: Boolean,
+    default: false
+  },
+  
   // Password Reset
   resetPasswordToken: {
     type: String
@@ -162,6 +199,7 @@ UserSchema.index({ organization: 1 });
 UserSchema.index({ role: 1 });
 UserSchema.index({ organization: 1, role: 1 });
 UserSchema.index({ aadhaarNumber: 1 }, { sparse: true });
+UserSchema.index({ 'faceDescriptors.model': 1, 'faceDescriptors.modelVersion': 1 });
 
 // Virtual for full name
 UserSchema.virtual('fullName').get(function() {
@@ -218,10 +256,13 @@ UserSchema.methods.resetLoginAttempts = function() {
   });
 };
 
-// Method to add face descriptor
-UserSchema.methods.addFaceDescriptor = function(descriptor) {
-  this.faceDescriptors.push(descriptor);
-  if (this.faceDescriptors.length >= 3) {
+// Method to add a face template (see faceTemplateService.createTemplate)
+UserSchema.methods.addFaceDescriptor = function(template, minSamples = 3) {
+  this.faceDescriptors.push(template);
+  const compatible = this.faceDescriptors.filter(item => item.source === 'enrollment' &&
+    item.model === template.model && item.modelVersion === template.modelVersion
+  );
+  if (compatible.length >= minSamples) {
     this.faceEnrolled = true;
   }
   return this.save();
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+
+// One stretch of work: a check-in, the breaks taken during it and the check-out that ends it.
+// A workday can have several sessions (split shifts); overtime entries cover all of them.
+const WorkSessionSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Workday label: UTC midnight of the calendar date the session's shift started on
+  date: {
+    type: Date,
+    required: true
+  },
+
+  // Shift snapshot, copied from the check-in
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  scheduledStart: {
+    type: Date
+  },
+  scheduledEnd: {
+    type: Date
+  },
+
+  // Punches
+  checkIn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    required: true
+  },
+  checkInTime: {
+    type: Date,
+    required: true
+  },
+  checkOut: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance'
+  },
+  checkOutTime: {
+    type: Date
+  },
+  breaks: [{
+    _id: false,
+    startRecord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attendance'
+    },
+    start: {
+      type: Date,
+      required: true
+    },
+    endRecord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attendance'
+    },
+    end: {
+      type: Date
+    },
+    minutes: {
+      type: Number,
+      default: 0
+    },
+    unpaidMinutes: {
+      type: Number,
+      default: 0
+    }
+  }],
+
+  status: {
+    type: String,
+    enum: ['open', 'on-break', 'closed', 'missed'],
+    default: 'open'
+  },
+
+  // Set by the missed-punch job when the employee never checked out
+  missedPunch: {
+    action: {
+      type: String,
+      enum: ['auto-close', 'mark-missed']
+    },
+    detectedAt: {
+      type: Date
+    }
+  },
+
+  // Metrics (minutes): break totals as breaks end, worked time at check-out
+  breakTime: {
+    type: Number,
+    default: 0
+  },
+  unpaidBreakTime: {
+    type: Number,
+    default: 0
+  },
+  workingMinutes: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+WorkSessionSchema.index({ user: 1, date: 1, checkInTime: 1 });
+WorkSessionSchema.index({ user: 1, status: 1 });
+WorkSessionSchema.index({ organization: 1, date: 1 });
+
+const minutesBetween = (from, to) => Math.max(0, Math.floor((to - from) / 60000));
+
+// Virtual for the break currently in progress
+WorkSessionSchema.virtual('currentBreak').get(function() {
+  const last = this.breaks[this.breaks.length - 1];
+  return last && !last.end ? last : null;
+});
+
+// Method to start a break
+WorkSessionSchema.methods.startBreak = function(record) {
+  this.breaks.push({ startRecord: record._id, start: record.checkInTime });
+  this.status = 'on-break';
+};
+
+// Method to end the current break; paid breaks are only paid up to maxBreakMinutes
+WorkSessionSchema.methods.endBreak = function(record, policy) {
+  const current = this.currentBreak;
+  const minutes = minutesBetween(current.start, record.checkInTime);
+
+  current.endRecord = record._id;
+  current.end = record.checkInTime;
+  current.minutes = minutes;
+  current.unpaidMinutes = policy.paid ? Math.max(0, minutes - policy.maxBreakMinutes) : minutes;
+
+  this.breakTime += minutes;
+  this.unpaidBreakTime += current.unpaidMinutes;
+  this.status = 'open';
+
+  return current;
+};
+
+// Method to close the session and work out its worked time (net of unpaid breaks).
+// Overtime is worked out per workday from the closed sessions (see OvertimeEntry).
+WorkSessionSchema.methods.close = function(record) {
+  this.checkOut = record._id;
+  this.checkOutTime = record.checkInTime;
+  this.workingMinutes = Math.max(0, minutesBetween(this.checkInTime, this.checkOutTime) - this.unpaidBreakTime);
+  this.status = 'closed';
+};
+
+// Method to undo a deleted break or check-out punch (a deleted check-in removes the whole session)
+WorkSessionSchema.methods.removePunch = function(record) {
+  const recordId = record._id.toString();
+  const matches = (id) => id && id.toString() === recordId;
+
+  if (record.type === 'check-out' && matches(this.checkOut)) {
+    this.checkOut = undefined;
+    this.checkOutTime = undefined;
+    this.workingMinutes = 0;
+    this.status = this.currentBreak ? 'on-break' : 'open';
+    return;
+  }
+
+  const index = this.breaks.findIndex(item => matches(item.startRecord) || matches(item.endRecord));
+  if (index === -1) return;
+
+  const item = this.breaks[index];
+  this.breakTime -= item.minutes;
+  this.unpaidBreakTime -= item.unpaidMinutes;
+
+  if (record.type === 'break-start') {
+    this.breaks.splice(index, 1);
+  } else {
+    item.endRecord = undefined;
+    item.end = undefined;
+    item.minutes = 0;
+    item.unpaidMinutes = 0;
+  }
+
+  if (this.status !== 'closed') {
+    this.status = this.currentBreak ? 'on-break' : 'open';
+  }
+};
+
+// Static method to find a user's session that hasn't been checked out yet on a workday
+WorkSessionSchema.statics.findOpen = function(userId, date) {
+  return this.findOne({
+    user: userId,
+    date,
+    status: { $in: ['open', 'on-break'] }
+  }).sort({ checkInTime: -1 });
+};
+
+module.exports = mongoose.model('WorkSession', WorkSessionSchema);
@@ -19,6 +19,21 @@ router.post('/mark', authenticate, requireApproval, upload.single('photo'), Atte
 // @access  Private
 router.get('/my-history', authenticate, AttendanceController.getMyAttendance);
 
+// @route   GET /api/attendance/my-sessions
+// @desc    Get user's work sessions
+// @access  Private
+router.get('/my-sessions', authenticate, AttendanceController.getMySessions);
+
+// @route   GET /api/attendance/timesheet
+// @desc    Get the current user's timesheet for a month
+// @access  Private
+router.get('/timesheet', authenticate, AttendanceController.getMyTimesheet);
+
+// @route   GET /api/attendance/timesheet/:userId
+// @desc    Get an employee's timesheet for a month
+// @access  Private (Admin/HR)
+router.get('/timesheet/:userId', authenticate, authorize(['admin', 'hr', 'super-admin']), AttendanceController.getUserTimesheet);
+
 // @route   GET /api/attendance/all
 // @desc    Get all attendance records (Admin/HR)
 // @access  Private (Admin/HR)
@@ -29,6 +44,16 @@ router.get('/all', authenticate, authorize(['admin', 'hr', 'super-admin']), Atte
 // @access  Private (Admin/HR)
 router.get('/stats', authenticate, authorize(['admin', 'hr', 'super-admin']), AttendanceController.getAttendanceStats);
 
+// @route   GET /api/attendance/pending
+// @desc    Get attendance records waiting for review
+// @access  Private (Admin/HR)
+router.get('/pending', authenticate, authorize(['admin', 'hr', 'super-admin']), AttendanceController.getPendingAttendance);
+
+// @route   POST /api/attendance/review
+// @desc    Approve or reject pending attendance records in bulk
+// @access  Private (Admin/HR)
+router.post('/review', authenticate, authorize(['admin', 'hr', 'super-admin']), AttendanceController.reviewAttendance);
+
 // @route   PUT /api/attendance/:id
 // @desc    Update attendance record (Admin only)
 // @access  Private (Admin only)
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const FaceController = require('../controllers/FaceController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// @route   GET /api/face/index/stats
+// @desc    Get face index size per organization
+// @access  Private (Admin only)
+router.get('/index/stats', authenticate, authorize(['admin', 'super-admin']), FaceController.getIndexStats);
+
+// @route   POST /api/face/index/rebuild
+// @desc    Rebuild the face index from the database
+// @access  Private (Admin only)
+router.post('/index/rebuild', authenticate, authorize(['admin', 'super-admin']), FaceController.rebuildIndex);
+
+// @route   GET /api/face/duplicates
+// @desc    List possible duplicate identity cases
+// @access  Private (Admin only)
+router.get('/duplicates', authenticate, authorize(['admin', 'super-admin']), FaceController.getDuplicateCases);
+
+// @route   POST /api/face/duplicates/scan
+// @desc    Check a user's enrolled face against other users
+// @access  Private (Admin only)
+router.post('/duplicates/scan', authenticate, authorize(['admin', 'super-admin']), FaceController.scanForDuplicates);
+
+// @route   GET /api/face/duplicates/:id
+// @desc    Get a duplicate identity case with both users' face images
+// @access  Private (Admin only)
+router.get('/duplicates/:id', authenticate, authorize(['admin', 'super-admin']), FaceController.getDuplicateCase);
+
+// @route   POST /api/face/duplicates/:id/resolve
+// @desc    Confirm or dismiss a duplicate identity case
+// @access  Private (Admin only)
+router.post('/duplicates/:id/resolve', authenticate, authorize(['admin', 'super-admin']), FaceController.resolveDuplicateCase);
+
+// @route   GET /api/face/re-enrollment
+// @desc    List users whose face templates are not usable with the current face model
+// @access  Private (Admin only)
+router.get('/re-enrollment', authenticate, authorize(['admin', 'super-admin']), FaceController.getReEnrollmentReport);
+
+// @route   GET /api/face/calibration
+// @desc    Distance distributions and a suggested match threshold for the organization
+// @access  Private (Admin only)
+router.get('/calibration', authenticate, authorize(['admin', 'super-admin']), FaceController.getCalibrationReport);
+
+module.exports = router;
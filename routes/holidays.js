@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const { HolidayController, upload } = require('../controllers/HolidayController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// @route   GET /api/holidays/feed/:token.ics
+// @desc    Subscribe to a holiday calendar from a calendar app
+// @access  Public (secret feed token)
+router.get('/feed/:token.ics', HolidayController.getFeed);
+
+// @route   GET /api/holidays/my
+// @desc    Get the holidays that apply to the current user
+// @access  Private
+router.get('/my', authenticate, HolidayController.getMyHolidays);
+
+// @route   GET /api/holidays/calendars
+// @desc    Get holiday calendars
+// @access  Private
+router.get('/calendars', authenticate, HolidayController.getCalendars);
+
+// @route   POST /api/holidays/calendars
+// @desc    Create a holiday calendar
+// @access  Private (Admin/HR)
+router.post('/calendars', authenticate, authorize(['admin', 'hr', 'super-admin']), HolidayController.createCalendar);
+
+// @route   PUT /api/holidays/calendars/:id
+// @desc    Update a holiday calendar
+// @access  Private (Admin/HR)
+router.put('/calendars/:id', authenticate, authorize(['admin', 'hr', 'super-admin']), HolidayController.updateCalendar);
+
+// @route   DELETE /api/holidays/calendars/:id
+// @desc    Deactivate a holiday calendar
+// @access  Private (Admin/HR)
+router.delete('/calendars/:id', authenticate, authorize(['admin', 'hr', 'super-admin']), HolidayController.deleteCalendar);
+
+// @route   GET /api/holidays/calendars/:id/holidays
+// @desc    Get the holidays of a calendar
+// @access  Private
+router.get('/calendars/:id/holidays', authenticate, HolidayController.getHolidays);
+
+// @route   POST /api/holidays/calendars/:id/holidays
+// @desc    Add a holiday to a calendar
+// @access  Private (Admin/HR)
+router.post('/calendars/:id/holidays', authenticate, authorize(['admin', 'hr', 'super-admin']), HolidayController.createHoliday);
+
+// @route   POST /api/holidays/calendars/:id/import
+// @desc    Import holidays from an .ics file
+// @access  Private (Admin/HR)
+router.post('/calendars/:id/import', authenticate, authorize(['admin', 'hr', 'super-admin']), upload.single('file'), HolidayController.importCalendar);
+
+// @route   GET /api/holidays/calendars/:id/export
+// @desc    Download a calendar as an .ics file
+// @access  Private
+router.get('/calendars/:id/export', authenticate, HolidayController.exportCalendar);
+
+// @route   POST /api/holidays/calendars/:id/feed
+// @desc    Issue a new secret ICS feed URL for a calendar
+// @access  Private (Admin/HR)
+router.post('/calendars/:id/feed', authenticate, authorize(['admin', 'hr', 'super-admin']), HolidayController.issueFeed);
+
+// @route   PUT /api/holidays/:id
+// @desc    Update a holiday
+// @access  Private (Admin/HR)
+router.put('/:id', authenticate, authorize(['admin', 'hr', 'super-admin']), HolidayController.updateHoliday);
+
+// @route   DELETE /api/holidays/:id
+// @desc    Delete a holiday
+// @access  Private (Admin/HR)
+router.delete('/:id', authenticate, authorize(['admin', 'hr', 'super-admin']), HolidayController.deleteHoliday);
+
+// @route   POST /api/holidays/:id/opt-in
+// @desc    Take a restricted holiday off
+// @access  Private
+router.post('/:id/opt-in', authenticate, HolidayController.optIn);
+
+// @route   POST /api/holidays/:id/opt-out
+// @desc    Withdraw from a restricted holiday
+// @access  Private
+router.post('/:id/opt-out', authenticate, HolidayController.optOut);
+
+module.exports = router;
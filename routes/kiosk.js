@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { KioskController, upload } = require('../controllers/KioskController');
+const { authenticate, authenticateDevice, authorize } = require('../middleware/auth');
+
+// @route   POST /api/kiosk/identify
+// @desc    Identify an employee by face and mark attendance (shared kiosk)
+// @access  Device
+router.post('/identify', authenticateDevice, upload.single('photo'), KioskController.identify);
+
+// @route   POST /api/kiosk/sync
+// @desc    Sync a batch of punches recorded while the kiosk was offline
+// @access  Device
+router.post('/sync', authenticateDevice, KioskController.sync);
+
+// @route   POST /api/kiosk/devices
+// @desc    Register a kiosk device
+// @access  Private (Admin only)
+router.post('/devices', authenticate, authorize(['admin', 'super-admin']), KioskController.registerDevice);
+
+// @route   GET /api/kiosk/devices
+// @desc    Get kiosk devices
+// @access  Private (Admin only)
+router.get('/devices', authenticate, authorize(['admin', 'super-admin']), KioskController.getDevices);
+
+// @route   DELETE /api/kiosk/devices/:id
+// @desc    Revoke a kiosk device
+// @access  Private (Admin only)
+router.delete('/devices/:id', authenticate, authorize(['admin', 'super-admin']), KioskController.revokeDevice);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const LeaveController = require('../controllers/LeaveController');
+const { authenticate, authorize, requireApproval } = require('../middleware/auth');
+
+// @route   GET /api/leaves/types
+// @desc    Get leave types
+// @access  Private
+router.get('/types', authenticate, LeaveController.getLeaveTypes);
+
+// @route   POST /api/leaves/types
+// @desc    Create a leave type
+// @access  Private (Admin/HR)
+router.post('/types', authenticate, authorize(['admin', 'hr', 'super-admin']), LeaveController.createLeaveType);
+
+// @route   PUT /api/leaves/types/:id
+// @desc    Update a leave type
+// @access  Private (Admin/HR)
+router.put('/types/:id', authenticate, authorize(['admin', 'hr', 'super-admin']), LeaveController.updateLeaveType);
+
+// @route   GET /api/leaves/balances/my
+// @desc    Get the current user's leave balances
+// @access  Private
+router.get('/balances/my', authenticate, LeaveController.getMyBalances);
+
+// @route   GET /api/leaves/balances/users/:userId
+// @desc    Get a user's leave balances
+// @access  Private (Admin/HR)
+router.get('/balances/users/:userId', authenticate, authorize(['admin', 'hr', 'super-admin']), LeaveController.getUserBalances);
+
+// @route   PUT /api/leaves/balances/users/:userId
+// @desc    Adjust a user's leave balance
+// @access  Private (Admin/HR)
+router.put('/balances/users/:userId', authenticate, authorize(['admin', 'hr', 'super-admin']), LeaveController.adjustBalance);
+
+// @route   POST /api/leaves/requests
+// @desc    Request leave
+// @access  Private
+router.post('/requests', authenticate, requireApproval, LeaveController.createRequest);
+
+// @route   GET /api/leaves/requests/my
+// @desc    Get the current user's leave requests
+// @access  Private
+router.get('/requests/my', authenticate, LeaveController.getMyRequests);
+
+// @route   GET /api/leaves/requests
+// @desc    Get leave requests to review
+// @access  Private (Admin/HR)
+router.get('/requests', authenticate, authorize(['admin', 'hr', 'super-admin']), LeaveController.getRequests);
+
+// @route   GET /api/leaves/requests/:id
+// @desc    Get a leave request
+// @access  Private
+router.get('/requests/:id', authenticate, LeaveController.getRequest);
+
+// @route   POST /api/leaves/requests/:id/review
+// @desc    Approve or reject a leave request
+// @access  Private (Admin/HR)
+router.post('/requests/:id/review', authenticate, authorize(['admin', 'hr', 'super-admin']), LeaveController.reviewRequest);
+
+// @route   POST /api/leaves/requests/:id/cancel
+// @desc    Cancel a leave request
+// @access  Private
+router.post('/requests/:id/cancel', authenticate, LeaveController.cancelRequest);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const LivenessController = require('../controllers/LivenessController');
+const { authenticate, requireApproval, sensitiveOperationLimit } = require('../middleware/auth');
+
+// @route   POST /api/liveness/sessions
+// @desc    Start an active liveness session
+// @access  Private
+router.post('/sessions', authenticate, requireApproval, sensitiveOperationLimit(20), LivenessController.createSession);
+
+// @route   POST /api/liveness/sessions/:id/verify
+// @desc    Verify a liveness challenge and issue a one-time token
+// @access  Private
+router.post('/sessions/:id/verify', authenticate, requireApproval, LivenessController.verifySession);
+
+module.exports = router;
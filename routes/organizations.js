@@ -33,6 +33,11 @@ router.get('/:id', authenticate, authorize(['super-admin', 'admin']), Organizati
 // @access  Private (Super Admin only)
 router.put('/:id', authenticate, authorize(['super-admin']), OrganizationController.updateOrganization);
 
+// @route   PUT /api/organizations/:id/settings
+// @desc    Update organization settings
+// @access  Private (Super Admin or Admin of organization)
+router.put('/:id/settings', authenticate, authorize(['super-admin', 'admin']), OrganizationController.updateOrganizationSettings);
+
 // @route   DELETE /api/organizations/:id
 // @desc    Delete organization
 // @access  Private (Super Admin only)
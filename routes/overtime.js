@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const OvertimeController = require('../controllers/OvertimeController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// @route   GET /api/overtime/my
+// @desc    Get the current user's overtime for a pay period
+// @access  Private
+router.get('/my', authenticate, OvertimeController.getMyOvertime);
+
+// @route   GET /api/overtime/pending
+// @desc    Get unapproved overtime by department and pay period
+// @access  Private (Admin/HR)
+router.get('/pending', authenticate, authorize(['admin', 'hr', 'super-admin']), OvertimeController.getPendingOvertime);
+
+// @route   POST /api/overtime/review
+// @desc    Approve or reject several overtime entries
+// @access  Private (Admin/HR)
+router.post('/review', authenticate, authorize(['admin', 'hr', 'super-admin']), OvertimeController.reviewOvertimeEntries);
+
+// @route   POST /api/overtime/:id/review
+// @desc    Approve (possibly fewer minutes) or reject an overtime entry
+// @access  Private (Admin/HR)
+router.post('/:id/review', authenticate, authorize(['admin', 'hr', 'super-admin']), OvertimeController.reviewOvertimeEntry);
+
+module.exports = router;
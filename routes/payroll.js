@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const PayrollController = require('../controllers/PayrollController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// @route   GET /api/payroll/layout
+// @desc    Get the payroll export layout and the fields a column can show
+// @access  Private (Admin/HR)
+router.get('/layout', authenticate, authorize(['admin', 'hr', 'super-admin']), PayrollController.getLayout);
+
+// @route   PUT /api/payroll/layout
+// @desc    Set the organization's payroll export layout
+// @access  Private (Admin/HR)
+router.put('/layout', authenticate, authorize(['admin', 'hr', 'super-admin']), PayrollController.updateLayout);
+
+// @route   GET /api/payroll/export
+// @desc    Download per-employee pay-period totals as CSV or XLSX
+// @access  Private (Admin/HR)
+router.get('/export', authenticate, authorize(['admin', 'hr', 'super-admin']), PayrollController.exportPayroll);
+
+module.exports = router;
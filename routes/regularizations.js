@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const RegularizationController = require('../controllers/RegularizationController');
+const { authenticate, authorize, requireApproval } = require('../middleware/auth');
+
+// @route   POST /api/regularizations
+// @desc    Request a correction to a punch, or a missing punch
+// @access  Private
+router.post('/', authenticate, requireApproval, RegularizationController.createRequest);
+
+// @route   GET /api/regularizations/my
+// @desc    Get the current user's correction requests
+// @access  Private
+router.get('/my', authenticate, RegularizationController.getMyRequests);
+
+// @route   GET /api/regularizations
+// @desc    Get correction requests to review
+// @access  Private (Admin/HR)
+router.get('/', authenticate, authorize(['admin', 'hr', 'super-admin']), RegularizationController.getRequests);
+
+// @route   GET /api/regularizations/:id
+// @desc    Get a correction request
+// @access  Private
+router.get('/:id', authenticate, RegularizationController.getRequest);
+
+// @route   POST /api/regularizations/:id/review
+// @desc    Approve or reject a correction request
+// @access  Private (Admin/HR)
+router.post('/:id/review', authenticate, authorize(['admin', 'hr', 'super-admin']), RegularizationController.reviewRequest);
+
+// @route   POST /api/regularizations/:id/cancel
+// @desc    Cancel a pending correction request
+// @access  Private
+router.post('/:id/cancel', authenticate, RegularizationController.cancelRequest);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const ShiftController = require('../controllers/ShiftController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// @route   GET /api/shifts/my-schedule
+// @desc    Get the current user's upcoming shifts
+// @access  Private
+router.get('/my-schedule', authenticate, ShiftController.getMySchedule);
+
+// @route   GET /api/shifts/roster
+// @desc    Get the day-by-day shift roster
+// @access  Private (Admin/HR)
+router.get('/roster', authenticate, authorize(['admin', 'hr', 'super-admin']), ShiftController.getRoster);
+
+// @route   GET /api/shifts/assignments
+// @desc    Get shift assignments
+// @access  Private (Admin/HR)
+router.get('/assignments', authenticate, authorize(['admin', 'hr', 'super-admin']), ShiftController.getAssignments);
+
+// @route   POST /api/shifts/assignments
+// @desc    Assign a shift rotation to a user
+// @access  Private (Admin/HR)
+router.post('/assignments', authenticate, authorize(['admin', 'hr', 'super-admin']), ShiftController.createAssignment);
+
+// @route   PUT /api/shifts/assignments/:id
+// @desc    Update a shift assignment
+// @access  Private (Admin/HR)
+router.put('/assignments/:id', authenticate, authorize(['admin', 'hr', 'super-admin']), ShiftController.updateAssignment);
+
+// @route   DELETE /api/shifts/assignments/:id
+// @desc    Remove a shift assignment
+// @access  Private (Admin/HR)
+router.delete('/assignments/:id', authenticate, authorize(['admin', 'hr', 'super-admin']), ShiftController.deleteAssignment);
+
+// @route   GET /api/shifts
+// @desc    Get shifts
+// @access  Private (Admin/HR)
+router.get('/', authenticate, authorize(['admin', 'hr', 'super-admin']), ShiftController.getShifts);
+
+// @route   POST /api/shifts
+// @desc    Create a shift
+// @access  Private (Admin/HR)
+router.post('/', authenticate, authorize(['admin', 'hr', 'super-admin']), ShiftController.createShift);
+
+// @route   PUT /api/shifts/:id
+// @desc    Update a shift
+// @access  Private (Admin/HR)
+router.put('/:id', authenticate, authorize(['admin', 'hr', 'super-admin']), ShiftController.updateShift);
+
+// @route   DELETE /api/shifts/:id
+// @desc    Deactivate a shift
+// @access  Private (Admin/HR)
+router.delete('/:id', authenticate, authorize(['admin', 'hr', 'super-admin']), ShiftController.deleteShift);
+
+module.exports = router;
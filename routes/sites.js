@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const SiteController = require('../controllers/SiteController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// @route   GET /api/sites/my-sites
+// @desc    Get the sites the current user may check in at
+// @access  Private
+router.get('/my-sites', authenticate, SiteController.getMySites);
+
+// @route   PUT /api/sites/users/:userId
+// @desc    Set a user's allowed sites or geofence exemption
+// @access  Private (Admin/HR)
+router.put('/users/:userId', authenticate, authorize(['admin', 'hr', 'super-admin']), SiteController.updateUserSites);
+
+// @route   GET /api/sites
+// @desc    Get work sites
+// @access  Private (Admin/HR)
+router.get('/', authenticate, authorize(['admin', 'hr', 'super-admin']), SiteController.getSites);
+
+// @route   POST /api/sites
+// @desc    Create a work site
+// @access  Private (Admin/HR)
+router.post('/', authenticate, authorize(['admin', 'hr', 'super-admin']), SiteController.createSite);
+
+// @route   PUT /api/sites/:id
+// @desc    Update a work site
+// @access  Private (Admin/HR)
+router.put('/:id', authenticate, authorize(['admin', 'hr', 'super-admin']), SiteController.updateSite);
+
+// @route   DELETE /api/sites/:id
+// @desc    Deactivate a work site
+// @access  Private (Admin/HR)
+router.delete('/:id', authenticate, authorize(['admin', 'hr', 'super-admin']), SiteController.deleteSite);
+
+module.exports = router;
@@ -59,7 +59,14 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/attendanc
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+
+  // Background job closing or flagging check-ins nobody checked out of
+  if (process.env.MISSED_PUNCH_JOB_ENABLED !== 'false') {
+    require('./services/missedPunchService').start();
+  }
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -68,6 +75,16 @@ app.use('/api/users', require('./routes/users'));
 app.use('/api/attendance', require('./routes/attendance'));
 app.use('/api/aadhaar', require('./routes/aadhaar'));
 app.use('/api/organizations', require('./routes/organizations'));
+app.use('/api/kiosk', require('./routes/kiosk'));
+app.use('/api/face', require('./routes/face'));
+app.use('/api/liveness', require('./routes/liveness'));
+app.use('/api/shifts', require('./routes/shifts'));
+app.use('/api/regularizations', require('./routes/regularizations'));
+app.use('/api/sites', require('./routes/sites'));
+app.use('/api/leaves', require('./routes/leaves'));
+app.use('/api/holidays', require('./routes/holidays'));
+app.use('/api/overtime', require('./routes/overtime'));
+app.use('/api/payroll', require('./routes/payroll'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,587 @@
+const Attendance = require('../models/Attendance');
+const WorkSession = require('../models/WorkSession');
+const Organization = require('../models/Organization');
+const LivenessSession = require('../models/LivenessSession');
+const cloudinaryService = require('./cloudinaryService');
+const livenessService = require('./livenessService');
+const faceTemplateService = require('./faceTemplateService');
+const faceIndexService = require('./faceIndexService');
+const shiftService = require('./shiftService');
+const geofenceService = require('./geofenceService');
+const overtimeService = require('./overtimeService');
+const { getOrganizationTimeZone, toDateKey, dateKeyToDate, dateToDateKey } = require('../utils/time');
+
+// Build an error carrying the HTTP status the controller should respond with
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class AttendanceService {
+  // Today's workday label in an organization's time zone
+  getTodayLabel(organization, now = new Date()) {
+    return dateKeyToDate(toDateKey(now, getOrganizationTimeZone(organization)));
+  }
+
+  // Query filter for today's records of each organization, each in its own time zone
+  getTodayFilter(organizations, now = new Date()) {
+    if (!organizations.length) {
+      return { _id: null };
+    }
+
+    return {
+      $or: organizations.map(organization => ({
+        organization: organization._id,
+        date: this.getTodayLabel(organization, now)
+      }))
+    };
+  }
+
+  // Workday label range for a calendar month (month is 1-12), or a whole year
+  getPeriodRange(year, month) {
+    const pad = (value) => String(value).padStart(2, '0');
+
+    if (month) {
+      const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      return {
+        $gte: dateKeyToDate(`${year}-${pad(month)}-01`),
+        $lte: dateKeyToDate(`${year}-${pad(month)}-${pad(lastDay)}`)
+      };
+    }
+
+    return {
+      $gte: dateKeyToDate(`${year}-01-01`),
+      $lte: dateKeyToDate(`${year}-12-31`)
+    };
+  }
+
+  // Get a user's session on a workday (YYYY-MM-DD) that hasn't been checked out yet
+  async getOpenSession(userId, workDate) {
+    return WorkSession.findOpen(userId, dateKeyToDate(workDate));
+  }
+
+  // Work out which workday and scheduled shift a punch at an instant belongs to.
+  // A shift that crossed midnight keeps its punches on the day it started.
+  async resolveWorkday(user, organization, time = new Date()) {
+    const { previous, current } = await shiftService.getCandidateWorkdays(user, organization, time);
+
+    if (previous.inWindow) {
+      // Yesterday's shift overlaps today's: stay on it only while it is still open
+      if (!current.inWindow || this.isCheckedIn(await this.getOpenSession(user._id, previous.workDate))) {
+        return previous;
+      }
+    }
+
+    return current;
+  }
+
+  // Where the user stands given their open session: 'checked-out', 'working' or 'on-break'
+  getPunchState(session) {
+    if (!session) {
+      return 'checked-out';
+    }
+    return session.status === 'on-break' ? 'on-break' : 'working';
+  }
+
+  // Whether the user has a session that hasn't been checked out yet
+  isCheckedIn(session) {
+    return this.getPunchState(session) !== 'checked-out';
+  }
+
+  // Work out which punch comes next for a user on a workday (used by kiosks that don't ask)
+  async getNextType(userId, workday) {
+    const session = await this.getOpenSession(userId, workday.workDate);
+    const nextType = {
+      'checked-out': 'check-in',
+      working: 'check-out',
+      'on-break': 'break-end'
+    };
+
+    return nextType[this.getPunchState(session)];
+  }
+
+  // Business logic for check-in/check-out/break validation; returns the open session, if any
+  async validateTransition(userId, type, workday) {
+    const session = await this.getOpenSession(userId, workday.workDate);
+    const state = this.getPunchState(session);
+
+    if (type === 'check-in' && state !== 'checked-out') {
+      throw createError(400, 'You are already checked in. Please check out first.');
+    }
+
+    if (type === 'check-out' && state === 'checked-out') {
+      throw createError(400, 'You need to check in first before checking out.');
+    }
+
+    if (type === 'check-out' && state === 'on-break') {
+      throw createError(400, 'You are on a break. Please end your break before checking out.');
+    }
+
+    if (type === 'break-start' && state === 'checked-out') {
+      throw createError(400, 'You need to check in first before starting a break.');
+    }
+
+    if (type === 'break-start' && state === 'on-break') {
+      throw createError(400, 'You are already on a break. Please end it first.');
+    }
+
+    if (type === 'break-end' && state !== 'on-break') {
+      throw createError(400, 'You are not on a break.');
+    }
+
+    return session;
+  }
+
+  // Paid/unpaid break policy from the organization settings
+  getBreakPolicy(organization) {
+    const breaks = (organization && organization.settings && organization.settings.breaks) || {};
+
+    return {
+      paid: breaks.paid === true,
+      maxBreakMinutes: typeof breaks.maxBreakMinutes === 'number' ? breaks.maxBreakMinutes : 60
+    };
+  }
+
+  // Minutes the user is expected to work on a workday: the scheduled shift, or the
+  // organization's working hours without one
+  getStandardMinutes(workday, organization) {
+    if (workday.scheduledStart && workday.scheduledEnd) {
+      return Math.round((workday.scheduledEnd - workday.scheduledStart) / 60000);
+    }
+    return shiftService.getDefaultShift(organization).durationMinutes;
+  }
+
+  // Re-run the overtime rules for the week of a workday label. Failures are logged so they
+  // never undo the punch that triggered them.
+  async updateOvertime(userId, date, organization) {
+    try {
+      await overtimeService.evaluateWeek(userId, organization, dateToDateKey(date));
+    } catch (error) {
+      console.error('Overtime evaluation error:', error);
+    }
+  }
+
+  // Apply a punch to its work session: a check-in opens a new session, breaks are tracked on the
+  // open one and a check-out closes it. Break length (on break-end) and worked time (on check-out)
+  // are copied onto the punch record too. Returns the session, unsaved.
+  applyToSession({ attendance, session, organization }) {
+    if (attendance.type === 'check-in') {
+      session = new WorkSession({
+        organization: attendance.organization,
+        user: attendance.user,
+        date: attendance.date,
+        shift: attendance.shift,
+        scheduledStart: attendance.scheduledStart,
+        scheduledEnd: attendance.scheduledEnd,
+        checkIn: attendance._id,
+        checkInTime: attendance.checkInTime
+      });
+    } else if (attendance.type === 'break-start') {
+      session.startBreak(attendance);
+    } else if (attendance.type === 'break-end') {
+      const policy = this.getBreakPolicy(organization);
+      const ended = session.endBreak(attendance, policy);
+
+      attendance.breakTime = ended.minutes;
+      attendance.unpaidBreakTime = ended.unpaidMinutes;
+      if (ended.minutes > policy.maxBreakMinutes) {
+        attendance.reviewFlags.push('break-exceeded');
+      }
+    } else if (attendance.type === 'check-out') {
+      session.close(attendance);
+
+      attendance.checkOutTime = attendance.checkInTime;
+      attendance.workingHours = session.workingMinutes;
+    }
+
+    attendance.session = session._id;
+    return session;
+  }
+
+  // Rebuild a user's work sessions for a workday label from its punches, e.g. after a correction.
+  // Punches that don't fit the check-in/break/check-out sequence are left out of any session.
+  async rebuildWorkday(userId, date, organization) {
+    const records = await Attendance.find({ user: userId, date, status: { $ne: 'rejected' } })
+      .sort({ checkInTime: 1 });
+    const previous = await WorkSession.find({ user: userId, date });
+    const previousByCheckIn = new Map(previous.map(session => [session.checkIn.toString(), session]));
+    const policy = this.getBreakPolicy(organization);
+
+    const sessions = [];
+    let open = null;
+
+    for (const record of records) {
+      if (record.type === 'check-in' && !open) {
+        open = new WorkSession({
+          organization: record.organization,
+          user: record.user,
+          date: record.date,
+          shift: record.shift,
+          scheduledStart: record.scheduledStart,
+          scheduledEnd: record.scheduledEnd,
+          checkIn: record._id,
+          checkInTime: record.checkInTime
+        });
+        sessions.push(open);
+      } else if (record.type === 'break-start' && open && open.status === 'open') {
+        open.startBreak(record);
+      } else if (record.type === 'break-end' && open && open.status === 'on-break') {
+        const ended = open.endBreak(record, policy);
+        record.breakTime = ended.minutes;
+        record.unpaidBreakTime = ended.unpaidMinutes;
+      } else if (record.type === 'check-out' && open && open.status === 'open') {
+        open.close(record);
+        record.checkOutTime = record.checkInTime;
+        record.workingHours = open.workingMinutes;
+        open = null;
+      } else {
+        record.session = undefined;
+        continue;
+      }
+
+      record.session = (open || sessions[sessions.length - 1])._id;
+    }
+
+    // A session the missed-punch job already handled stays handled while it still has no check-out
+    sessions.forEach(session => {
+      const before = previousByCheckIn.get(session.checkIn.toString());
+      if (before && before.missedPunch && before.missedPunch.action) {
+        session.missedPunch = before.missedPunch;
+        if (before.status === 'missed' && session.status !== 'closed') {
+          session.status = 'missed';
+        }
+      }
+    });
+
+    await WorkSession.deleteMany({ user: userId, date });
+    if (sessions.length) {
+      await WorkSession.insertMany(sessions);
+    }
+    for (const record of records) {
+      if (record.isModified()) {
+        await record.save();
+      }
+    }
+
+    await this.updateOvertime(userId, date, organization);
+
+    return sessions;
+  }
+
+  // Approve or reject punches. Rejected punches drop out of their work sessions, so workdays
+  // whose records move into or out of 'rejected' are rebuilt. Overtime only counts reviewed
+  // check-outs, so it is re-evaluated when a check-out starts or stops counting.
+  async reviewRecords(records, reviewer, { status, reason }) {
+    const affectedWorkdays = new Map();
+    const overtimeWorkdays = new Map();
+
+    for (const record of records) {
+      const wasRejected = record.status === 'rejected';
+      const wasCounted = record.isCounted;
+
+      record.status = status;
+      record.approvedBy = reviewer._id;
+      record.approvedDate = new Date();
+      record.rejectionReason = status === 'rejected' ? reason : undefined;
+      await record.save();
+
+      const workdayKey = `${record.user._id}:${record.date.getTime()}`;
+      if (wasRejected !== (status === 'rejected')) {
+        affectedWorkdays.set(workdayKey, record);
+      } else if (record.type === 'check-out' && wasCounted !== record.isCounted) {
+        overtimeWorkdays.set(workdayKey, record);
+      }
+    }
+
+    const organizations = new Map();
+    const getOrganization = async (record) => {
+      const organizationId = record.organization.toString();
+      if (!organizations.has(organizationId)) {
+        organizations.set(organizationId, await Organization.findById(organizationId));
+      }
+      return organizations.get(organizationId);
+    };
+
+    for (const record of affectedWorkdays.values()) {
+      await this.rebuildWorkday(record.user._id, record.date, await getOrganization(record));
+    }
+    for (const [workdayKey, record] of overtimeWorkdays) {
+      if (!affectedWorkdays.has(workdayKey)) {
+        await this.updateOvertime(record.user._id, record.date, await getOrganization(record));
+      }
+    }
+
+    return records;
+  }
+
+  // Keep a work session consistent when one of its punches is deleted
+  async removeFromSession(attendance) {
+    if (!attendance.session) return;
+
+    if (attendance.type === 'check-in') {
+      await WorkSession.deleteOne({ _id: attendance.session });
+      await Attendance.updateMany({ session: attendance.session }, { $unset: { session: 1 } });
+      return;
+    }
+
+    const session = await WorkSession.findById(attendance.session);
+    if (!session) return;
+
+    session.removePunch(attendance);
+    await session.save();
+
+    if (attendance.type === 'check-out') {
+      const organization = await Organization.findById(attendance.organization);
+      await this.updateOvertime(attendance.user, attendance.date, organization);
+    }
+  }
+
+  // Punctuality thresholds (minutes) from the organization settings
+  getPunctualityPolicy(organization) {
+    const settings = (organization && organization.settings) || {};
+    const pick = (value, fallback) => (typeof value === 'number' ? value : fallback);
+
+    return {
+      lateThreshold: pick(settings.lateThreshold, 15),
+      veryLateThreshold: pick(settings.veryLateThreshold, 60),
+      earlyDepartureThreshold: pick(settings.earlyDepartureThreshold, 15)
+    };
+  }
+
+  // Classify a punch against the workday's scheduled shift.
+  // Only the first check-in of a workday is an arrival; every check-out is classified.
+  classifyPunch({ type, timestamp, workday, organization, isFirstCheckIn }) {
+    if (!workday.scheduledStart) {
+      return {};
+    }
+
+    const policy = this.getPunctualityPolicy(organization);
+
+    if (type === 'check-in' && isFirstCheckIn) {
+      const lateMinutes = Math.max(0, Math.floor((timestamp - workday.scheduledStart) / 60000));
+      let arrivalStatus = 'on-time';
+      if (lateMinutes > policy.veryLateThreshold) {
+        arrivalStatus = 'very-late';
+      } else if (lateMinutes > policy.lateThreshold) {
+        arrivalStatus = 'late';
+      }
+      return { arrivalStatus, lateMinutes };
+    }
+
+    if (type === 'check-out') {
+      const earlyDepartureMinutes = Math.max(0, Math.floor((workday.scheduledEnd - timestamp) / 60000));
+      return {
+        departureStatus: earlyDepartureMinutes > policy.earlyDepartureThreshold ? 'early' : 'normal',
+        earlyDepartureMinutes
+      };
+    }
+
+    return {};
+  }
+
+  // Run passive liveness checks on an in-memory photo and upload it if the punch may proceed
+  async preparePhoto(file, organization) {
+    const settings = organization && organization.settings && organization.settings.liveness
+      ? organization.settings.liveness.toObject()
+      : livenessService.getDefaultSettings();
+
+    if (!file) {
+      return {
+        liveness: livenessService.skipped(settings.enabled === false ? 'disabled' : 'no-photo'),
+        faceImage: undefined
+      };
+    }
+
+    const liveness = await livenessService.analyze(file.buffer, {
+      organizationId: organization && organization._id,
+      settings
+    });
+
+    if (liveness.verdict === 'failed' && settings.onFailure === 'block') {
+      const failed = liveness.checks.filter(check => !check.passed).map(check => check.detail);
+      throw createError(403, `Liveness check failed: ${failed.join('; ')}`);
+    }
+
+    const uploadResult = await cloudinaryService.uploadAttendanceImage(file.buffer);
+
+    return {
+      liveness,
+      faceImage: {
+        filename: uploadResult.public_id,
+        cloudinaryUrl: uploadResult.secure_url, // Cloudinary URL
+        cloudinaryPublicId: uploadResult.public_id // Public ID for deletion
+      }
+    };
+  }
+
+  // Refuse borderline matches when the organization's policy says so
+  checkBorderline(faceMatch, matching) {
+    if (faceMatch.matched && faceMatch.borderline && matching.borderlineAction === 'reject') {
+      throw createError(403, 'Face match is too uncertain. Please try again in better lighting.');
+    }
+  }
+
+  // Delete a punch photo that was uploaded for a punch that wasn't recorded; never throws
+  async discardPhoto(faceImage) {
+    try {
+      await cloudinaryService.deleteImage(faceImage.cloudinaryPublicId);
+    } catch (error) {
+      console.error('Discard attendance photo error:', error);
+    }
+  }
+
+  // Validate the transition and create the attendance record for a punch
+  async recordAttendance({
+    user,
+    organization,
+    workday,
+    type,
+    timestamp = new Date(),
+    location,
+    geofence,
+    note,
+    isOffline = false,
+    clientId,
+    faceMatch,
+    borderlineAction = 'review',
+    liveness,
+    faceImage,
+    deviceId,
+    livenessToken
+  }) {
+    let saved = false;
+    let tokenConsumed = false;
+
+    try {
+      // Punches are evaluated against the employee's scheduled shift rather than the calendar day
+      const resolvedWorkday = workday || await this.resolveWorkday(user, organization, timestamp);
+      const openSession = await this.validateTransition(user._id, type, resolvedWorkday);
+      const workDate = dateKeyToDate(resolvedWorkday.workDate);
+
+      const punctuality = this.classifyPunch({
+        type,
+        timestamp,
+        workday: resolvedWorkday,
+        organization,
+        isFirstCheckIn: type === 'check-in' && !await WorkSession.exists({ user: user._id, date: workDate })
+      });
+
+      const reviewFlags = [];
+      if (!faceMatch.matched) {
+        reviewFlags.push(faceMatch.distance === undefined ? 'face-not-verified' : 'low-face-confidence');
+      } else if (faceMatch.borderline && borderlineAction === 'review') {
+        reviewFlags.push('borderline-face-match');
+      }
+      if (liveness && liveness.verdict === 'failed') {
+        reviewFlags.push('liveness-failed');
+      } else if (liveness && liveness.verdict === 'skipped' && liveness.reason === 'no-photo') {
+        reviewFlags.push('liveness-not-checked');
+      }
+      if (geofence && geofence.action === 'flag') {
+        reviewFlags.push('outside-geofence');
+      }
+
+      const attendance = new Attendance({
+        user: user._id,
+        organization: user.organization,
+        type,
+        date: workDate,
+        shift: resolvedWorkday.source === 'assignment' && resolvedWorkday.shift ? resolvedWorkday.shift._id : undefined,
+        scheduledStart: resolvedWorkday.scheduledStart || undefined,
+        scheduledEnd: resolvedWorkday.scheduledEnd || undefined,
+        ...punctuality,
+        checkInTime: timestamp,
+        location,
+        geofence: geofence ? geofenceService.toRecord(geofence) : undefined,
+        notes: note,
+        isOfflineEntry: isOffline,
+        syncedAt: isOffline ? new Date() : undefined,
+        clientId,
+        deviceId,
+        faceConfidence: faceMatch.confidence,
+        faceMatch: faceMatch.distance !== undefined ? {
+          distance: faceMatch.distance,
+          threshold: faceMatch.threshold,
+          matched: faceMatch.matched,
+          borderline: !!faceMatch.borderline
+        } : undefined,
+        reviewFlags,
+        liveness,
+        faceImage
+      });
+
+      const session = this.applyToSession({
+        attendance,
+        session: openSession,
+        organization
+      });
+
+      // Flagged punches are kept for admin review instead of auto-approval
+      attendance.status = attendance.reviewFlags.length ? 'pending' : 'auto-approved';
+
+      // The liveness token is spent only once the punch has been accepted
+      if (livenessToken && !await LivenessSession.consumeToken(livenessToken, user._id)) {
+        throw createError(403, 'A valid liveness token is required. Please complete the liveness challenge first.');
+      }
+      tokenConsumed = !!livenessToken;
+
+      await attendance.save();
+      saved = true;
+      await session.save();
+
+      if (type === 'check-out') {
+        await this.updateOvertime(user._id, workDate, organization);
+      }
+
+      return attendance;
+    } catch (error) {
+      // A punch that wasn't recorded gives its liveness token back and drops its uploaded photo
+      if (!saved) {
+        if (tokenConsumed) {
+          await LivenessSession.releaseToken(livenessToken, user._id);
+        }
+        if (faceImage) {
+          await this.discardPhoto(faceImage);
+        }
+      }
+      throw error;
+    }
+  }
+
+  // Keep a very confident, cleanly approved check-in probe as an adaptive template.
+  // Failures here never affect the punch itself.
+  async adaptTemplates({ user, probe, model, faceMatch, attendance, organization }) {
+    try {
+      const policy = faceTemplateService.getAdaptivePolicy(organization);
+
+      if (!policy.enabled || !probe || attendance.type !== 'check-in' || attendance.status !== 'auto-approved') {
+        return false;
+      }
+
+      if (!faceMatch.matched || faceMatch.distance > policy.maxDistance) {
+        return false;
+      }
+
+      if (model && !faceTemplateService.isCurrentModel(model)) {
+        return false;
+      }
+
+      if (!faceTemplateService.addAdaptiveTemplate(user, probe, policy)) {
+        return false;
+      }
+
+      await user.save();
+
+      // Keep the organization's face index in sync
+      faceIndexService.updateUser(user);
+      return true;
+    } catch (error) {
+      console.error('Adaptive template update error:', error);
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new AttendanceService();
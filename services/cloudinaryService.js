@@ -95,6 +95,41 @@ class CloudinaryService {
     });
   }
 
+  // Create multer upload middleware that keeps attendance images in memory,
+  // so they can be analysed before being uploaded with uploadAttendanceImage()
+  getAttendanceMemoryUpload() {
+    return multer({
+      storage: multer.memoryStorage(),
+      limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB limit
+      },
+      fileFilter: (req, file, cb) => {
+        const allowedTypes = /jpeg|jpg|png/;
+        const extname = allowedTypes.test(file.originalname.toLowerCase());
+        const mimetype = allowedTypes.test(file.mimetype);
+
+        if (mimetype && extname) {
+          return cb(null, true);
+        } else {
+          cb(new Error('Only JPEG, JPG, and PNG images are allowed for attendance'));
+        }
+      }
+    });
+  }
+
+  // Upload an in-memory attendance image with the same settings as attendanceStorage
+  async uploadAttendanceImage(buffer) {
+    const randomId = Math.round(Math.random() * 1E9);
+    return this.uploadBuffer(buffer, {
+      folder: 'attendance-system/attendance',
+      public_id: `attendance-${Date.now()}-${randomId}`,
+      transformation: [
+        { width: 1200, height: 900, crop: 'limit' },
+        { quality: 'auto:good' }
+      ]
+    });
+  }
+
   // Upload a buffer directly to Cloudinary
   async uploadBuffer(buffer, options = {}) {
     try {
@@ -0,0 +1,128 @@
+const User = require('../models/User');
+const IdentityCase = require('../models/IdentityCase');
+const faceMatchingService = require('./faceMatchingService');
+const faceTemplateService = require('./faceTemplateService');
+
+// Two different accounts whose faces are closer than this are reported as a possible duplicate
+const DUPLICATE_THRESHOLD = parseFloat(process.env.FACE_DUPLICATE_THRESHOLD) || 0.45;
+// Also compare new enrollments against other organizations (cases are visible to super-admins only)
+const CHECK_CROSS_ORGANIZATION = process.env.FACE_DUPLICATE_CROSS_ORG === 'true';
+
+class DuplicateIdentityService {
+  constructor() {
+    this.threshold = DUPLICATE_THRESHOLD;
+  }
+
+  // Open a case for a pair of users unless one already exists (dismissed pairs stay dismissed)
+  async openCase(user, match, { crossOrganization = false, source = 'enrollment' } = {}) {
+    const existing = await IdentityCase.findForPair(user._id, match.userId);
+
+    if (existing) {
+      if (existing.status === 'open' && match.distance < existing.distance) {
+        existing.distance = match.distance;
+        await existing.save();
+      }
+      return null;
+    }
+
+    const identityCase = new IdentityCase({
+      organization: user.organization,
+      user: user._id,
+      matchedUser: match.userId,
+      matchedOrganization: match.organization || user.organization,
+      crossOrganization,
+      distance: match.distance,
+      threshold: this.threshold,
+      source
+    });
+
+    await identityCase.save();
+    return identityCase;
+  }
+
+  // Users matching a query whose enrolled templates come within the threshold of any of the descriptors
+  async findMatches(query, descriptors) {
+    const matches = [];
+    const cursor = User.find({ ...query, faceEnrolled: true })
+      .select('organization faceDescriptors').lean().cursor();
+
+    for await (const other of cursor) {
+      const templates = faceTemplateService.getVectors(other.faceDescriptors);
+      const distance = Math.min(...descriptors.map(descriptor =>
+        faceMatchingService.findBestMatch(descriptor, templates).distance
+      ));
+
+      if (distance <= this.threshold) {
+        matches.push({
+          userId: other._id,
+          organization: other.organization,
+          distance: Number(distance.toFixed(4))
+        });
+      }
+    }
+    return matches;
+  }
+
+  // Compare descriptors against every other enrolled user in the same organization. The templates
+  // are read directly rather than from the face index, so pending and inactive accounts are included.
+  async checkWithinOrganization(user, descriptors, source) {
+    if (!user.organization) return [];
+
+    const matches = await this.findMatches({ _id: { $ne: user._id }, organization: user.organization }, descriptors);
+
+    const cases = [];
+    for (const match of matches) {
+      const identityCase = await this.openCase(user, match, { source });
+      if (identityCase) cases.push(identityCase);
+    }
+    return cases;
+  }
+
+  // Compare a user's descriptors against enrolled users of every other organization (super-admin scans)
+  async checkAcrossOrganizations(user, descriptors, source = 'scan') {
+    const matches = await this.findMatches({ _id: { $ne: user._id }, organization: { $ne: user.organization } }, descriptors);
+
+    const cases = [];
+    for (const match of matches) {
+      const identityCase = await this.openCase(user, match, { crossOrganization: true, source });
+      if (identityCase) cases.push(identityCase);
+    }
+    return cases;
+  }
+
+  // Check a newly accepted enrollment sample. Never fails the enrollment itself.
+  async checkEnrollment(user, descriptor) {
+    try {
+      const cases = await this.checkWithinOrganization(user, [descriptor], 'enrollment');
+
+      if (CHECK_CROSS_ORGANIZATION) {
+        cases.push(...await this.checkAcrossOrganizations(user, [descriptor], 'enrollment'));
+      }
+
+      if (cases.length) {
+        console.warn(`Possible duplicate identity for user ${user._id}: ${cases.length} case(s) opened`);
+      }
+      return cases;
+    } catch (error) {
+      console.error('Duplicate identity check error:', error);
+      return [];
+    }
+  }
+
+  // Check a user's enrolled descriptors on demand
+  async scanUser(user, { crossOrganization = false } = {}) {
+    const descriptors = faceTemplateService.getVectors(user.faceDescriptors);
+
+    if (!descriptors.length) return [];
+
+    const cases = await this.checkWithinOrganization(user, descriptors, 'scan');
+
+    if (crossOrganization) {
+      cases.push(...await this.checkAcrossOrganizations(user, descriptors));
+    }
+    return cases;
+  }
+}
+
+// Export singleton instance
+module.exports = new DuplicateIdentityService();
@@ -445,7 +445,136 @@ Need help? Contact our support team.
       return false;
     }
   }
+
+  // Tell an employee they never checked out
+  async sendMissedPunchEmail(email, data) {
+    try {
+      const resolution = data.autoClosed
+        ? `You were automatically checked out at ${data.checkOutTime}. The record is pending review by your admin.`
+        : 'The session has been marked as a missed punch. Please ask your admin to correct it.';
+
+      await this.sendEmail({
+        to: email,
+        subject: `Missed check-out on ${data.workDate}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+            <h1 style="color: #333;">Missed Check-out</h1>
+            <p>Hi ${data.employeeName},</p>
+            <p>You checked in at ${data.checkInTime} on ${data.workDate} but didn't check out.</p>
+            <p>${resolution}</p>
+          </div>
+        `,
+        text: `Hi ${data.employeeName}, you checked in at ${data.checkInTime} on ${data.workDate} but didn't check out. ${resolution}`
+      });
+
+      console.log(`✅ Missed punch email sent successfully to: ${email}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Error sending missed punch email:', error);
+      return false;
+    }
+  }
+
+  // Send an admin the missed check-outs found in their organization
+  async sendMissedPunchDigestEmail(email, data) {
+    try {
+      const rows = data.entries.map(entry =>
+        `<tr><td>${entry.employeeName}</td><td>${entry.workDate}</td><td>${entry.checkInTime}</td><td>${entry.resolution}</td></tr>`
+      ).join('');
+      const lines = data.entries.map(entry =>
+        `- ${entry.employeeName}, ${entry.workDate}, checked in ${entry.checkInTime}: ${entry.resolution}`
+      ).join('\n');
+
+      await this.sendEmail({
+        to: email,
+        subject: `${data.entries.length} missed check-out(s) in ${data.organizationName}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+            <h1 style="color: #333;">Missed Check-outs</h1>
+            <p>Hi ${data.adminName},</p>
+            <p>These employees checked in but didn't check out:</p>
+            <table style="width: 100%; border-collapse: collapse;" cellpadding="6">
+              <tr style="text-align: left; background: #f7fafc;"><th>Employee</th><th>Workday</th><th>Checked in</th><th>Action taken</th></tr>
+              ${rows}
+            </table>
+            <p>Auto-closed records are pending your review.</p>
+          </div>
+        `,
+        text: `Hi ${data.adminName}, these employees checked in but didn't check out:\n${lines}\nAuto-closed records are pending your review.`
+      });
+
+      console.log(`✅ Missed punch digest sent successfully to: ${email}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Error sending missed punch digest:', error);
+      return false;
+    }
+  }
+
+  // Ask an approver to review an employee's attendance correction
+  async sendRegularizationRequestEmail(email, data) {
+    try {
+      const action = data.kind === 'add-punch' ? 'add a missing' : 'correct a';
+
+      await this.sendEmail({
+        to: email,
+        subject: `Attendance correction request from ${data.employeeName}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+            <h1 style="color: #333;">Attendance Correction Request</h1>
+            <p>Hi ${data.approverName},</p>
+            <p>${data.employeeName} asked to ${action} ${data.punchType} on ${data.workDate}.</p>
+            <p><strong>Proposed time:</strong> ${data.proposedTime}</p>
+            <p><strong>Reason:</strong> ${data.reason}</p>
+            <p>Please review the request from your dashboard.</p>
+          </div>
+        `,
+        text: `${data.employeeName} asked to ${action} ${data.punchType} on ${data.workDate}. Proposed time: ${data.proposedTime}. Reason: ${data.reason}`
+      });
+
+      console.log(`✅ Regularization request email sent successfully to: ${email}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Error sending regularization request email:', error);
+      return false;
+    }
+  }
+
+  // Tell an employee where their attendance correction stands
+  async sendRegularizationStatusEmail(email, data) {
+    try {
+      const headlines = {
+        pending: 'has been submitted and is waiting for review',
+        approved: 'has been approved and applied to your attendance',
+        rejected: 'has been rejected',
+        cancelled: 'has been cancelled'
+      };
+      const headline = `Your correction of ${data.punchType} on ${data.workDate} ${headlines[data.status]}.`;
+      const notes = data.reviewNotes ? `Reviewer notes: ${data.reviewNotes}` : '';
+
+      await this.sendEmail({
+        to: email,
+        subject: `Attendance correction ${data.status === 'pending' ? 'submitted' : data.status}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+            <h1 style="color: #333;">Attendance Correction</h1>
+            <p>Hi ${data.employeeName},</p>
+            <p>${headline}</p>
+            <p><strong>Proposed time:</strong> ${data.proposedTime}</p>
+            ${notes ? `<p>${notes}</p>` : ''}
+          </div>
+        `,
+        text: `${headline} Proposed time: ${data.proposedTime}. ${notes}`
+      });
+
+      console.log(`✅ Regularization status email sent successfully to: ${email}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Error sending regularization status email:', error);
+      return false;
+    }
+  }
 }
 
 // Export singleton instance
-module.exports = new EmailService(); 
\ No newline at end of file
+module.exports = new EmailService();
@@ -0,0 +1,96 @@
+const faceMatchingService = require('./faceMatchingService');
+
+// Enrollment policy used when an organization hasn't configured one
+const DEFAULT_POLICY = {
+  minSamples: 3, // samples needed before the user counts as enrolled
+  maxSamples: 5, // enrollment samples kept per user
+  maxAttempts: 10, // submissions allowed (accepted or rejected) before an admin must reset
+  descriptorLength: 128, // face-api.js faceRecognitionNet output size
+  minSampleDistance: 0.1, // closer than this to an existing sample is a duplicate
+  maxSampleDistance: 0.5 // further than this from an existing sample is probably someone else
+};
+
+class EnrollmentService {
+  // Resolve an organization's enrollment policy on top of the defaults
+  getPolicy(organization) {
+    const configured = organization && organization.settings && organization.settings.faceEnrollment
+      ? organization.settings.faceEnrollment.toObject()
+      : {};
+
+    return { ...DEFAULT_POLICY, ...configured };
+  }
+
+  // Whether the user may submit another enrollment sample
+  canAttempt(user, policy) {
+    return user.faceEnrollmentAttempts < policy.maxAttempts;
+  }
+
+  // Check a new sample against the policy and the user's existing samples.
+  // Returns a list of { code, message } rejections; empty means the sample is accepted.
+  validateSample(descriptor, existingDescriptors = [], policy = DEFAULT_POLICY) {
+    if (!Array.isArray(descriptor) || !descriptor.every(value => typeof value === 'number' && Number.isFinite(value))) {
+      return [{ code: 'invalid-format', message: 'Face descriptor must be an array of numbers' }];
+    }
+
+    const rejections = [];
+
+    if (descriptor.length !== policy.descriptorLength) {
+      rejections.push({
+        code: 'invalid-length',
+        message: `Face descriptor has ${descriptor.length} values; expected ${policy.descriptorLength}`
+      });
+    }
+
+    const outOfRange = descriptor.filter(value => value < -1 || value > 1).length;
+    if (outOfRange > 0) {
+      rejections.push({
+        code: 'out-of-range',
+        message: `${outOfRange} descriptor values are outside the expected range of -1 to 1`
+      });
+    }
+
+    const norm = Math.sqrt(descriptor.reduce((sum, value) => sum + value * value, 0));
+    if (norm < 1e-6) {
+      rejections.push({ code: 'empty-descriptor', message: 'Face descriptor is all zeros; no face was detected' });
+    }
+
+    if (existingDescriptors.length >= policy.maxSamples) {
+      rejections.push({
+        code: 'too-many-samples',
+        message: `Maximum of ${policy.maxSamples} enrollment samples already reached`
+      });
+    }
+
+    // Distance checks only make sense for a well-formed descriptor
+    if (rejections.length === 0 && existingDescriptors.length > 0) {
+      const distances = existingDescriptors.map(existing => faceMatchingService.euclideanDistance(descriptor, existing));
+      const nearest = Math.min(...distances);
+      const farthest = Math.max(...distances);
+
+      if (nearest < policy.minSampleDistance) {
+        rejections.push({
+          code: 'duplicate-sample',
+          message: `Sample is too similar to an existing sample (distance ${nearest.toFixed(3)} < ${policy.minSampleDistance}). ` +
+            'Change angle or lighting slightly and try again.'
+        });
+      }
+
+      if (farthest > policy.maxSampleDistance) {
+        rejections.push({
+          code: 'different-person',
+          message: `Sample does not look like the same person as the existing samples (distance ${farthest.toFixed(3)} > ${policy.maxSampleDistance})`
+        });
+      }
+    }
+
+    return rejections;
+  }
+
+  // Whether the user has enough accepted samples to count as enrolled
+  isEnrolled(sampleCount, policy) {
+    return sampleCount >= policy.minSamples;
+  }
+}
+
+// Export singleton instance
+module.exports = new EnrollmentService();
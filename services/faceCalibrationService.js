@@ -0,0 +1,149 @@
+const User = require('../models/User');
+const faceMatchingService = require('./faceMatchingService');
+const faceTemplateService = require('./faceTemplateService');
+
+// Impostor pairs grow quadratically with headcount; above this many they are sampled
+const MAX_IMPOSTOR_PAIRS = 200000;
+const HISTOGRAM_BIN_WIDTH = 0.05;
+const HISTOGRAM_MAX = 1.5;
+
+// Value at quantile q (0..1) of an ascending list
+const quantile = (sorted, q) => {
+  if (!sorted.length) return null;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.floor(q * (sorted.length - 1))));
+  return sorted[index];
+};
+
+const round = (value) => (value === null || value === undefined ? value : Number(value.toFixed(4)));
+
+class FaceCalibrationService {
+  // Summary statistics and histogram of an ascending list of distances
+  describe(sorted) {
+    const bins = Math.ceil(HISTOGRAM_MAX / HISTOGRAM_BIN_WIDTH);
+    const histogram = Array.from({ length: bins }, (_, i) => ({
+      from: round(i * HISTOGRAM_BIN_WIDTH),
+      to: round((i + 1) * HISTOGRAM_BIN_WIDTH),
+      count: 0
+    }));
+
+    sorted.forEach(distance => {
+      histogram[Math.min(bins - 1, Math.floor(distance / HISTOGRAM_BIN_WIDTH))].count += 1;
+    });
+
+    return {
+      count: sorted.length,
+      min: round(sorted[0]),
+      max: round(sorted[sorted.length - 1]),
+      mean: sorted.length ? round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : null,
+      p1: round(quantile(sorted, 0.01)),
+      p5: round(quantile(sorted, 0.05)),
+      p50: round(quantile(sorted, 0.5)),
+      p95: round(quantile(sorted, 0.95)),
+      p99: round(quantile(sorted, 0.99)),
+      histogram
+    };
+  }
+
+  // Fraction of impostor pairs accepted and genuine pairs rejected at a threshold
+  errorRates(genuine, impostor, threshold) {
+    const accepted = impostor.filter(distance => distance <= threshold).length;
+    const rejected = genuine.filter(distance => distance > threshold).length;
+
+    return {
+      threshold: round(threshold),
+      falseAcceptRate: impostor.length ? round(accepted / impostor.length) : null,
+      falseRejectRate: genuine.length ? round(rejected / genuine.length) : null
+    };
+  }
+
+  // Genuine (same user) and impostor (different users) distances between enrollment samples
+  collectDistances(users) {
+    const genuine = [];
+    const impostor = [];
+
+    users.forEach(user => {
+      for (let i = 0; i < user.vectors.length; i++) {
+        for (let j = i + 1; j < user.vectors.length; j++) {
+          genuine.push(faceMatchingService.euclideanDistance(user.vectors[i], user.vectors[j]));
+        }
+      }
+    });
+
+    // Impostor pairs compare one user's samples against another's
+    const samples = users.flatMap((user, owner) => user.vectors.map(vector => ({ owner, vector })));
+    const totalPairs = (samples.length * (samples.length - 1)) / 2;
+
+    if (totalPairs <= MAX_IMPOSTOR_PAIRS) {
+      for (let i = 0; i < samples.length; i++) {
+        for (let j = i + 1; j < samples.length; j++) {
+          if (samples[i].owner !== samples[j].owner) {
+            impostor.push(faceMatchingService.euclideanDistance(samples[i].vector, samples[j].vector));
+          }
+        }
+      }
+    } else {
+      while (impostor.length < MAX_IMPOSTOR_PAIRS) {
+        const a = samples[Math.floor(Math.random() * samples.length)];
+        const b = samples[Math.floor(Math.random() * samples.length)];
+        if (a.owner !== b.owner) {
+          impostor.push(faceMatchingService.euclideanDistance(a.vector, b.vector));
+        }
+      }
+    }
+
+    return {
+      genuine: genuine.filter(Number.isFinite).sort((a, b) => a - b),
+      impostor: impostor.filter(Number.isFinite).sort((a, b) => a - b),
+      sampled: totalPairs > MAX_IMPOSTOR_PAIRS
+    };
+  }
+
+  // Build the calibration report for an organization's current-model enrollment samples
+  async calibrate(organization, { targetFar = 0.001 } = {}) {
+    const users = await User.find({ organization: organization._id, faceEnrolled: true })
+      .select('faceDescriptors')
+      .lean();
+
+    const enrolled = users
+      .map(user => ({ vectors: faceTemplateService.getVectors(user.faceDescriptors, undefined, { source: 'enrollment' }) }))
+      .filter(user => user.vectors.length);
+
+    const { genuine, impostor, sampled } = this.collectDistances(enrolled);
+    const current = faceMatchingService.getSettings(organization);
+    const warnings = [];
+
+    // The highest threshold whose impostor acceptance stays within the target
+    let suggestedThreshold = null;
+    if (impostor.length) {
+      const allowed = Math.floor(targetFar * impostor.length);
+      const boundary = impostor[allowed] !== undefined ? impostor[allowed] : impostor[impostor.length - 1];
+      suggestedThreshold = Math.floor((boundary - 1e-4) * 1000) / 1000;
+    }
+
+    if (enrolled.length < 2) {
+      warnings.push('At least two enrolled users are needed to measure impostor distances');
+    } else if (impostor.length < 1 / targetFar) {
+      warnings.push(`Only ${impostor.length} impostor pairs are available; a false-accept rate of ${targetFar} cannot be estimated reliably`);
+    }
+
+    if (!genuine.length) {
+      warnings.push('No user has more than one enrollment sample, so genuine distances are unavailable');
+    }
+
+    return {
+      model: faceTemplateService.getCurrentModel(),
+      users: enrolled.length,
+      samples: enrolled.reduce((sum, user) => sum + user.vectors.length, 0),
+      impostorPairsSampled: sampled,
+      genuine: this.describe(genuine),
+      impostor: this.describe(impostor),
+      targetFalseAcceptRate: targetFar,
+      current: this.errorRates(genuine, impostor, current.threshold),
+      suggested: suggestedThreshold !== null ? this.errorRates(genuine, impostor, suggestedThreshold) : null,
+      warnings
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new FaceCalibrationService();
@@ -0,0 +1,184 @@
+const User = require('../models/User');
+const faceMatchingService = require('./faceMatchingService');
+const faceTemplateService = require('./faceTemplateService');
+
+// Fields kept alongside each indexed user so search results can be shown without a DB round-trip
+const PROFILE_FIELDS = 'firstName lastName employeeId department organization faceDescriptors faceEnrolled isActive isApproved';
+
+// In-memory, per-organization index of enrolled face descriptors.
+// Each organization is loaded from MongoDB once, on first use, and then kept
+// up to date incrementally as users enroll, get reset or change status.
+class FaceIndexService {
+  constructor() {
+    this.organizations = new Map(); // organizationId -> { entries: Map<userId, entry>, loadedAt }
+    this.pendingLoads = new Map(); // organizationId -> Promise, to share concurrent loads
+    this.queuedUpdates = new Map(); // organizationId -> Map<userId, entry or null>, changes made during a load
+  }
+
+  // Only active, approved, enrolled users are searchable
+  isSearchable(user) {
+    return !!(user.organization && user.faceEnrolled && user.isActive && user.isApproved &&
+      faceTemplateService.getVectors(user.faceDescriptors).length);
+  }
+
+  // Build the index entry for a user document
+  toEntry(user) {
+    return {
+      userId: user._id.toString(),
+      descriptors: faceTemplateService.getVectors(user.faceDescriptors),
+      profile: {
+        _id: user._id,
+        fullName: `${user.firstName} ${user.lastName}`,
+        employeeId: user.employeeId,
+        department: user.department
+      }
+    };
+  }
+
+  // Load an organization's descriptors from the database
+  async loadOrganization(organizationId) {
+    const key = organizationId.toString();
+    const startedAt = Date.now();
+
+    const users = await User.find({
+      organization: organizationId,
+      faceEnrolled: true,
+      isActive: true,
+      isApproved: true
+    }).select(PROFILE_FIELDS).lean();
+
+    const entries = new Map();
+    users
+      .filter(user => this.isSearchable(user))
+      .forEach(user => entries.set(user._id.toString(), this.toEntry(user)));
+
+    const index = { entries, loadedAt: new Date(), loadTimeMs: Date.now() - startedAt };
+
+    // Changes made while the query ran are newer than what it read
+    const queued = this.queuedUpdates.get(key);
+    if (queued) {
+      queued.forEach((entry, userId) => this.setEntry(index, userId, entry));
+      this.queuedUpdates.delete(key);
+    }
+
+    this.organizations.set(key, index);
+    return index;
+  }
+
+  // Get an organization's index, loading it on first use
+  async ensureLoaded(organizationId) {
+    const key = organizationId.toString();
+
+    if (this.organizations.has(key)) {
+      return this.organizations.get(key);
+    }
+
+    if (!this.pendingLoads.has(key)) {
+      this.queuedUpdates.set(key, new Map());
+      const load = this.loadOrganization(organizationId)
+        .finally(() => {
+          this.pendingLoads.delete(key);
+          this.queuedUpdates.delete(key);
+        });
+      this.pendingLoads.set(key, load);
+    }
+
+    return this.pendingLoads.get(key);
+  }
+
+  // Set a user's entry in an index; null removes the user
+  setEntry(index, userId, entry) {
+    if (entry) {
+      index.entries.set(userId, entry);
+    } else {
+      index.entries.delete(userId);
+    }
+  }
+
+  // Apply a user's entry to their organization's index. While the index is loading the change is
+  // queued and applied once the load finishes; an organization that isn't loaded is left alone.
+  applyEntry(organizationId, userId, entry) {
+    const key = organizationId.toString();
+
+    const index = this.organizations.get(key);
+    if (index) {
+      this.setEntry(index, userId, entry);
+      return;
+    }
+
+    const queued = this.queuedUpdates.get(key);
+    if (queued) {
+      queued.set(userId, entry);
+    }
+  }
+
+  // Apply a user's current face data and status to the index
+  updateUser(user) {
+    if (!user || !user.organization) return;
+
+    this.applyEntry(user.organization, user._id.toString(), this.isSearchable(user) ? this.toEntry(user) : null);
+  }
+
+  // Remove a user from their organization's index
+  removeUser(userId, organizationId) {
+    if (!organizationId) return;
+
+    this.applyEntry(organizationId, userId.toString(), null);
+  }
+
+  // Nearest-neighbour search over an organization's enrolled users
+  async search(organizationId, probe, options = {}) {
+    const index = await this.ensureLoaded(organizationId);
+    const entries = Array.from(index.entries.values())
+      .filter(entry => !options.excludeUserId || entry.userId !== options.excludeUserId.toString());
+
+    const result = faceMatchingService.identify(probe, entries, options);
+
+    const withProfile = (candidate) => candidate && {
+      ...candidate,
+      user: index.entries.get(candidate.userId).profile
+    };
+
+    return {
+      ...result,
+      match: withProfile(result.match),
+      candidates: result.candidates.map(withProfile)
+    };
+  }
+
+  // Drop and reload one organization, or every organization currently loaded
+  async rebuild(organizationId) {
+    const organizationIds = organizationId
+      ? [organizationId.toString()]
+      : Array.from(this.organizations.keys());
+
+    for (const id of organizationIds) {
+      this.organizations.delete(id);
+      await this.ensureLoaded(id);
+    }
+
+    return this.getStats();
+  }
+
+  // Index size per organization
+  getStats() {
+    return Array.from(this.organizations.entries()).map(([organization, index]) => {
+      const entries = Array.from(index.entries.values());
+      const descriptors = entries.reduce((total, entry) => total + entry.descriptors.length, 0);
+      const dimensions = entries.reduce((total, entry) =>
+        total + entry.descriptors.reduce((sum, descriptor) => sum + descriptor.length, 0), 0);
+
+      return {
+        organization,
+        users: entries.length,
+        descriptors,
+        approxMemoryBytes: dimensions * 8,
+        loadedAt: index.loadedAt,
+        loadTimeMs: index.loadTimeMs
+      };
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new FaceIndexService();
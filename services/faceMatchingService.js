@@ -0,0 +1,149 @@
+// Euclidean distance below which two face-api.js descriptors are treated as the same person
+const DEFAULT_MATCH_THRESHOLD = parseFloat(process.env.FACE_MATCH_THRESHOLD) || 0.6;
+
+// Minimum gap between the best and second-best candidate for a 1:N identification to be trusted
+const DEFAULT_IDENTIFY_MARGIN = parseFloat(process.env.FACE_IDENTIFY_MARGIN) || 0.05;
+
+// Matches within this distance of the threshold are borderline
+const DEFAULT_BORDERLINE_MARGIN = parseFloat(process.env.FACE_BORDERLINE_MARGIN) || 0.05;
+
+class FaceMatchingService {
+  constructor() {
+    this.matchThreshold = DEFAULT_MATCH_THRESHOLD;
+    this.identifyMargin = DEFAULT_IDENTIFY_MARGIN;
+    this.borderlineMargin = DEFAULT_BORDERLINE_MARGIN;
+  }
+
+  // Resolve an organization's matching parameters; unset values fall back to the server defaults
+  getSettings(organization) {
+    const configured = organization && organization.settings && organization.settings.faceMatching
+      ? organization.settings.faceMatching
+      : {};
+    const pick = (value, fallback) => (value !== undefined && value !== null ? value : fallback);
+
+    return {
+      threshold: pick(configured.threshold, this.matchThreshold),
+      margin: pick(configured.minMargin, this.identifyMargin),
+      borderlineMargin: pick(configured.borderlineMargin, this.borderlineMargin),
+      borderlineAction: pick(configured.borderlineAction, 'review')
+    };
+  }
+
+  // Whether an accepted distance sits just under the threshold
+  isBorderline(distance, threshold, borderlineMargin = this.borderlineMargin) {
+    return distance <= threshold && distance > threshold - borderlineMargin;
+  }
+
+  // Accept a descriptor sent either as an array or as a JSON string (multipart forms)
+  parseDescriptor(value) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  // Euclidean distance between two descriptors of the same length
+  euclideanDistance(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) {
+      return Infinity;
+    }
+
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      const diff = a[i] - b[i];
+      sum += diff * diff;
+    }
+    return Math.sqrt(sum);
+  }
+
+  // Find the closest of the enrolled descriptors to the probe
+  findBestMatch(probe, descriptors = []) {
+    let best = { distance: Infinity, index: -1 };
+
+    descriptors.forEach((descriptor, index) => {
+      const distance = this.euclideanDistance(probe, descriptor);
+      if (distance < best.distance) {
+        best = { distance, index };
+      }
+    });
+
+    return best;
+  }
+
+  // Map a distance onto the 0..1 confidence scale stored on attendance records
+  distanceToConfidence(distance) {
+    if (!Number.isFinite(distance)) return 0;
+    return Math.max(0, Math.min(1, 1 - distance));
+  }
+
+  // Verify a probe descriptor against a user's enrolled descriptors
+  verify(probe, descriptors = [], options = {}) {
+    const threshold = options.threshold || this.matchThreshold;
+
+    if (!Array.isArray(probe) || probe.length === 0) {
+      return { matched: false, reason: 'no-probe', threshold };
+    }
+
+    if (!descriptors.length) {
+      return { matched: false, reason: 'not-enrolled', threshold };
+    }
+
+    const { distance } = this.findBestMatch(probe, descriptors);
+
+    if (!Number.isFinite(distance)) {
+      return { matched: false, reason: 'incompatible-descriptor', threshold };
+    }
+
+    return {
+      matched: distance <= threshold,
+      reason: distance <= threshold ? null : 'distance-above-threshold',
+      borderline: this.isBorderline(distance, threshold, options.borderlineMargin),
+      distance: Number(distance.toFixed(4)),
+      confidence: Number(this.distanceToConfidence(distance).toFixed(4)),
+      threshold
+    };
+  }
+
+  // Search a set of candidates ({ userId, descriptors }) for the closest identity (1:N)
+  identify(probe, candidates = [], options = {}) {
+    const threshold = options.threshold || this.matchThreshold;
+    const margin = options.margin !== undefined ? options.margin : this.identifyMargin;
+    const limit = options.limit || 3;
+
+    const ranked = candidates
+      .map(candidate => ({
+        userId: candidate.userId,
+        distance: this.findBestMatch(probe, candidate.descriptors).distance
+      }))
+      .filter(candidate => Number.isFinite(candidate.distance))
+      .sort((a, b) => a.distance - b.distance)
+      .map(candidate => ({
+        ...candidate,
+        distance: Number(candidate.distance.toFixed(4)),
+        confidence: Number(this.distanceToConfidence(candidate.distance).toFixed(4))
+      }));
+
+    const [best, runnerUp] = ranked;
+    const matched = !!best && best.distance <= threshold;
+    // Refuse to pick anyone when the top two identities are too close to call
+    const ambiguous = matched && !!runnerUp && runnerUp.distance - best.distance < margin;
+
+    return {
+      match: matched && !ambiguous ? best : null,
+      matched,
+      ambiguous,
+      borderline: matched && this.isBorderline(best.distance, threshold, options.borderlineMargin),
+      threshold,
+      margin,
+      candidates: ranked.slice(0, limit)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new FaceMatchingService();
@@ -0,0 +1,137 @@
+const faceMatchingService = require('./faceMatchingService');
+
+// The face model the frontends currently run. Every stored template records the model that
+// produced it, and descriptors from different models are never compared with each other.
+const CURRENT_MODEL = {
+  model: process.env.FACE_MODEL_NAME || 'face-api.js/faceRecognitionNet',
+  modelVersion: process.env.FACE_MODEL_VERSION || '0.22.2',
+  dimension: parseInt(process.env.FACE_MODEL_DIMENSION) || 128
+};
+
+// Adaptive template policy used when an organization hasn't configured one
+const DEFAULT_ADAPTIVE_POLICY = {
+  enabled: false,
+  maxDistance: 0.35,
+  maxTemplates: 3,
+  ttlDays: 90,
+  minNovelty: 0.1
+};
+
+class FaceTemplateService {
+  getCurrentModel() {
+    return { ...CURRENT_MODEL };
+  }
+
+  // Resolve the model a client says produced its descriptor; clients that don't say use the current model
+  resolveModel({ faceModel, faceModelVersion } = {}) {
+    if (!faceModel && !faceModelVersion) {
+      return this.getCurrentModel();
+    }
+
+    const model = faceModel || CURRENT_MODEL.model;
+    const modelVersion = faceModelVersion || CURRENT_MODEL.modelVersion;
+    const isCurrent = model === CURRENT_MODEL.model && modelVersion === CURRENT_MODEL.modelVersion;
+
+    return { model, modelVersion, dimension: isCurrent ? CURRENT_MODEL.dimension : undefined };
+  }
+
+  isCurrentModel(model) {
+    return model.model === CURRENT_MODEL.model && model.modelVersion === CURRENT_MODEL.modelVersion;
+  }
+
+  // Build a stored template for a descriptor produced by the given model
+  createTemplate(vector, { model = CURRENT_MODEL, source = 'enrollment', enrolledAt = new Date() } = {}) {
+    return {
+      vector: Array.from(vector),
+      model: model.model,
+      modelVersion: model.modelVersion,
+      dimension: vector.length,
+      source,
+      enrolledAt
+    };
+  }
+
+  // Adaptive templates stop counting once they expire
+  isExpired(template, now = new Date()) {
+    return !!template.expiresAt && template.expiresAt <= now;
+  }
+
+  // Whether a stored template can be compared with descriptors from the given model
+  isCompatible(template, model = CURRENT_MODEL) {
+    return !!template && !!template.vector &&
+      template.model === model.model &&
+      template.modelVersion === model.modelVersion &&
+      template.vector.length === template.dimension &&
+      (!model.dimension || template.dimension === model.dimension);
+  }
+
+  // Plain descriptor arrays of the live templates usable with the given model,
+  // optionally limited to one source ('enrollment' or 'adaptive')
+  getVectors(templates = [], model = CURRENT_MODEL, { source } = {}) {
+    const now = new Date();
+
+    return templates
+      .filter(template => this.isCompatible(template, model) && !this.isExpired(template, now))
+      .filter(template => !source || (template.source || 'enrollment') === source)
+      .map(template => Array.from(template.vector));
+  }
+
+  // Resolve an organization's adaptive template policy on top of the defaults
+  getAdaptivePolicy(organization) {
+    const settings = organization && organization.settings && organization.settings.faceMatching;
+    const configured = settings && settings.adaptiveTemplates ? settings.adaptiveTemplates.toObject() : {};
+
+    return { ...DEFAULT_ADAPTIVE_POLICY, ...configured };
+  }
+
+  // Add a confident probe to the user's rolling set of adaptive templates.
+  // Drops expired ones and keeps at most policy.maxTemplates; the caller saves the user.
+  // Returns whether a template was added.
+  addAdaptiveTemplate(user, vector, policy, model = CURRENT_MODEL) {
+    const now = new Date();
+
+    user.faceDescriptors = user.faceDescriptors.filter(template =>
+      template.source !== 'adaptive' || !this.isExpired(template, now)
+    );
+
+    // A probe that is nearly identical to an existing template adds nothing
+    const { distance } = faceMatchingService.findBestMatch(vector, this.getVectors(user.faceDescriptors, model));
+    if (distance < policy.minNovelty) {
+      return false;
+    }
+
+    user.faceDescriptors.push({
+      ...this.createTemplate(vector, { model, source: 'adaptive', enrolledAt: now }),
+      expiresAt: new Date(now.getTime() + policy.ttlDays * 24 * 60 * 60 * 1000)
+    });
+
+    // Keep only the most recent adaptive templates
+    const adaptive = user.faceDescriptors
+      .filter(template => template.source === 'adaptive')
+      .sort((a, b) => b.enrolledAt - a.enrolledAt);
+    const stale = new Set(adaptive.slice(policy.maxTemplates));
+
+    if (stale.size) {
+      user.faceDescriptors = user.faceDescriptors.filter(template => !stale.has(template));
+    }
+
+    return true;
+  }
+
+  // Count templates per model/version, for reporting
+  summarizeModels(templates = []) {
+    const counts = new Map();
+
+    templates.forEach(template => {
+      const key = `${template.model}@${template.modelVersion}`;
+      const entry = counts.get(key) || { model: template.model, modelVersion: template.modelVersion, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    });
+
+    return Array.from(counts.values());
+  }
+}
+
+// Export singleton instance
+module.exports = new FaceTemplateService();
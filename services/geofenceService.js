@@ -0,0 +1,128 @@
+const Site = require('../models/Site');
+const { haversineDistance, isPointInPolygon, distanceToPolygonEdge } = require('../utils/geo');
+
+class GeofenceService {
+  // Sites a user may check in at: their allowed sites, or every active site of the organization.
+  // A user whose allowed sites have all been deactivated gets none.
+  async getSitesFor(user) {
+    const query = { organization: user.organization, isActive: true };
+    if (user.allowedSites && user.allowedSites.length) {
+      query._id = { $in: user.allowedSites };
+    }
+
+    return Site.find(query);
+  }
+
+  // Metres from a point to a site's fence; 0 when the point is inside it
+  distanceToSite(point, site) {
+    const { shape, center, radius, polygon } = site.geofence;
+
+    if (shape === 'polygon') {
+      return isPointInPolygon(point, polygon) ? 0 : distanceToPolygonEdge(point, polygon);
+    }
+
+    return Math.max(0, haversineDistance(point, center) - radius);
+  }
+
+  // Find the site a point falls in, or the nearest one when it's outside them all
+  locate(point, sites) {
+    let nearest = null;
+
+    for (const site of sites) {
+      const distance = this.distanceToSite(point, site);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { site, distance };
+      }
+    }
+
+    return nearest;
+  }
+
+  // Validate a check-in location for a user.
+  // Returns { status, site, distance, action } where action is 'accept', 'flag' or 'reject'.
+  async check(user, location) {
+    if (user.geofenceExempt) {
+      return { status: 'exempt', action: 'accept' };
+    }
+
+    const sites = await this.getSitesFor(user);
+    if (!sites.length) {
+      const hasAllowedSites = user.allowedSites && user.allowedSites.length;
+      if (!hasAllowedSites || !await Site.exists({ organization: user.organization, isActive: true })) {
+        return { status: 'not-configured', action: 'accept' };
+      }
+
+      // Every site the user is allowed at was deactivated: apply the strictest of their policies
+      const allowed = await Site.find({ _id: { $in: user.allowedSites } }).select('outsideAction');
+      const action = allowed.some(site => site.outsideAction === 'reject') ? 'reject' : 'flag';
+      return { status: 'no-active-site', action };
+    }
+
+    const hasPoint = location && typeof location.latitude === 'number' && typeof location.longitude === 'number';
+    if (!hasPoint) {
+      // Without a location the strictest policy among the user's sites applies
+      const action = sites.some(site => site.outsideAction === 'reject') ? 'reject' : 'flag';
+      return { status: 'no-location', action };
+    }
+
+    const { site, distance } = this.locate(location, sites);
+    if (distance === 0) {
+      return { status: 'inside', site, distance: 0, action: 'accept' };
+    }
+
+    return {
+      status: 'outside',
+      site,
+      distance: Math.round(distance),
+      action: site.outsideAction
+    };
+  }
+
+  // Validate a check-in at a kiosk. A kiosk installed at an active site stands in for the employee's
+  // location: the check-in is inside when the employee may check in at that site. Other kiosks
+  // are checked by the location they report.
+  async checkDevice(user, device, location) {
+    const site = device.site && await Site.findOne({ _id: device.site, isActive: true });
+    if (!site) {
+      return this.check(user, location);
+    }
+
+    if (user.geofenceExempt) {
+      return { status: 'exempt', action: 'accept' };
+    }
+
+    const allowed = !user.allowedSites || !user.allowedSites.length ||
+      user.allowedSites.some(siteId => siteId.equals(site._id));
+    if (allowed) {
+      return { status: 'inside', site, distance: 0, action: 'accept' };
+    }
+
+    return { status: 'other-site', site, action: site.outsideAction };
+  }
+
+  // Why a rejected check-in was refused, for the employee
+  getRejectionMessage(result) {
+    if (result.status === 'no-location') {
+      return 'Your location is required to check in.';
+    }
+    if (result.status === 'no-active-site') {
+      return 'None of your work sites are active. Please contact your admin.';
+    }
+    if (result.status === 'other-site') {
+      return `${result.site.name} is not one of your work sites. Please check in at your own site.`;
+    }
+    return `You are ${result.distance} m outside ${result.site.name}. Please check in on site.`;
+  }
+
+  // Shape stored on the attendance record
+  toRecord(result) {
+    return {
+      status: result.status,
+      site: result.site ? result.site._id : undefined,
+      distance: result.distance
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new GeofenceService();
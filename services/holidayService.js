@@ -0,0 +1,237 @@
+const Holiday = require('../models/Holiday');
+const HolidayCalendar = require('../models/HolidayCalendar');
+const { getOrganizationTimeZone, toDateKey, dateKeyToDate, dateToDateKey, addDays } = require('../utils/time');
+const { parseCalendar, buildCalendar } = require('../utils/ics');
+
+// Build an error carrying the HTTP status the controller should respond with
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const HOLIDAY_TYPES = ['public', 'optional', 'restricted'];
+
+// Public holidays win over optional ones when a user is covered by several calendars
+const TYPE_PRIORITY = { public: 0, restricted: 1, optional: 2 };
+
+// A calendar covers a user when it's organization-wide or for one of the user's sites
+const coversUser = (calendar, user) => (
+  !calendar.site || (user.allowedSites || []).some(siteId => siteId.equals(calendar.site))
+);
+
+class HolidayService {
+  // Active calendars of an organization that cover a user
+  async getCalendarsFor(user) {
+    const calendars = await HolidayCalendar.find({ organization: user.organization, isActive: true });
+    return calendars.filter(calendar => coversUser(calendar, user));
+  }
+
+  // Holidays (of the given calendars) overlapping a range of workdays
+  findInRange(calendarIds, fromKey, toKey) {
+    return Holiday.find({
+      calendar: { $in: calendarIds },
+      date: { $lte: dateKeyToDate(toKey) },
+      endDate: { $gte: dateKeyToDate(fromKey) }
+    }).sort({ date: 1 });
+  }
+
+  // Pick the holiday that gives a user the day off, if any
+  pickHoliday(holidays, calendars, user) {
+    const calendarIds = new Set(calendars.filter(calendar => coversUser(calendar, user)).map(calendar => calendar._id.toString()));
+
+    return holidays
+      .filter(holiday => calendarIds.has(holiday.calendar.toString()) && holiday.appliesTo(user._id))
+      .sort((a, b) => TYPE_PRIORITY[a.type] - TYPE_PRIORITY[b.type])[0] || null;
+  }
+
+  // Holidays giving users a day off on a workday: Map of userId -> holiday.
+  // Users need their allowedSites loaded for site calendars to apply.
+  async getHolidaysOn(users, organization, dateKey) {
+    const calendars = await HolidayCalendar.find({ organization: organization._id, isActive: true });
+    const holidayMap = new Map();
+    if (!calendars.length) {
+      return holidayMap;
+    }
+
+    const holidays = await this.findInRange(calendars.map(calendar => calendar._id), dateKey, dateKey);
+    if (!holidays.length) {
+      return holidayMap;
+    }
+
+    users.forEach(user => {
+      const holiday = this.pickHoliday(holidays, calendars, user);
+      if (holiday) {
+        holidayMap.set(user._id.toString(), holiday);
+      }
+    });
+
+    return holidayMap;
+  }
+
+  // A user's days off for holidays over a range of workdays: Map of dateKey -> holiday
+  async getHolidayDates(user, organization, fromKey, toKey) {
+    const holidayDates = await this.getHolidayDatesFor([user], organization, fromKey, toKey);
+    return holidayDates.get(user._id.toString());
+  }
+
+  // Days off for holidays of several users (with allowedSites loaded) over a range of workdays:
+  // Map of userId -> Map of dateKey -> holiday
+  async getHolidayDatesFor(users, organization, fromKey, toKey) {
+    const calendars = await HolidayCalendar.find({ organization: organization._id, isActive: true });
+    const holidays = calendars.length
+      ? await this.findInRange(calendars.map(calendar => calendar._id), fromKey, toKey)
+      : [];
+
+    const holidayDates = new Map(users.map(user => [user._id.toString(), new Map()]));
+    if (!holidays.length) {
+      return holidayDates;
+    }
+
+    for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDays(dateKey, 1)) {
+      const label = dateKeyToDate(dateKey);
+      const onDay = holidays.filter(holiday => holiday.date <= label && holiday.endDate >= label);
+      if (!onDay.length) continue;
+
+      users.forEach(user => {
+        const holiday = this.pickHoliday(onDay, calendars, user);
+        if (holiday) {
+          holidayDates.get(user._id.toString()).set(dateKey, holiday);
+        }
+      });
+    }
+
+    return holidayDates;
+  }
+
+  // Opt a user into a restricted holiday, within the organization's yearly limit
+  async optIn(holiday, user, organization) {
+    if (holiday.type !== 'restricted') {
+      throw createError(400, 'Only restricted holidays need to be opted into');
+    }
+
+    const calendar = await HolidayCalendar.findById(holiday.calendar);
+    if (!calendar || !calendar.isActive || !calendar.organization.equals(user.organization) || !coversUser(calendar, user)) {
+      throw createError(404, 'Holiday not found');
+    }
+
+    if (holiday.optedIn.some(id => id.equals(user._id))) {
+      return holiday;
+    }
+
+    const todayKey = toDateKey(new Date(), getOrganizationTimeZone(organization));
+    if (dateToDateKey(holiday.date) < todayKey) {
+      throw createError(400, 'You cannot opt into a holiday that has already passed');
+    }
+
+    const year = dateToDateKey(holiday.date).slice(0, 4);
+    const limit = organization.settings.holidays.restrictedPerYear;
+    const taken = await Holiday.countDocuments({
+      organization: holiday.organization,
+      type: 'restricted',
+      optedIn: user._id,
+      date: { $gte: dateKeyToDate(`${year}-01-01`), $lte: dateKeyToDate(`${year}-12-31`) }
+    });
+    if (taken >= limit) {
+      throw createError(400, `You can take at most ${limit} restricted holiday(s) per year`);
+    }
+
+    holiday.optedIn.push(user._id);
+    await holiday.save();
+    return holiday;
+  }
+
+  // Withdraw from a restricted holiday that hasn't passed yet
+  async optOut(holiday, user, organization) {
+    const todayKey = toDateKey(new Date(), getOrganizationTimeZone(organization));
+    if (dateToDateKey(holiday.date) < todayKey) {
+      throw createError(400, 'You cannot opt out of a holiday that has already passed');
+    }
+
+    holiday.optedIn = holiday.optedIn.filter(id => !id.equals(user._id));
+    await holiday.save();
+    return holiday;
+  }
+
+  // Holiday type from an event's categories, falling back to the import's default
+  getEventType(event, defaultType) {
+    return HOLIDAY_TYPES.find(type => event.categories.includes(type)) || defaultType;
+  }
+
+  // Import an .ics file into a calendar. Events with a UID already in the calendar are updated.
+  async importCalendar(calendar, text, organization, { defaultType = 'public', createdBy } = {}) {
+    let parsed;
+    try {
+      parsed = parseCalendar(text, { timeZone: getOrganizationTimeZone(organization) });
+    } catch (error) {
+      throw createError(400, `Could not read the calendar file: ${error.message}`);
+    }
+
+    let created = 0;
+    let updated = 0;
+
+    const skipped = [...parsed.skipped];
+
+    for (const event of parsed.events) {
+      const fields = {
+        name: event.summary.slice(0, 200),
+        description: event.description ? event.description.slice(0, 1000) : undefined,
+        date: dateKeyToDate(event.startDate),
+        endDate: dateKeyToDate(event.endDate),
+        type: this.getEventType(event, defaultType)
+      };
+
+      // An event the holiday model refuses is reported with the others instead of ending the import
+      try {
+        const existing = event.uid && await Holiday.findOne({ calendar: calendar._id, uid: event.uid });
+        if (existing) {
+          existing.set(fields);
+          await existing.save();
+          updated += 1;
+        } else {
+          await Holiday.create({
+            ...fields,
+            organization: calendar.organization,
+            calendar: calendar._id,
+            uid: event.uid,
+            createdBy
+          });
+          created += 1;
+        }
+      } catch (error) {
+        if (error.name !== 'ValidationError' && error.name !== 'CastError') {
+          throw error;
+        }
+        skipped.push({ summary: event.summary, reason: error.message });
+      }
+    }
+
+    return { created, updated, skipped };
+  }
+
+  // Render a calendar's holidays (optionally one year's) as an ICS document
+  async exportCalendar(calendar, { year } = {}) {
+    const query = { calendar: calendar._id };
+    if (year) {
+      query.date = { $lte: dateKeyToDate(`${year}-12-31`) };
+      query.endDate = { $gte: dateKeyToDate(`${year}-01-01`) };
+    }
+
+    const holidays = await Holiday.find(query).sort({ date: 1 });
+
+    return buildCalendar({
+      name: calendar.name,
+      events: holidays.map(holiday => ({
+        uid: holiday.uid || `${holiday._id}@holidays`,
+        summary: holiday.name,
+        description: holiday.description,
+        categories: [holiday.type],
+        startDate: dateToDateKey(holiday.date),
+        endDate: dateToDateKey(holiday.endDate)
+      }))
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new HolidayService();
@@ -0,0 +1,345 @@
+const mongoose = require('mongoose');
+const LeaveType = require('../models/LeaveType');
+const LeaveBalance = require('../models/LeaveBalance');
+const LeaveRequest = require('../models/LeaveRequest');
+const shiftService = require('./shiftService');
+const holidayService = require('./holidayService');
+const { getOrganizationTimeZone, toDateKey, dateKeyToDate, dateToDateKey, addDays, daysBetween } = require('../utils/time');
+
+// Build an error carrying the HTTP status the controller should respond with
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Leave can be requested after the fact (sick leave is often filed on return), up to this far back
+const MAX_BACKDATE_DAYS = parseInt(process.env.LEAVE_MAX_BACKDATE_DAYS, 10) || 30;
+
+// Longest single request, in calendar days
+const MAX_REQUEST_DAYS = 90;
+
+// Requests in these statuses hold their days: no other request may overlap them
+const ACTIVE_STATUSES = ['pending', 'approved'];
+
+const getYear = (dateKey) => Number(dateKey.slice(0, 4));
+
+class LeaveService {
+  getTodayKey(organization, now = new Date()) {
+    return toDateKey(now, getOrganizationTimeZone(organization));
+  }
+
+  // Days of a balance's entitlement accrued as of a workday (all of it once the year is over).
+  // Monthly accrual credits a twelfth at the start of each month, rounded down to half days.
+  getAccrued(leaveType, balance, todayKey) {
+    if (leaveType.accrual !== 'monthly') {
+      return balance.entitlement;
+    }
+
+    const currentYear = getYear(todayKey);
+    if (balance.year < currentYear) {
+      return balance.entitlement;
+    }
+    if (balance.year > currentYear) {
+      return 0;
+    }
+
+    const months = Number(todayKey.slice(5, 7));
+    return Math.floor((balance.entitlement * months / 12) * 2) / 2;
+  }
+
+  // Balance figures for API responses
+  summarize(balance, leaveType, todayKey) {
+    const accrued = this.getAccrued(leaveType, balance, todayKey);
+
+    return {
+      _id: balance._id,
+      leaveType: {
+        _id: leaveType._id,
+        name: leaveType.name,
+        code: leaveType.code,
+        isPaid: leaveType.isPaid
+      },
+      year: balance.year,
+      entitlement: balance.entitlement,
+      accrued,
+      carriedForward: balance.carriedForward,
+      adjustment: balance.adjustment,
+      used: balance.used,
+      pending: balance.pending,
+      available: accrued + balance.carriedForward + balance.adjustment - balance.used - balance.pending
+    };
+  }
+
+  // Find or open a user's balance for a leave type and year. The carried-forward days are
+  // refreshed from the previous year each time, so late changes to that year flow through.
+  async getBalance(userId, organizationId, leaveType, year) {
+    let carriedForward = 0;
+
+    if (leaveType.carryForwardLimit > 0) {
+      const previous = await LeaveBalance.findOne({ user: userId, leaveType: leaveType._id, year: year - 1 });
+      if (previous) {
+        const unused = previous.entitlement + previous.carriedForward + previous.adjustment - previous.used;
+        carriedForward = Math.min(Math.max(unused, 0), leaveType.carryForwardLimit);
+      }
+    }
+
+    return LeaveBalance.findOneAndUpdate(
+      { user: userId, leaveType: leaveType._id, year },
+      {
+        $set: { carriedForward },
+        $setOnInsert: { organization: organizationId, entitlement: leaveType.annualAllowance }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  // A user's balances of every active leave type that tracks one
+  async getBalances(user, organization, year) {
+    const todayKey = this.getTodayKey(organization);
+    const leaveTypes = await LeaveType.find({ organization: user.organization, isActive: true }).sort({ name: 1 });
+
+    const balances = [];
+    for (const leaveType of leaveTypes.filter(type => type.tracksBalance)) {
+      const balance = await this.getBalance(user._id, user.organization, leaveType, year);
+      balances.push(this.summarize(balance, leaveType, todayKey));
+    }
+
+    return balances;
+  }
+
+  // Move a request's days between its balance's counters, e.g. { pending: -1, used: 1 }
+  async moveDays(request, leaveType, changes) {
+    if (!leaveType || !leaveType.tracksBalance) {
+      return;
+    }
+
+    const year = getYear(dateToDateKey(request.startDate));
+    const balance = await this.getBalance(request.user, request.organization, leaveType, year);
+
+    const increments = {};
+    Object.entries(changes).forEach(([field, sign]) => {
+      increments[field] = sign * request.days;
+    });
+
+    await LeaveBalance.updateOne({ _id: balance._id }, { $inc: increments });
+  }
+
+  // The user's scheduled working days in a range of workdays (days off and holidays don't use leave)
+  async getLeaveDates(user, organization, startKey, endKey) {
+    const roster = await shiftService.getRoster([user], startKey, endKey, organization);
+    const holidays = await holidayService.getHolidayDates(user, organization, startKey, endKey);
+
+    return roster.get(user._id.toString())
+      .filter(day => day.shift && !holidays.has(day.date))
+      .map(day => day.date);
+  }
+
+  // Check and submit a leave request, holding its days on the balance
+  async createRequest(user, organization, { leaveType: leaveTypeId, startDate, endDate = startDate, halfDay = false, reason }) {
+    const leaveType = await LeaveType.findOne({ _id: leaveTypeId, organization: user.organization, isActive: true });
+    if (!leaveType) {
+      throw createError(404, 'Leave type not found');
+    }
+
+    if (endDate < startDate) {
+      throw createError(400, 'The end date cannot be before the start date');
+    }
+    if (getYear(startDate) !== getYear(endDate)) {
+      throw createError(400, 'Leave spanning two years must be requested separately for each year');
+    }
+    if (daysBetween(startDate, endDate) + 1 > MAX_REQUEST_DAYS) {
+      throw createError(400, `A single request can cover at most ${MAX_REQUEST_DAYS} days`);
+    }
+
+    const todayKey = this.getTodayKey(organization);
+    if (startDate < addDays(todayKey, -MAX_BACKDATE_DAYS)) {
+      throw createError(400, `Leave can only be requested up to ${MAX_BACKDATE_DAYS} days after the fact`);
+    }
+
+    if (halfDay && startDate !== endDate) {
+      throw createError(400, 'A half day must start and end on the same date');
+    }
+    if (halfDay && !leaveType.allowHalfDay) {
+      throw createError(400, `${leaveType.name} cannot be taken as a half day`);
+    }
+
+    const dates = (await this.getLeaveDates(user, organization, startDate, endDate)).map(dateKeyToDate);
+    if (!dates.length) {
+      throw createError(400, 'There are no scheduled working days (outside holidays) in the selected dates');
+    }
+
+    const overlapping = await LeaveRequest.exists({
+      user: user._id,
+      status: { $in: ACTIVE_STATUSES },
+      dates: { $in: dates }
+    });
+    if (overlapping) {
+      throw createError(400, 'You already have leave requested on some of these days');
+    }
+
+    const days = halfDay ? 0.5 : dates.length;
+
+    if (leaveType.tracksBalance && !leaveType.allowNegativeBalance) {
+      const balance = await this.getBalance(user._id, user.organization, leaveType, getYear(startDate));
+      const { available } = this.summarize(balance, leaveType, todayKey);
+      if (days > available) {
+        throw createError(400, `Not enough ${leaveType.name} balance: ${available} day(s) available, ${days} requested`);
+      }
+    }
+
+    const request = new LeaveRequest({
+      organization: user.organization,
+      user: user._id,
+      leaveType: leaveType._id,
+      startDate: dateKeyToDate(startDate),
+      endDate: dateKeyToDate(endDate),
+      halfDay,
+      dates,
+      days,
+      reason
+    });
+    await request.save();
+
+    await this.moveDays(request, leaveType, { pending: 1 });
+
+    return request;
+  }
+
+  // Record the reviewer's decision and settle the held days
+  async review(request, reviewer, { status, notes }) {
+    if (request.status !== 'pending') {
+      throw createError(400, `This request has already been ${request.status}`);
+    }
+
+    if (request.user.equals(reviewer._id)) {
+      throw createError(403, 'You cannot review your own leave request');
+    }
+
+    const leaveType = await LeaveType.findById(request.leaveType);
+    await this.moveDays(request, leaveType, status === 'approved' ? { pending: -1, used: 1 } : { pending: -1 });
+
+    request.status = status;
+    request.reviewedBy = reviewer._id;
+    request.reviewedAt = new Date();
+    request.reviewNotes = notes;
+    await request.save();
+
+    return request;
+  }
+
+  // Cancel a pending or approved request and give its days back.
+  // Employees can only cancel approved leave that hasn't started yet; reviewers can cancel any.
+  async cancel(request, actor, organization, { isReviewer = false } = {}) {
+    if (!ACTIVE_STATUSES.includes(request.status)) {
+      throw createError(400, `This request has already been ${request.status}`);
+    }
+
+    if (request.status === 'approved' && !isReviewer &&
+        dateToDateKey(request.startDate) <= this.getTodayKey(organization)) {
+      throw createError(400, 'Leave that has already started can only be cancelled by an admin');
+    }
+
+    const leaveType = await LeaveType.findById(request.leaveType);
+    await this.moveDays(request, leaveType, request.status === 'approved' ? { used: -1 } : { pending: -1 });
+
+    request.status = 'cancelled';
+    request.cancelledBy = actor._id;
+    request.cancelledAt = new Date();
+    await request.save();
+
+    return request;
+  }
+
+  // Approved leave on a workday in an organization: Map of userId -> leave request
+  async getLeaveOn(organizationId, dateKey) {
+    const requests = await LeaveRequest.find({
+      organization: organizationId,
+      status: 'approved',
+      dates: dateKeyToDate(dateKey)
+    }).populate('leaveType', 'name code isPaid');
+
+    return new Map(requests.map(request => [request.user.toString(), request]));
+  }
+
+  // Users' approved leave over a range of workdays: Map of userId -> Map of dateKey -> leave request
+  async getLeaveByDate(userIds, fromKey, toKey) {
+    const range = { $gte: dateKeyToDate(fromKey), $lte: dateKeyToDate(toKey) };
+    const requests = await LeaveRequest.find({ user: { $in: userIds }, status: 'approved', dates: { $elemMatch: range } })
+      .populate('leaveType', 'name code isPaid');
+
+    const leaveByUser = new Map(userIds.map(userId => [userId.toString(), new Map()]));
+    requests.forEach(request => {
+      const leaveByDate = leaveByUser.get(request.user.toString());
+      request.dates
+        .filter(date => date >= range.$gte && date <= range.$lte)
+        .forEach(date => leaveByDate.set(dateToDateKey(date), request));
+    });
+
+    return leaveByUser;
+  }
+
+  // Users on approved leave today in each organization (each in its own time zone)
+  async getUsersOnLeaveToday(organizations, now = new Date()) {
+    if (!organizations.length) {
+      return [];
+    }
+
+    const userIds = await LeaveRequest.distinct('user', {
+      status: 'approved',
+      $or: organizations.map(organization => ({
+        organization: organization._id,
+        dates: dateKeyToDate(this.getTodayKey(organization, now))
+      }))
+    });
+
+    return userIds.map(id => id.toString());
+  }
+
+  // Approved leave days over a range of workday labels, split into paid and unpaid
+  async getLeaveStats({ organization, user, department, dateRange }) {
+    const match = { status: 'approved' };
+    if (organization) match.organization = new mongoose.Types.ObjectId(organization);
+    if (user) match.user = new mongoose.Types.ObjectId(user);
+
+    const pipeline = [
+      { $match: match },
+      { $unwind: '$dates' },
+      ...(dateRange ? [{ $match: { dates: dateRange } }] : [])
+    ];
+
+    if (department) {
+      pipeline.push(
+        { $lookup: { from: 'users', localField: 'user', foreignField: '_id', as: 'userInfo' } },
+        { $unwind: '$userInfo' },
+        { $match: { 'userInfo.department': department } }
+      );
+    }
+
+    const [stats] = await LeaveRequest.aggregate([
+      ...pipeline,
+      { $lookup: { from: 'leavetypes', localField: 'leaveType', foreignField: '_id', as: 'leaveTypeInfo' } },
+      { $unwind: '$leaveTypeInfo' },
+      { $addFields: { dayValue: { $cond: ['$halfDay', 0.5, 1] } } },
+      {
+        $group: {
+          _id: null,
+          leaveDays: { $sum: '$dayValue' },
+          paidLeaveDays: { $sum: { $cond: ['$leaveTypeInfo.isPaid', '$dayValue', 0] } },
+          unpaidLeaveDays: { $sum: { $cond: ['$leaveTypeInfo.isPaid', 0, '$dayValue'] } },
+          employees: { $addToSet: '$user' }
+        }
+      }
+    ]);
+
+    return {
+      leaveDays: stats ? stats.leaveDays : 0,
+      paidLeaveDays: stats ? stats.paidLeaveDays : 0,
+      unpaidLeaveDays: stats ? stats.unpaidLeaveDays : 0,
+      employeesOnLeave: stats ? stats.employees.length : 0
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new LeaveService();
@@ -0,0 +1,163 @@
+const faceMatchingService = require('./faceMatchingService');
+
+// Challenges a client can be asked to perform, with the instruction shown to the user
+const CHALLENGES = {
+  'turn-head-left': 'Slowly turn your head to the left, then back to the camera',
+  'turn-head-right': 'Slowly turn your head to the right, then back to the camera',
+  'blink': 'Look at the camera and blink',
+  'smile': 'Look at the camera and smile',
+  'nod': 'Nod your head down and back up'
+};
+
+// Limits for frame sequences submitted against a challenge
+const LIMITS = {
+  minFrames: 5,
+  maxFrames: 60,
+  minDurationMs: 500,
+  maxDurationMs: 15 * 1000,
+  neutralYaw: 0.12, // the sequence must start roughly facing the camera
+  turnYaw: 0.25, // yaw ratio reached when the head is clearly turned
+  closedEyeRatio: 0.2, // eye aspect ratio below this is a closed eye
+  openEyeRatio: 0.25, // eye aspect ratio above this is an open eye
+  smileIncrease: 0.12, // relative mouth-width increase over the first frame
+  nodPitchRange: 0.12, // pitch ratio swing for a nod
+  maxFrameSpread: 0.45 // descriptors within one sequence must all belong to the same face
+};
+
+// 68-point landmark indices (face-api.js / iBUG layout)
+const POINTS = {
+  jawLeft: 0,
+  jawRight: 16,
+  chin: 8,
+  noseTip: 30,
+  rightEye: [36, 37, 38, 39, 40, 41],
+  leftEye: [42, 43, 44, 45, 46, 47],
+  mouthLeft: 48,
+  mouthRight: 54
+};
+
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+const midpoint = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+
+class LivenessChallengeService {
+  getChallenges() {
+    return Object.keys(CHALLENGES);
+  }
+
+  getInstruction(challenge) {
+    return CHALLENGES[challenge];
+  }
+
+  getLimits() {
+    return { minFrames: LIMITS.minFrames, maxFrames: LIMITS.maxFrames, maxDurationMs: LIMITS.maxDurationMs };
+  }
+
+  // Pick a random challenge for a new session
+  pickChallenge() {
+    const challenges = this.getChallenges();
+    return challenges[Math.floor(Math.random() * challenges.length)];
+  }
+
+  // Geometric measurements for one frame of 68 landmarks (unmirrored camera coordinates)
+  measureFrame(landmarks) {
+    const jawLeft = landmarks[POINTS.jawLeft];
+    const jawRight = landmarks[POINTS.jawRight];
+    const faceWidth = distance(jawLeft, jawRight) || 1;
+    const jawMid = midpoint(jawLeft, jawRight);
+    const nose = landmarks[POINTS.noseTip];
+
+    const eyeAspectRatio = (indices) => {
+      const [p1, p2, p3, p4, p5, p6] = indices.map(index => landmarks[index]);
+      return (distance(p2, p6) + distance(p3, p5)) / (2 * (distance(p1, p4) || 1));
+    };
+
+    const eyeMid = midpoint(landmarks[POINTS.rightEye[0]], landmarks[POINTS.leftEye[3]]);
+    const chin = landmarks[POINTS.chin];
+
+    return {
+      // Positive when the nose moves towards the image's right, i.e. the user's left
+      yaw: (nose[0] - jawMid[0]) / faceWidth,
+      eyeRatio: (eyeAspectRatio(POINTS.rightEye) + eyeAspectRatio(POINTS.leftEye)) / 2,
+      mouthWidth: distance(landmarks[POINTS.mouthLeft], landmarks[POINTS.mouthRight]) / faceWidth,
+      pitch: (nose[1] - eyeMid[1]) / ((chin[1] - eyeMid[1]) || 1)
+    };
+  }
+
+  // Whether the measured sequence shows the requested action
+  performedChallenge(challenge, measurements) {
+    const first = measurements[0];
+    const last = measurements[measurements.length - 1];
+
+    switch (challenge) {
+      case 'turn-head-left':
+        return measurements.some(m => m.yaw > LIMITS.turnYaw) && Math.abs(last.yaw) < LIMITS.turnYaw;
+      case 'turn-head-right':
+        return measurements.some(m => m.yaw < -LIMITS.turnYaw) && Math.abs(last.yaw) < LIMITS.turnYaw;
+      case 'blink': {
+        const closedAt = measurements.findIndex(m => m.eyeRatio < LIMITS.closedEyeRatio);
+        return first.eyeRatio > LIMITS.openEyeRatio && closedAt > 0 &&
+          measurements.slice(closedAt).some(m => m.eyeRatio > LIMITS.openEyeRatio);
+      }
+      case 'smile':
+        return measurements.some(m => m.mouthWidth > first.mouthWidth * (1 + LIMITS.smileIncrease));
+      case 'nod': {
+        const pitches = measurements.map(m => m.pitch);
+        return Math.max(...pitches) - Math.min(...pitches) > LIMITS.nodPitchRange &&
+          Math.abs(last.pitch - first.pitch) < LIMITS.nodPitchRange;
+      }
+      default:
+        return false;
+    }
+  }
+
+  // Verify a submitted frame sequence; returns { passed, reason }
+  verify(challenge, frames, enrolledDescriptors = [], matchOptions = {}) {
+    if (frames.length < LIMITS.minFrames || frames.length > LIMITS.maxFrames) {
+      return { passed: false, reason: `Between ${LIMITS.minFrames} and ${LIMITS.maxFrames} frames are required` };
+    }
+
+    for (let i = 1; i < frames.length; i++) {
+      if (frames[i].timestamp <= frames[i - 1].timestamp) {
+        return { passed: false, reason: 'Frame timestamps must be strictly increasing' };
+      }
+    }
+
+    const duration = frames[frames.length - 1].timestamp - frames[0].timestamp;
+    if (duration < LIMITS.minDurationMs || duration > LIMITS.maxDurationMs) {
+      return { passed: false, reason: 'Frame sequence is too short or too long' };
+    }
+
+    // The face in the frames must be the enrolled user, and the same face throughout
+    const descriptors = frames.filter(frame => frame.descriptor).map(frame => frame.descriptor);
+    if (descriptors.length < 2) {
+      return { passed: false, reason: 'At least two frames must include a face descriptor' };
+    }
+
+    for (const descriptor of descriptors) {
+      if (!faceMatchingService.verify(descriptor, enrolledDescriptors, matchOptions).matched) {
+        return { passed: false, reason: 'Face in the frames does not match the enrolled face' };
+      }
+    }
+
+    for (let i = 1; i < descriptors.length; i++) {
+      if (faceMatchingService.euclideanDistance(descriptors[0], descriptors[i]) > LIMITS.maxFrameSpread) {
+        return { passed: false, reason: 'Face changed during the challenge' };
+      }
+    }
+
+    const measurements = frames.map(frame => this.measureFrame(frame.landmarks));
+
+    if (Math.abs(measurements[0].yaw) > LIMITS.neutralYaw) {
+      return { passed: false, reason: 'Start the challenge facing the camera' };
+    }
+
+    if (!this.performedChallenge(challenge, measurements)) {
+      return { passed: false, reason: `Challenge "${challenge}" was not detected` };
+    }
+
+    return { passed: true, reason: null };
+  }
+}
+
+// Export singleton instance
+module.exports = new LivenessChallengeService();
@@ -0,0 +1,286 @@
+const sharp = require('sharp');
+const Attendance = require('../models/Attendance');
+
+// Build an error carrying the HTTP status the controller should respond with
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Heuristic limits for the passive spoof checks
+const LIMITS = {
+  analysisWidth: 640, // images are downscaled to this width before texture analysis
+  minSharpness: 15, // Laplacian variance below this looks like a blurry print or re-photographed screen
+  maxPeriodicity: 0.35, // Laplacian autocorrelation above this suggests a screen pixel grid (moire)
+  minJpegQuality: 40, // heavily re-compressed JPEGs are typical of forwarded or screenshotted photos
+  // Only (near-)identical hashes count as the same image: a fixed kiosk camera with a static
+  // background gives genuinely different punches very similar coarse hashes
+  duplicateHammingDistance: 1,
+  hashWidth: 16, // the difference hash compares hashWidth x hashWidth neighbouring pixel pairs (256 bits)
+  duplicateLookback: 500 // number of recent organization photos compared for duplicates
+};
+
+// Editing and screen capture tools that leave their name in EXIF metadata
+const EDITING_SOFTWARE_PATTERN = /photoshop|gimp|lightroom|snapseed|picsart|facetune|canva|screenshot/i;
+
+// Standard JPEG luminance quantization table (quality 50), used to estimate encoder quality
+const STANDARD_LUMINANCE_TABLE = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+];
+
+class LivenessService {
+  // Default organization policy when none is configured
+  getDefaultSettings() {
+    return {
+      enabled: true,
+      onFailure: 'flag',
+      checks: { texture: true, metadata: true, duplicate: true }
+    };
+  }
+
+  // Verdict used when no photo was supplied or the checks are disabled
+  skipped(reason) {
+    return {
+      verdict: 'skipped',
+      reason,
+      checks: [],
+      checkedAt: new Date()
+    };
+  }
+
+  // Verdict for punches the checks can't apply to, e.g. offline kiosk punches that carry no photo
+  notApplicable(reason) {
+    return {
+      verdict: 'not-applicable',
+      reason,
+      checks: [],
+      checkedAt: new Date()
+    };
+  }
+
+  // Run the enabled passive liveness checks on an uploaded photo
+  async analyze(buffer, { organizationId, settings } = {}) {
+    const policy = { ...this.getDefaultSettings(), ...settings };
+    const enabledChecks = { ...this.getDefaultSettings().checks, ...(policy.checks || {}) };
+
+    if (!policy.enabled) {
+      return this.skipped('disabled');
+    }
+
+    // Truncated or non-image uploads fail to decode; that's the client's fault, not a server error
+    const checks = [];
+    let imageHash;
+    try {
+      imageHash = await this.computeImageHash(buffer);
+
+      if (enabledChecks.texture) {
+        checks.push(await this.checkTexture(buffer));
+      }
+
+      if (enabledChecks.metadata) {
+        checks.push(await this.checkMetadata(buffer));
+      }
+    } catch (error) {
+      console.error('Liveness image decode error:', error.message);
+      throw createError(400, 'Unreadable image');
+    }
+
+    if (enabledChecks.duplicate && organizationId) {
+      checks.push(await this.checkDuplicate(imageHash, organizationId));
+    }
+
+    return {
+      verdict: checks.every(check => check.passed) ? 'passed' : 'failed',
+      checks,
+      imageHash,
+      checkedAt: new Date()
+    };
+  }
+
+  // Screen moire / print texture check based on the Laplacian of the greyscale image
+  async checkTexture(buffer) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .greyscale()
+      .resize({ width: LIMITS.analysisWidth, withoutEnlargement: true })
+      .convolve({ width: 3, height: 3, kernel: [0, 1, 0, 1, -4, 1, 0, 1, 0], offset: 128 })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = info;
+    const values = new Float64Array(data.length);
+    let mean = 0;
+    for (let i = 0; i < data.length; i++) {
+      values[i] = data[i] - 128;
+      mean += values[i];
+    }
+    mean /= values.length;
+
+    let variance = 0;
+    for (let i = 0; i < values.length; i++) {
+      values[i] -= mean;
+      variance += values[i] * values[i];
+    }
+    variance /= values.length;
+
+    // Natural skin texture decorrelates within a pixel or two; a screen grid repeats
+    let periodicity = 0;
+    if (variance > 0) {
+      for (let lag = 2; lag <= 6; lag++) {
+        let horizontal = 0;
+        let vertical = 0;
+        for (let y = 0; y < height - lag; y++) {
+          for (let x = 0; x < width - lag; x++) {
+            const index = y * width + x;
+            horizontal += values[index] * values[index + lag];
+            vertical += values[index] * values[index + lag * width];
+          }
+        }
+        const samples = (width - lag) * (height - lag);
+        periodicity = Math.max(periodicity, horizontal / samples / variance, vertical / samples / variance);
+      }
+    }
+
+    const sharpness = Number(variance.toFixed(2));
+    periodicity = Number(periodicity.toFixed(3));
+
+    let detail = null;
+    if (sharpness < LIMITS.minSharpness) {
+      detail = 'Image lacks natural skin texture (possible printed photo or screen recapture)';
+    } else if (periodicity > LIMITS.maxPeriodicity) {
+      detail = 'Repeating pixel pattern detected (possible screen moire)';
+    }
+
+    return {
+      name: 'texture',
+      passed: !detail,
+      value: { sharpness, periodicity },
+      detail
+    };
+  }
+
+  // EXIF and re-encoding analysis
+  async checkMetadata(buffer) {
+    const metadata = await sharp(buffer).metadata();
+    const problems = [];
+
+    const exifText = metadata.exif ? metadata.exif.toString('latin1') : '';
+    const software = exifText.match(EDITING_SOFTWARE_PATTERN);
+    if (software) {
+      problems.push(`Image was processed by editing software (${software[0]})`);
+    }
+
+    const jpegQuality = metadata.format === 'jpeg' ? this.estimateJpegQuality(buffer) : null;
+    if (jpegQuality !== null && jpegQuality < LIMITS.minJpegQuality) {
+      problems.push(`Image has been heavily re-compressed (estimated JPEG quality ${jpegQuality})`);
+    }
+
+    return {
+      name: 'metadata',
+      passed: problems.length === 0,
+      value: {
+        format: metadata.format,
+        width: metadata.width,
+        height: metadata.height,
+        hasExif: !!metadata.exif,
+        jpegQuality
+      },
+      detail: problems.length ? problems.join('; ') : null
+    };
+  }
+
+  // Reject photos that have already been used for a punch in this organization
+  async checkDuplicate(imageHash, organizationId) {
+    const recent = await Attendance.find({
+      organization: organizationId,
+      'liveness.imageHash': { $exists: true }
+    })
+      .select('liveness.imageHash user createdAt')
+      .sort({ createdAt: -1 })
+      .limit(LIMITS.duplicateLookback)
+      .lean();
+
+    const duplicate = recent.find(record =>
+      this.hammingDistance(record.liveness.imageHash, imageHash) <= LIMITS.duplicateHammingDistance
+    );
+
+    return {
+      name: 'duplicate',
+      passed: !duplicate,
+      value: duplicate ? { attendanceId: duplicate._id, seenAt: duplicate.createdAt } : null,
+      detail: duplicate ? 'This photo has already been used for a previous attendance record' : null
+    };
+  }
+
+  // 256-bit difference hash (dHash) as a 64-character hex string.
+  // Hashes of a different length (older, coarser ones) never match.
+  async computeImageHash(buffer) {
+    const size = LIMITS.hashWidth;
+    const data = await sharp(buffer)
+      .rotate()
+      .greyscale()
+      .resize(size + 1, size, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = '';
+    for (let row = 0; row < size; row++) {
+      let nibble = 0;
+      for (let col = 0; col < size; col++) {
+        const bit = data[row * (size + 1) + col] > data[row * (size + 1) + col + 1] ? 1 : 0;
+        nibble = (nibble << 1) | bit;
+        if (col % 4 === 3) {
+          hash += nibble.toString(16);
+          nibble = 0;
+        }
+      }
+    }
+    return hash;
+  }
+
+  // Number of differing bits between two hex hashes
+  hammingDistance(a, b) {
+    if (!a || !b || a.length !== b.length) return Infinity;
+
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      while (diff) {
+        distance += diff & 1;
+        diff >>= 1;
+      }
+    }
+    return distance;
+  }
+
+  // Estimate libjpeg quality from the first (luminance) quantization table
+  estimateJpegQuality(buffer) {
+    for (let offset = 2; offset < buffer.length - 4; offset++) {
+      if (buffer[offset] !== 0xFF || buffer[offset + 1] !== 0xDB) continue;
+
+      const precision = buffer[offset + 4] >> 4;
+      const table = [];
+      for (let i = 0; i < 64; i++) {
+        table.push(precision
+          ? buffer.readUInt16BE(offset + 5 + i * 2)
+          : buffer[offset + 5 + i]);
+      }
+
+      // Tables are stored in zigzag order; the average ratio is order-independent enough here
+      const sortedTable = [...table].sort((a, b) => a - b);
+      const sortedStandard = [...STANDARD_LUMINANCE_TABLE].sort((a, b) => a - b);
+      const scale = sortedTable.reduce((sum, value, i) => sum + value / sortedStandard[i], 0) / 64 * 100;
+
+      const quality = scale <= 100 ? (200 - scale) / 2 : 5000 / scale;
+      return Math.max(1, Math.min(100, Math.round(quality)));
+    }
+    return null;
+  }
+}
+
+// Export singleton instance
+module.exports = new LivenessService();
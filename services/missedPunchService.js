@@ -0,0 +1,222 @@
+const Attendance = require('../models/Attendance');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const WorkSession = require('../models/WorkSession');
+const attendanceService = require('./attendanceService');
+const { getOrganizationTimeZone, dateToDateKey } = require('../utils/time');
+
+// How often the background job looks for sessions nobody checked out of
+const JOB_INTERVAL_MINUTES = parseInt(process.env.MISSED_PUNCH_JOB_INTERVAL_MINUTES, 10) || 15;
+
+// Finds check-ins still open past the scheduled shift end plus a grace period and, depending on
+// the organization's policy, either checks the employee out at shift end (flagged for review) or
+// marks the session as a missed punch. The employee and their admins are told by email.
+class MissedPunchService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Missed-punch policy from the organization settings
+  getPolicy(organization) {
+    const missedPunches = (organization && organization.settings && organization.settings.missedPunches) || {};
+
+    return {
+      graceMinutes: typeof missedPunches.graceMinutes === 'number' ? missedPunches.graceMinutes : 120,
+      action: missedPunches.action || 'auto-close',
+      notifyEmployee: missedPunches.notifyEmployee !== false,
+      notifyAdmins: missedPunches.notifyAdmins !== false
+    };
+  }
+
+  // When the session should have ended: the scheduled shift end, or the standard day after check-in.
+  // A break taken after that point pushes it to the end of the break.
+  getExpectedEnd(session, organization) {
+    const scheduledEnd = session.scheduledEnd ||
+      new Date(session.checkInTime.getTime() + attendanceService.getStandardMinutes(session, organization) * 60000);
+    const lastBreak = session.breaks[session.breaks.length - 1];
+    const lastActivity = lastBreak ? (lastBreak.end || lastBreak.start) : session.checkInTime;
+
+    return lastActivity > scheduledEnd ? lastActivity : scheduledEnd;
+  }
+
+  // Close a forgotten session at its expected end with a system check-out pending review
+  async autoClose(session, organization, closeAt) {
+    if (session.currentBreak) {
+      session.endBreak({ _id: undefined, checkInTime: closeAt }, attendanceService.getBreakPolicy(organization));
+    }
+
+    const checkOut = new Attendance({
+      user: session.user,
+      organization: session.organization,
+      type: 'check-out',
+      date: session.date,
+      shift: session.shift,
+      scheduledStart: session.scheduledStart,
+      scheduledEnd: session.scheduledEnd,
+      checkInTime: closeAt,
+      recognitionMethod: 'system',
+      status: 'pending',
+      reviewFlags: ['auto-checked-out'],
+      notes: 'Automatically checked out at the end of the shift: no check-out was recorded.'
+    });
+
+    session.close(checkOut);
+
+    checkOut.checkOutTime = closeAt;
+    checkOut.workingHours = session.workingMinutes;
+    checkOut.session = session._id;
+
+    await checkOut.save();
+  }
+
+  // Leave the session without a check-out and send its check-in to the review queue
+  async markMissed(session) {
+    session.status = 'missed';
+
+    await Attendance.updateOne(
+      { _id: session.checkIn },
+      { $set: { status: 'pending' }, $addToSet: { reviewFlags: 'missed-check-out' } }
+    );
+  }
+
+  // Handle every overdue open session; returns what was done per organization
+  async run(now = new Date()) {
+    if (this.running) {
+      return [];
+    }
+
+    this.running = true;
+    try {
+      // A session the job already handled stays handled, even when a review reopens it
+      // (e.g. its system check-out was rejected); the employee or an admin closes it from there
+      const sessions = await WorkSession.find({
+        status: { $in: ['open', 'on-break'] },
+        'missedPunch.action': { $exists: false }
+      });
+      const byOrganization = new Map();
+      sessions.forEach(session => {
+        const key = session.organization.toString();
+        if (!byOrganization.has(key)) byOrganization.set(key, []);
+        byOrganization.get(key).push(session);
+      });
+
+      const results = [];
+      for (const [organizationId, orgSessions] of byOrganization) {
+        const organization = await Organization.findById(organizationId);
+        if (!organization) continue;
+
+        const result = await this.processOrganization(organization, orgSessions, now);
+        if (result.handled.length) {
+          results.push(result);
+        }
+      }
+
+      return results;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Resolve one organization's overdue sessions and send the notifications
+  async processOrganization(organization, sessions, now) {
+    const policy = this.getPolicy(organization);
+    const timeZone = getOrganizationTimeZone(organization);
+    const formatTime = (date) => date.toLocaleTimeString('en-US', { timeZone, hour: '2-digit', minute: '2-digit' });
+    const handled = [];
+
+    for (const session of sessions) {
+      const expectedEnd = this.getExpectedEnd(session, organization);
+      if (now - expectedEnd < policy.graceMinutes * 60000) continue;
+
+      try {
+        if (policy.action === 'auto-close') {
+          await this.autoClose(session, organization, expectedEnd);
+        } else {
+          await this.markMissed(session);
+        }
+
+        session.missedPunch = { action: policy.action, detectedAt: now };
+        await session.save();
+
+        if (policy.action === 'auto-close') {
+          await attendanceService.updateOvertime(session.user, session.date, organization);
+        }
+
+        handled.push({ session, autoClosed: policy.action === 'auto-close', checkOutTime: expectedEnd });
+      } catch (error) {
+        console.error(`Missed punch handling error for session ${session._id}:`, error);
+      }
+    }
+
+    if (!handled.length) {
+      return { organization: organization._id, handled };
+    }
+
+    const users = await User.find({ _id: { $in: handled.map(item => item.session.user) } })
+      .select('firstName lastName email');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const entries = handled.map(({ session, autoClosed, checkOutTime }) => {
+      const user = usersById.get(session.user.toString());
+      return {
+        user,
+        employeeName: user ? `${user.firstName} ${user.lastName}` : 'Unknown employee',
+        workDate: dateToDateKey(session.date),
+        checkInTime: formatTime(session.checkInTime),
+        checkOutTime: formatTime(checkOutTime),
+        autoClosed,
+        resolution: autoClosed ? `checked out at ${formatTime(checkOutTime)}` : 'marked as missed punch'
+      };
+    });
+
+    try {
+      // Loaded lazily: the email service throws at load time when it isn't configured
+      const emailService = require('./emailService');
+
+      if (policy.notifyEmployee) {
+        for (const entry of entries) {
+          if (entry.user && entry.user.email) {
+            await emailService.sendMissedPunchEmail(entry.user.email, entry);
+          }
+        }
+      }
+
+      if (policy.notifyAdmins) {
+        const admins = await User.find({ organization: organization._id, role: 'admin', isActive: true })
+          .select('firstName lastName email');
+
+        for (const admin of admins) {
+          await emailService.sendMissedPunchDigestEmail(admin.email, {
+            adminName: `${admin.firstName} ${admin.lastName}`,
+            organizationName: organization.name,
+            entries
+          });
+        }
+      }
+    } catch (error) {
+      // Notification failures shouldn't undo the sessions already resolved
+      console.error('Missed punch notification error:', error);
+    }
+
+    return { organization: organization._id, handled: handled.map(item => item.session._id) };
+  }
+
+  // Start running the job on an interval (no-op if already started)
+  start(intervalMinutes = JOB_INTERVAL_MINUTES) {
+    if (this.timer) return;
+
+    const tick = () => this.run().catch(error => console.error('Missed punch job error:', error));
+    this.timer = setInterval(tick, intervalMinutes * 60000);
+    this.timer.unref();
+    console.log(`Missed punch job scheduled every ${intervalMinutes} minutes`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Export singleton instance
+module.exports = new MissedPunchService();
@@ -0,0 +1,182 @@
+const Attendance = require('../models/Attendance');
+const User = require('../models/User');
+const attendanceService = require('./attendanceService');
+const geofenceService = require('./geofenceService');
+const faceIndexService = require('./faceIndexService');
+const faceMatchingService = require('./faceMatchingService');
+const faceTemplateService = require('./faceTemplateService');
+const livenessService = require('./livenessService');
+
+// Build an error carrying the HTTP status the controller should respond with
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Offline punches older than this are refused (they can still be added through corrections)
+const MAX_AGE_DAYS = parseInt(process.env.OFFLINE_SYNC_MAX_AGE_DAYS, 10) || 7;
+
+// Allowance for device clocks running slightly ahead of the server
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+class OfflineSyncService {
+  // Offline punches are only accepted when the organization allows offline mode
+  checkAllowed(organization) {
+    if (organization && organization.settings && organization.settings.allowOfflineMode === false) {
+      throw createError(403, 'Offline attendance is disabled for this organization');
+    }
+  }
+
+  // Refuse punch times from the future or older than the sync window
+  checkTimestamp(timestamp, now = new Date()) {
+    if (timestamp.getTime() > now.getTime() + CLOCK_SKEW_MS) {
+      throw createError(400, 'The punch time cannot be in the future');
+    }
+
+    if (now.getTime() - timestamp.getTime() > MAX_AGE_DAYS * 24 * 60 * 60 * 1000) {
+      throw createError(400, `Offline punches older than ${MAX_AGE_DAYS} days cannot be synced`);
+    }
+  }
+
+  // Punches are replayed on top of the current state, so they can't predate the employee's latest punch
+  async checkOrder(userId, timestamp) {
+    const latest = await Attendance.findOne({ user: userId, status: { $ne: 'rejected' } })
+      .sort({ checkInTime: -1 })
+      .select('type checkInTime');
+
+    if (latest && latest.checkInTime > timestamp) {
+      throw createError(409, `A later ${latest.type} was already recorded at ${latest.checkInTime.toISOString()}. Please submit a correction request instead.`);
+    }
+  }
+
+  // Find an attendance record already created for a client-generated ID
+  findByClientId(organizationId, clientId) {
+    return Attendance.findOne({ organization: organizationId, clientId });
+  }
+
+  // Identify the employee behind an offline kiosk punch (same 1:N search as a live kiosk punch)
+  async identify(organization, item, matching) {
+    const model = faceTemplateService.resolveModel(item);
+    if (!faceTemplateService.isCurrentModel(model)) {
+      throw createError(400, `Face model ${model.model}@${model.modelVersion} is not supported by this server`);
+    }
+
+    const result = await faceIndexService.search(organization._id, item.faceDescriptor, matching);
+    if (!result.matched) {
+      throw createError(404, 'No matching employee found');
+    }
+    if (result.ambiguous) {
+      throw createError(409, 'Face match is ambiguous');
+    }
+    if (result.borderline && matching.borderlineAction === 'reject') {
+      throw createError(409, 'Face match is too uncertain');
+    }
+
+    const user = await User.findById(result.match.userId);
+    if (!user || !user.isActive || !user.isApproved) {
+      throw createError(403, 'Account is not active');
+    }
+
+    return { user, result };
+  }
+
+  // Replay one offline kiosk punch through the check-in/check-out state machine
+  async syncItem({ device, organization, item, matching }) {
+    this.checkTimestamp(item.timestamp);
+
+    const { user, result } = await this.identify(organization, item, matching);
+    await this.checkOrder(user._id, item.timestamp);
+
+    const workday = await attendanceService.resolveWorkday(user, organization, item.timestamp);
+    const type = item.type || await attendanceService.getNextType(user._id, workday);
+
+    const geofence = type === 'check-in' ? await geofenceService.checkDevice(user, device, item.location) : null;
+    if (geofence && geofence.action === 'reject') {
+      throw createError(403, geofenceService.getRejectionMessage(geofence));
+    }
+
+    return attendanceService.recordAttendance({
+      user,
+      organization,
+      workday,
+      type,
+      timestamp: item.timestamp,
+      location: item.location,
+      geofence,
+      isOffline: true,
+      clientId: item.clientId,
+      deviceId: device._id.toString(),
+      faceMatch: {
+        matched: true,
+        distance: result.match.distance,
+        confidence: result.match.confidence,
+        threshold: result.threshold,
+        borderline: result.borderline
+      },
+      borderlineAction: matching.borderlineAction,
+      // Offline punches carry no photo; they are reviewed through the 'offline' filter instead
+      liveness: livenessService.notApplicable('offline')
+    });
+  }
+
+  // Replay a batch of offline punches in timestamp order.
+  // Returns one { clientId, status, ... } per item, in the order they were sent, where status is
+  // 'accepted', 'duplicate' (already synced) or 'conflict' (refused, with a message).
+  async syncBatch({ device, organization, items }) {
+    this.checkAllowed(organization);
+
+    const matching = faceMatchingService.getSettings(organization);
+    const results = new Array(items.length);
+
+    // Punches synced by an earlier (possibly interrupted) upload are reported, not replayed
+    const existing = await Attendance.find({
+      organization: organization._id,
+      clientId: { $in: items.map(item => item.clientId) }
+    }).select('clientId');
+    const synced = new Map(existing.map(attendance => [attendance.clientId, attendance._id]));
+
+    const ordered = items
+      .map((item, index) => ({ item, index }))
+      .sort((a, b) => a.item.timestamp - b.item.timestamp || a.index - b.index);
+
+    for (const { item, index } of ordered) {
+      if (synced.has(item.clientId)) {
+        results[index] = { clientId: item.clientId, status: 'duplicate', attendance: synced.get(item.clientId) };
+        continue;
+      }
+
+      try {
+        const attendance = await this.syncItem({ device, organization, item, matching });
+        synced.set(item.clientId, attendance._id);
+
+        results[index] = {
+          clientId: item.clientId,
+          status: 'accepted',
+          attendance: attendance._id,
+          user: attendance.user,
+          type: attendance.type,
+          reviewStatus: attendance.status
+        };
+      } catch (error) {
+        // Another upload of the same punch won the race for the unique index
+        if (error.code === 11000) {
+          const duplicate = await this.findByClientId(organization._id, item.clientId);
+          results[index] = { clientId: item.clientId, status: 'duplicate', attendance: duplicate && duplicate._id };
+          continue;
+        }
+
+        if (!error.statusCode) {
+          throw error;
+        }
+
+        results[index] = { clientId: item.clientId, status: 'conflict', message: error.message };
+      }
+    }
+
+    return results;
+  }
+}
+
+// Export singleton instance
+module.exports = new OfflineSyncService();
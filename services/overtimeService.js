@@ -0,0 +1,259 @@
+const Attendance = require('../models/Attendance');
+const OvertimeEntry = require('../models/OvertimeEntry');
+const WorkSession = require('../models/WorkSession');
+const Shift = require('../models/Shift');
+const User = require('../models/User');
+const shiftService = require('./shiftService');
+const holidayService = require('./holidayService');
+const { WEEKDAYS, dateKeyToDate, dateToDateKey, addDays, getWeekday } = require('../utils/time');
+
+// Build an error carrying the HTTP status the controller should respond with
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Organization settings that aren't set fall back to these (null means no threshold or cap)
+const DEFAULT_POLICY = {
+  enabled: true,
+  dailyThresholdMinutes: null,
+  weeklyThresholdMinutes: 2400,
+  weekStartsOn: 'Monday',
+  multiplier: 1.5,
+  weekendMultiplier: 2,
+  holidayMultiplier: 2,
+  minimumBlockMinutes: 15,
+  dailyCapMinutes: null,
+  weeklyCapMinutes: null
+};
+
+// The daily rules a shift may override; weekly rules span several shifts and stay organization-wide
+const SHIFT_OVERRIDES = ['dailyThresholdMinutes', 'multiplier', 'holidayMultiplier', 'minimumBlockMinutes', 'dailyCapMinutes'];
+
+class OvertimeService {
+  // Overtime policy of an organization, with a shift's overrides applied when given
+  getPolicy(organization, shift) {
+    const settings = (organization && organization.settings && organization.settings.overtime) || {};
+    const overrides = (shift && shift.overtime) || {};
+    const policy = { ...DEFAULT_POLICY };
+
+    Object.keys(DEFAULT_POLICY).forEach(key => {
+      if (settings[key] !== undefined && settings[key] !== null) {
+        policy[key] = settings[key];
+      }
+    });
+    SHIFT_OVERRIDES.forEach(key => {
+      if (typeof overrides[key] === 'number') {
+        policy[key] = overrides[key];
+      }
+    });
+
+    return policy;
+  }
+
+  // First and last workday of the policy week containing a workday
+  getWeekRange(dateKey, weekStartsOn) {
+    const offset = (WEEKDAYS.indexOf(getWeekday(dateKey)) - WEEKDAYS.indexOf(weekStartsOn) + 7) % 7;
+    const fromKey = addDays(dateKey, -offset);
+    return { fromKey, toKey: addDays(fromKey, 6) };
+  }
+
+  // Round down to whole blocks, then apply the daily cap
+  applyLimits(minutes, policy) {
+    let limited = minutes;
+    if (policy.minimumBlockMinutes > 0) {
+      limited = Math.floor(limited / policy.minimumBlockMinutes) * policy.minimumBlockMinutes;
+    }
+    if (typeof policy.dailyCapMinutes === 'number') {
+      limited = Math.min(limited, policy.dailyCapMinutes);
+    }
+    return limited;
+  }
+
+  // Work out the overtime of every day in the week of a workday and keep the entries in step.
+  // Reviewed entries are settled and left alone; the other days are recalculated in order,
+  // since weekly thresholds and caps depend on the days before them.
+  async evaluateWeek(userId, organization, dateKey) {
+    const policy = this.getPolicy(organization);
+    const { fromKey, toKey } = this.getWeekRange(dateKey, policy.weekStartsOn);
+    const range = { $gte: dateKeyToDate(fromKey), $lte: dateKeyToDate(toKey) };
+
+    const existing = await OvertimeEntry.find({ user: userId, date: range });
+    const existingByDate = new Map(existing.map(entry => [dateToDateKey(entry.date), entry]));
+
+    if (!policy.enabled) {
+      await OvertimeEntry.deleteMany({ _id: { $in: existing.filter(entry => entry.status === 'pending').map(entry => entry._id) } });
+      return [];
+    }
+
+    const user = await User.findById(userId).select('organization allowedSites');
+    if (!user) {
+      return [];
+    }
+
+    // Only sessions whose check-out counts: one still under review (such as a check-out the
+    // missed-punch job guessed) adds its time once it's approved
+    const sessions = await WorkSession.find({ user: userId, date: range, status: 'closed' })
+      .select('date workingMinutes checkOut');
+    const countedCheckOuts = new Set((await Attendance.distinct('_id', {
+      _id: { $in: sessions.map(session => session.checkOut) },
+      ...Attendance.countedFilter()
+    })).map(id => id.toString()));
+
+    const workedByDate = new Map();
+    sessions.filter(session => countedCheckOuts.has(String(session.checkOut))).forEach(session => {
+      const key = dateToDateKey(session.date);
+      workedByDate.set(key, (workedByDate.get(key) || 0) + session.workingMinutes);
+    });
+
+    const roster = (await shiftService.getRoster([user], fromKey, toKey, organization)).get(user._id.toString());
+    const holidays = await holidayService.getHolidayDates(user, organization, fromKey, toKey);
+    const shiftIds = roster.filter(day => day.shift && day.shift._id).map(day => day.shift._id);
+    const shiftById = new Map((await Shift.find({ _id: { $in: shiftIds } })).map(shift => [shift._id.toString(), shift]));
+    const defaultShift = shiftService.getDefaultShift(organization);
+
+    let regularMinutes = 0;
+    let weekOvertime = 0;
+    const entries = [];
+
+    for (const day of roster) {
+      const worked = workedByDate.get(day.date) || 0;
+      const entry = existingByDate.get(day.date);
+
+      if (entry && entry.status !== 'pending') {
+        if (entry.basis === 'daily' || entry.basis === 'weekly') {
+          regularMinutes += Math.max(0, entry.workedMinutes - entry.minutes);
+        }
+        weekOvertime += entry.minutes;
+        entries.push(entry);
+        continue;
+      }
+
+      const shift = day.shift ? (day.shift._id && shiftById.get(day.shift._id.toString())) || defaultShift : null;
+      const dayPolicy = this.getPolicy(organization, shift);
+
+      let basis;
+      let minutes;
+      let multiplier;
+      if (holidays.has(day.date)) {
+        basis = 'holiday';
+        minutes = worked;
+        multiplier = dayPolicy.holidayMultiplier;
+      } else if (!shift) {
+        basis = 'weekend';
+        minutes = worked;
+        multiplier = dayPolicy.weekendMultiplier;
+      } else {
+        const threshold = typeof dayPolicy.dailyThresholdMinutes === 'number'
+          ? dayPolicy.dailyThresholdMinutes
+          : shift.durationMinutes;
+        const daily = Math.max(0, worked - threshold);
+        const regular = worked - daily;
+        const weekly = policy.weeklyThresholdMinutes > 0
+          ? Math.min(regular, Math.max(0, regularMinutes + regular - policy.weeklyThresholdMinutes))
+          : 0;
+
+        regularMinutes += regular - weekly;
+        basis = daily > 0 || !weekly ? 'daily' : 'weekly';
+        minutes = daily + weekly;
+        multiplier = dayPolicy.multiplier;
+      }
+
+      minutes = this.applyLimits(minutes, dayPolicy);
+      if (typeof policy.weeklyCapMinutes === 'number') {
+        minutes = Math.min(minutes, Math.max(0, policy.weeklyCapMinutes - weekOvertime));
+      }
+      weekOvertime += minutes;
+
+      if (minutes > 0) {
+        const fields = { basis, workedMinutes: worked, minutes, multiplier };
+        if (entry) {
+          entry.set(fields);
+          await entry.save();
+          entries.push(entry);
+        } else {
+          entries.push(await OvertimeEntry.create({
+            ...fields,
+            organization: user.organization,
+            user: user._id,
+            date: dateKeyToDate(day.date)
+          }));
+        }
+      } else if (entry) {
+        await entry.deleteOne();
+      }
+    }
+
+    return entries;
+  }
+
+  // Users' overtime over a range of workdays: Map of userId -> Map of dateKey -> entry
+  async getEntriesByDate(userIds, fromKey, toKey) {
+    const entries = await OvertimeEntry.find({
+      user: { $in: userIds },
+      date: { $gte: dateKeyToDate(fromKey), $lte: dateKeyToDate(toKey) }
+    });
+
+    const entriesByUser = new Map(userIds.map(userId => [userId.toString(), new Map()]));
+    entries.forEach(entry => {
+      entriesByUser.get(entry.user.toString()).set(dateToDateKey(entry.date), entry);
+    });
+
+    return entriesByUser;
+  }
+
+  // Approve or reject an entry; an approval may cut the minutes paid
+  async review(entry, reviewer, { status, approvedMinutes, notes }) {
+    if (entry.status !== 'pending') {
+      throw createError(400, `This overtime has already been ${entry.status}`);
+    }
+
+    if (entry.user.equals(reviewer._id)) {
+      throw createError(403, 'You cannot review your own overtime');
+    }
+
+    if (status === 'approved' && approvedMinutes > entry.minutes) {
+      throw createError(400, `At most ${entry.minutes} minute(s) can be approved`);
+    }
+
+    entry.status = status;
+    entry.approvedMinutes = status === 'approved'
+      ? (approvedMinutes === undefined ? entry.minutes : approvedMinutes)
+      : 0;
+    entry.reviewedBy = reviewer._id;
+    entry.reviewedAt = new Date();
+    entry.reviewNotes = notes;
+    await entry.save();
+
+    return entry;
+  }
+
+  // Overtime minutes per department for a filter on entries
+  async summarizeByDepartment(match) {
+    const departments = await OvertimeEntry.aggregate([
+      { $match: match },
+      { $lookup: { from: 'users', localField: 'user', foreignField: '_id', as: 'userInfo' } },
+      { $unwind: '$userInfo' },
+      {
+        $group: {
+          _id: '$userInfo.department',
+          entries: { $sum: 1 },
+          minutes: { $sum: '$minutes' },
+          employees: { $addToSet: '$user' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return departments.map(department => ({
+      department: department._id || null,
+      entries: department.entries,
+      minutes: department.minutes,
+      employees: department.employees.length
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new OvertimeService();
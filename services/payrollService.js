@@ -0,0 +1,138 @@
+const ExcelJS = require('exceljs');
+const User = require('../models/User');
+const timesheetService = require('./timesheetService');
+const { buildCsv } = require('../utils/csv');
+
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+const total = (key) => ({ timesheet }) => timesheet.totals[key];
+
+// Fields a payroll column can show, with their default header.
+// Values come from the employee's timesheet, so exports match what the dashboard shows.
+const FIELDS = {
+  employeeId: { header: 'Employee ID', type: 'text', value: ({ user }) => user.employeeId },
+  firstName: { header: 'First Name', type: 'text', value: ({ user }) => user.firstName },
+  lastName: { header: 'Last Name', type: 'text', value: ({ user }) => user.lastName },
+  fullName: { header: 'Name', type: 'text', value: ({ user }) => `${user.firstName} ${user.lastName}` },
+  email: { header: 'Email', type: 'text', value: ({ user }) => user.email },
+  department: { header: 'Department', type: 'text', value: ({ user }) => user.department },
+  periodStart: { header: 'Period Start', type: 'text', value: ({ timesheet }) => timesheet.from },
+  periodEnd: { header: 'Period End', type: 'text', value: ({ timesheet }) => timesheet.to },
+  scheduledDays: { header: 'Scheduled Days', type: 'number', value: total('scheduledDays') },
+  presentDays: { header: 'Days Present', type: 'number', value: total('presentDays') },
+  pendingDays: { header: 'Days Pending Review', type: 'number', value: total('pendingDays') },
+  absentDays: { header: 'Days Absent', type: 'number', value: total('absentDays') },
+  leaveDays: { header: 'Leave Days', type: 'number', value: total('leaveDays') },
+  paidLeaveDays: { header: 'Paid Leave Days', type: 'number', value: total('paidLeaveDays') },
+  unpaidLeaveDays: { header: 'Unpaid Leave Days', type: 'number', value: total('unpaidLeaveDays') },
+  holidayDays: { header: 'Holidays', type: 'number', value: total('holidayDays') },
+  holidayWorkedDays: { header: 'Holiday Days Worked', type: 'number', value: total('holidayWorkedDays') },
+  lateDays: { header: 'Late Count', type: 'number', value: total('lateDays') },
+  lateMinutes: { header: 'Late Minutes', type: 'number', value: total('lateMinutes') },
+  workedHours: { header: 'Hours Worked', type: 'hours', value: ({ timesheet }) => toHours(timesheet.totals.workedMinutes) },
+  // Only approved overtime is payable
+  overtimeHours: { header: 'Overtime Hours', type: 'hours', value: ({ timesheet }) => toHours(timesheet.totals.approvedOvertimeMinutes) },
+  payableOvertimeHours: {
+    header: 'Weighted Overtime Hours',
+    type: 'hours',
+    value: ({ timesheet }) => toHours(timesheet.totals.payableOvertimeMinutes)
+  }
+};
+
+const FIELD_NAMES = Object.keys(FIELDS);
+
+const DEFAULT_COLUMNS = [
+  'employeeId',
+  'fullName',
+  'department',
+  'presentDays',
+  'paidLeaveDays',
+  'unpaidLeaveDays',
+  'lateDays',
+  'overtimeHours',
+  'holidayWorkedDays'
+];
+
+class PayrollService {
+  getFieldNames() {
+    return FIELD_NAMES;
+  }
+
+  // Every field a column can show, for layout editors
+  getFields() {
+    return FIELD_NAMES.map(field => ({ field, header: FIELDS[field].header, type: FIELDS[field].type }));
+  }
+
+  // The organization's export layout, or the default one; columns without a header use the field's
+  getLayout(organization) {
+    const settings = (organization && organization.settings && organization.settings.payrollExport) || {};
+    const columns = settings.columns && settings.columns.length
+      ? settings.columns.filter(column => FIELDS[column.field])
+      : DEFAULT_COLUMNS.map(field => ({ field }));
+
+    return {
+      columns: columns.map(column => ({
+        field: column.field,
+        header: column.header || FIELDS[column.field].header
+      })),
+      delimiter: settings.delimiter || ','
+    };
+  }
+
+  // Per-employee totals over a pay period, laid out in the organization's columns.
+  // Returns { from, to, layout, headers, rows } with one row per active employee.
+  async buildReport(organization, fromKey, toKey, { department } = {}) {
+    const layout = this.getLayout(organization);
+
+    const query = { organization: organization._id, isActive: true };
+    if (department) {
+      query.department = department;
+    }
+
+    const users = await User.find(query)
+      .select('firstName lastName email employeeId department organization allowedSites')
+      .sort({ lastName: 1, firstName: 1 });
+
+    const timesheets = await timesheetService.generateForUsers(users, organization, fromKey, toKey);
+    const rows = users.map(user => {
+      const timesheet = timesheets.get(user._id.toString());
+      return layout.columns.map(column => {
+        const value = FIELDS[column.field].value({ user, timesheet });
+        return value === undefined ? null : value;
+      });
+    });
+
+    return {
+      from: fromKey,
+      to: toKey,
+      layout,
+      headers: layout.columns.map(column => column.header),
+      rows
+    };
+  }
+
+  toCsv(report) {
+    return buildCsv(report.headers, report.rows, { delimiter: report.layout.delimiter });
+  }
+
+  // Render a report as an .xlsx workbook (a Buffer); numbers stay numeric cells
+  async toXlsx(report) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Payroll');
+    sheet.columns = report.layout.columns.map(column => ({
+      header: column.header,
+      width: Math.max(12, column.header.length + 2),
+      style: FIELDS[column.field].type === 'hours' ? { numFmt: '0.00' } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    sheet.addRows(report.rows);
+
+    return workbook.xlsx.writeBuffer();
+  }
+}
+
+// Export singleton instance
+module.exports = new PayrollService();
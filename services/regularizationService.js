@@ -0,0 +1,207 @@
+const Attendance = require('../models/Attendance');
+const RegularizationRequest = require('../models/RegularizationRequest');
+const User = require('../models/User');
+const attendanceService = require('./attendanceService');
+const shiftService = require('./shiftService');
+const { getOrganizationTimeZone, toDateKey, dateKeyToDate, dateToDateKey, addDays } = require('../utils/time');
+
+// Build an error carrying the HTTP status the controller should respond with
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Corrections are only accepted for recent workdays
+const MAX_AGE_DAYS = parseInt(process.env.REGULARIZATION_MAX_AGE_DAYS, 10) || 30;
+
+class RegularizationService {
+  // Check and build a correction request from an employee (not saved)
+  async createRequest(user, organization, { attendance: attendanceId, type, date, proposedTime, reason }) {
+    const timeZone = getOrganizationTimeZone(organization);
+    const now = new Date();
+
+    if (proposedTime > now) {
+      throw createError(400, 'The proposed time cannot be in the future');
+    }
+
+    let attendance = null;
+    let dateKey = date;
+
+    if (attendanceId) {
+      attendance = await Attendance.findOne({ _id: attendanceId, user: user._id });
+      if (!attendance) {
+        throw createError(404, 'Attendance record not found');
+      }
+      if (attendance.status === 'rejected') {
+        throw createError(400, 'Rejected records cannot be corrected');
+      }
+      if (await RegularizationRequest.exists({ attendance: attendance._id, status: 'pending' })) {
+        throw createError(400, 'A correction for this record is already pending');
+      }
+      dateKey = dateToDateKey(attendance.date);
+    } else if (!type || !date) {
+      throw createError(400, 'Punch type and date are required when adding a missing punch');
+    }
+
+    const todayKey = toDateKey(now, timeZone);
+    if (dateKey > todayKey || dateKey < addDays(todayKey, -MAX_AGE_DAYS)) {
+      throw createError(400, `Corrections can only be requested for the last ${MAX_AGE_DAYS} days`);
+    }
+
+    // The proposed time must fall on the workday or the day after it (night shifts)
+    const proposedKey = toDateKey(proposedTime, timeZone);
+    if (proposedKey < dateKey || proposedKey > addDays(dateKey, 1)) {
+      throw createError(400, 'The proposed time must fall on the workday being corrected');
+    }
+
+    return new RegularizationRequest({
+      organization: user.organization,
+      user: user._id,
+      kind: attendance ? 'correct-punch' : 'add-punch',
+      attendance: attendance ? attendance._id : undefined,
+      punchType: attendance ? attendance.type : type,
+      date: dateKeyToDate(dateKey),
+      proposedTime,
+      reason
+    });
+  }
+
+  // Build the attendance change an approved request makes (not saved).
+  // A corrected punch only has its time changed and keeps its review status and flags;
+  // a missing punch is added as approved by the reviewer.
+  async prepareRequest(request, reviewer, organization) {
+    let attendance;
+
+    if (request.kind === 'correct-punch') {
+      attendance = await Attendance.findById(request.attendance);
+      if (!attendance) {
+        throw createError(404, 'The attendance record for this request no longer exists');
+      }
+
+      request.original = {
+        type: attendance.type,
+        checkInTime: attendance.checkInTime,
+        checkOutTime: attendance.checkOutTime,
+        status: attendance.status
+      };
+
+      attendance.checkInTime = request.proposedTime;
+      if (attendance.type === 'check-out') {
+        attendance.checkOutTime = request.proposedTime;
+      }
+    } else {
+      const user = await User.findById(request.user);
+      const workday = await shiftService.getWorkday(user, organization, dateToDateKey(request.date), request.proposedTime);
+
+      attendance = new Attendance({
+        user: request.user,
+        organization: request.organization,
+        type: request.punchType,
+        date: request.date,
+        shift: workday.source === 'assignment' && workday.shift ? workday.shift._id : undefined,
+        scheduledStart: workday.scheduledStart || undefined,
+        scheduledEnd: workday.scheduledEnd || undefined,
+        checkInTime: request.proposedTime,
+        checkOutTime: request.punchType === 'check-out' ? request.proposedTime : undefined,
+        recognitionMethod: 'manual',
+        notes: request.reason,
+        status: 'approved',
+        approvedBy: reviewer._id,
+        approvedDate: new Date()
+      });
+    }
+
+    attendance.regularization = request._id;
+    request.attendance = attendance._id;
+
+    return attendance;
+  }
+
+  // Save the change of an approved request and rebuild the workday's sessions
+  async applyRequest(request, attendance, organization) {
+    await attendance.save();
+    await attendanceService.rebuildWorkday(request.user, request.date, organization);
+
+    return attendance;
+  }
+
+  // Record the reviewer's decision, applying the change on approval.
+  // The request is saved before the punch changes, so a failure never leaves a changed
+  // punch behind a request that still looks pending.
+  async review(request, reviewer, organization, { status, notes }) {
+    if (request.status !== 'pending') {
+      throw createError(400, `This request has already been ${request.status}`);
+    }
+
+    if (request.user.equals(reviewer._id)) {
+      throw createError(403, 'You cannot review your own correction request');
+    }
+
+    const attendance = status === 'approved'
+      ? await this.prepareRequest(request, reviewer, organization)
+      : null;
+
+    request.status = status;
+    request.reviewedBy = reviewer._id;
+    request.reviewedAt = new Date();
+    request.reviewNotes = notes;
+    await request.save();
+
+    if (attendance) {
+      await this.applyRequest(request, attendance, organization);
+    }
+
+    return request;
+  }
+
+  // Admins and HR of the employee's organization review their requests
+  async getApprovers(organizationId) {
+    return User.find({
+      organization: organizationId,
+      role: { $in: ['admin', 'hr'] },
+      isActive: true
+    }).select('firstName lastName email');
+  }
+
+  // Email the approvers and the employee about a request; never throws
+  async notify(request, event, organization) {
+    try {
+      // Loaded lazily: the email service throws at load time when it isn't configured
+      const emailService = require('./emailService');
+      const employee = await User.findById(request.user).select('firstName lastName email');
+      const timeZone = getOrganizationTimeZone(organization);
+
+      const data = {
+        employeeName: employee ? `${employee.firstName} ${employee.lastName}` : 'Unknown employee',
+        organizationName: organization ? organization.name : '',
+        punchType: request.punchType,
+        workDate: dateToDateKey(request.date),
+        proposedTime: request.proposedTime.toLocaleString('en-US', { timeZone }),
+        reason: request.reason,
+        kind: request.kind,
+        status: request.status,
+        reviewNotes: request.reviewNotes
+      };
+
+      if (event === 'submitted') {
+        const approvers = await this.getApprovers(request.organization);
+        for (const approver of approvers) {
+          await emailService.sendRegularizationRequestEmail(approver.email, {
+            ...data,
+            approverName: `${approver.firstName} ${approver.lastName}`
+          });
+        }
+      }
+
+      if (employee && employee.email) {
+        await emailService.sendRegularizationStatusEmail(employee.email, data);
+      }
+    } catch (error) {
+      console.error('Regularization notification error:', error);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new RegularizationService();
@@ -0,0 +1,162 @@
+const Shift = require('../models/Shift');
+const ShiftAssignment = require('../models/ShiftAssignment');
+const {
+  getOrganizationTimeZone,
+  toDateKey,
+  dateKeyToDate,
+  addDays,
+  getWeekday
+} = require('../utils/time');
+
+class ShiftService {
+  getTimeZone(organization) {
+    return getOrganizationTimeZone(organization);
+  }
+
+  // The organization's working hours as an implicit shift for users without an assignment
+  getDefaultShift(organization) {
+    const workingHours = (organization && organization.settings && organization.settings.workingHours) || {};
+
+    return new Shift({
+      organization: organization && organization._id,
+      name: 'Organization hours',
+      startTime: workingHours.start || '09:00',
+      endTime: workingHours.end || '17:00'
+    });
+  }
+
+  // Scheduled shift for each user on a workday.
+  // Returns a Map of userId -> { shift, source } where shift is null on a day off and
+  // source is 'assignment' or 'organization' (the default working hours).
+  async getSchedule(users, dateKey, organization) {
+    const userIds = users.map(user => user._id);
+    const assignments = await ShiftAssignment.findActiveOn(userIds, dateKeyToDate(dateKey));
+
+    // The most recent assignment wins when several overlap
+    const assignmentByUser = new Map();
+    assignments.forEach(assignment => {
+      const userId = assignment.user.toString();
+      if (!assignmentByUser.has(userId)) {
+        assignmentByUser.set(userId, assignment);
+      }
+    });
+
+    const shiftIds = Array.from(assignmentByUser.values())
+      .map(assignment => assignment.getShiftIdFor(dateKey))
+      .filter(Boolean);
+    const shifts = await Shift.find({ _id: { $in: shiftIds } });
+    const shiftById = new Map(shifts.map(shift => [shift._id.toString(), shift]));
+
+    const workingDays = (organization && organization.settings && organization.settings.workingDays) || [];
+    const isWorkingDay = !workingDays.length || workingDays.includes(getWeekday(dateKey));
+    const defaultShift = this.getDefaultShift(organization);
+
+    const schedule = new Map();
+    users.forEach(user => {
+      const userId = user._id.toString();
+      const assignment = assignmentByUser.get(userId);
+      const shiftId = assignment && assignment.getShiftIdFor(dateKey);
+
+      if (shiftId !== undefined) {
+        schedule.set(userId, {
+          shift: (shiftId && shiftById.get(shiftId.toString())) || null,
+          source: 'assignment'
+        });
+      } else {
+        schedule.set(userId, {
+          shift: isWorkingDay ? defaultShift : null,
+          source: 'organization'
+        });
+      }
+    });
+
+    return schedule;
+  }
+
+  async getScheduledShift(user, dateKey, organization) {
+    const schedule = await this.getSchedule([user], dateKey, organization);
+    return schedule.get(user._id.toString());
+  }
+
+  // Describe a user's scheduled shift on a workday, including its window and
+  // whether an instant falls inside the window (allowing early check-in and late check-out)
+  async getWorkday(user, organization, dateKey, time = new Date()) {
+    const timeZone = this.getTimeZone(organization);
+    const { shift, source } = await this.getScheduledShift(user, dateKey, organization);
+
+    if (!shift) {
+      return { workDate: dateKey, timeZone, shift: null, source, scheduledStart: null, scheduledEnd: null, inWindow: false };
+    }
+
+    const { start, end } = shift.getWindow(dateKey, timeZone);
+    const opensAt = start.getTime() - shift.earlyCheckInMinutes * 60 * 1000;
+    const closesAt = end.getTime() + shift.lateCheckOutMinutes * 60 * 1000;
+
+    return {
+      workDate: dateKey,
+      timeZone,
+      shift,
+      source,
+      scheduledStart: start,
+      scheduledEnd: end,
+      inWindow: time >= opensAt && time <= closesAt
+    };
+  }
+
+  // The workdays a punch at an instant could belong to: yesterday's (for shifts that cross
+  // midnight) and today's, in the organization's time zone
+  async getCandidateWorkdays(user, organization, time = new Date()) {
+    const today = toDateKey(time, this.getTimeZone(organization));
+
+    return {
+      previous: await this.getWorkday(user, organization, addDays(today, -1), time),
+      current: await this.getWorkday(user, organization, today, time)
+    };
+  }
+
+  // Day-by-day schedule for users over a range of workdays (inclusive).
+  // Returns a Map of userId -> [{ date, shift, source }].
+  async getRoster(users, fromKey, toKey, organization) {
+    const roster = new Map(users.map(user => [user._id.toString(), []]));
+
+    for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDays(dateKey, 1)) {
+      const schedule = await this.getSchedule(users, dateKey, organization);
+
+      schedule.forEach(({ shift, source }, userId) => {
+        roster.get(userId).push({
+          date: dateKey,
+          shift: this.formatShift(shift, source),
+          source
+        });
+      });
+    }
+
+    return roster;
+  }
+
+  // Plain summary of a scheduled shift for API responses (the organization default has no id)
+  formatShift(shift, source) {
+    return shift ? {
+      _id: source === 'assignment' ? shift._id : null,
+      name: shift.name,
+      code: shift.code,
+      startTime: shift.startTime,
+      endTime: shift.endTime,
+      crossesMidnight: shift.crossesMidnight
+    } : null;
+  }
+
+  // Plain summary of a workday's shift for API responses
+  describeWorkday(workday) {
+    return {
+      workDate: workday.workDate,
+      shift: this.formatShift(workday.shift, workday.source),
+      source: workday.source,
+      scheduledStart: workday.scheduledStart,
+      scheduledEnd: workday.scheduledEnd
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ShiftService();
@@ -0,0 +1,253 @@
+const Attendance = require('../models/Attendance');
+const shiftService = require('./shiftService');
+const leaveService = require('./leaveService');
+const holidayService = require('./holidayService');
+const overtimeService = require('./overtimeService');
+const { getOrganizationTimeZone, toDateKey, dateKeyToDate, dateToDateKey, getWeekday, parseTime, zonedTimeToUtc } = require('../utils/time');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+class TimesheetService {
+  // First and last workday of a calendar month (month is 1-12)
+  getMonthRange(year, month) {
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return {
+      fromKey: `${year}-${pad(month)}-01`,
+      toKey: `${year}-${pad(month)}-${pad(lastDay)}`
+    };
+  }
+
+  // The requested pay period: a from/to range of workdays or a calendar month,
+  // defaulting to the current month in the organization's time zone
+  getPeriod({ year, month, from, to }, organization) {
+    if (from && to) {
+      return { fromKey: from, toKey: to };
+    }
+    if (year && month) {
+      return this.getMonthRange(year, month);
+    }
+
+    const todayKey = toDateKey(new Date(), getOrganizationTimeZone(organization));
+    return this.getMonthRange(Number(todayKey.slice(0, 4)), Number(todayKey.slice(5, 7)));
+  }
+
+  // Users' punches per workday, totalled from approved records:
+  // Map of userId -> Map of dateKey -> day figures
+  async getPunchesByDate(userIds, fromKey, toKey) {
+    const records = await Attendance.find({
+      user: { $in: userIds },
+      date: { $gte: dateKeyToDate(fromKey), $lte: dateKeyToDate(toKey) },
+      status: { $ne: 'rejected' }
+    }).sort({ checkInTime: 1 });
+
+    const punchesByUser = new Map(userIds.map(userId => [userId.toString(), new Map()]));
+    records.forEach(record => {
+      const days = punchesByUser.get(record.user.toString());
+      const dateKey = dateToDateKey(record.date);
+      if (!days.has(dateKey)) {
+        days.set(dateKey, {
+          checkIns: 0,
+          checkOuts: 0,
+          firstIn: null,
+          lastOut: null,
+          workedMinutes: 0,
+          breakMinutes: 0,
+          lateMinutes: 0,
+          pendingRecords: 0
+        });
+      }
+      const day = days.get(dateKey);
+
+      // Records still waiting for review are only tallied, so the day can be re-checked later
+      if (!record.isCounted) {
+        day.pendingRecords += 1;
+        return;
+      }
+
+      if (record.type === 'check-in') {
+        day.checkIns += 1;
+        if (!day.firstIn) {
+          day.firstIn = record.checkInTime;
+          day.lateMinutes = record.lateMinutes || 0;
+        }
+      } else if (record.type === 'check-out') {
+        day.checkOuts += 1;
+        day.lastOut = record.checkOutTime || record.checkInTime;
+        day.workedMinutes += record.workingHours || 0;
+      } else if (record.type === 'break-end') {
+        day.breakMinutes += record.breakTime || 0;
+      }
+    });
+
+    return punchesByUser;
+  }
+
+  // Day-by-day timesheet of a user for a calendar month
+  async generate(user, organization, year, month) {
+    const { fromKey, toKey } = this.getMonthRange(year, month);
+    return { year, month, ...await this.generateRange(user, organization, fromKey, toKey) };
+  }
+
+  // Day-by-day timesheet of a user over a range of workdays
+  async generateRange(user, organization, fromKey, toKey) {
+    const timesheets = await this.generateForUsers([user], organization, fromKey, toKey);
+    return timesheets.get(user._id.toString());
+  }
+
+  // Timesheets of several users (with allowedSites loaded) over a range of workdays:
+  // Map of userId -> timesheet. Everything is fetched for all users at once.
+  async generateForUsers(users, organization, fromKey, toKey) {
+    const userIds = users.map(user => user._id);
+    const context = {
+      fromKey,
+      toKey,
+      timeZone: getOrganizationTimeZone(organization),
+      now: new Date()
+    };
+
+    const rosters = await shiftService.getRoster(users, fromKey, toKey, organization);
+    const holidays = await holidayService.getHolidayDatesFor(users, organization, fromKey, toKey);
+    const leave = await leaveService.getLeaveByDate(userIds, fromKey, toKey);
+    const punches = await this.getPunchesByDate(userIds, fromKey, toKey);
+    const overtime = await overtimeService.getEntriesByDate(userIds, fromKey, toKey);
+
+    return new Map(users.map(user => {
+      const userId = user._id.toString();
+      return [userId, this.build(user, context, {
+        roster: rosters.get(userId),
+        holidays: holidays.get(userId),
+        leaveByDate: leave.get(userId),
+        punches: punches.get(userId),
+        overtimeByDate: overtime.get(userId)
+      })];
+    }));
+  }
+
+  // Lay out one user's timesheet from their fetched data.
+  // Each day's status is 'present', 'absent', 'leave', 'holiday', 'weekend' (no shift scheduled),
+  // 'pending' (punched, but none of the punches has been approved yet) or 'upcoming' (not reached yet).
+  // A pending day becomes present or absent once its punches are reviewed.
+  build(user, { fromKey, toKey, timeZone, now }, { roster, holidays, leaveByDate, punches, overtimeByDate }) {
+    const todayKey = toDateKey(now, timeZone);
+
+    const totals = {
+      scheduledDays: 0,
+      presentDays: 0,
+      pendingDays: 0,
+      absentDays: 0,
+      leaveDays: 0,
+      paidLeaveDays: 0,
+      unpaidLeaveDays: 0,
+      holidayDays: 0,
+      holidayWorkedDays: 0,
+      weekendDays: 0,
+      lateDays: 0,
+      workedMinutes: 0,
+      breakMinutes: 0,
+      overtimeMinutes: 0,
+      approvedOvertimeMinutes: 0,
+      payableOvertimeMinutes: 0,
+      lateMinutes: 0
+    };
+
+    const days = roster.map(({ date: dateKey, shift }) => {
+      const punch = punches.get(dateKey);
+      const holiday = holidays.get(dateKey);
+      const leave = leaveByDate.get(dateKey);
+      const overtime = overtimeByDate.get(dateKey);
+      const worked = punch && punch.checkIns > 0;
+
+      let status;
+      if (worked) {
+        status = 'present';
+      } else if (holiday) {
+        status = 'holiday';
+      } else if (leave) {
+        status = 'leave';
+      } else if (!shift) {
+        status = 'weekend';
+      } else if (punch && punch.pendingRecords > 0) {
+        status = 'pending';
+      } else if (dateKey > todayKey ||
+          (dateKey === todayKey && zonedTimeToUtc(dateKey, parseTime(shift.startTime), timeZone) > now)) {
+        status = 'upcoming';
+      } else {
+        status = 'absent';
+      }
+
+      if (shift) totals.scheduledDays += 1;
+      if (status === 'present') totals.presentDays += 1;
+      if (status === 'pending') totals.pendingDays += 1;
+      if (status === 'absent') totals.absentDays += 1;
+      if (status === 'holiday') totals.holidayDays += 1;
+      if (status === 'present' && holiday) totals.holidayWorkedDays += 1;
+      if (status === 'weekend') totals.weekendDays += 1;
+
+      // Half-day leave counts alongside a worked half
+      if (leave && !holiday) {
+        const leaveDays = leave.halfDay ? 0.5 : 1;
+        totals.leaveDays += leaveDays;
+        totals[leave.leaveType && leave.leaveType.isPaid === false ? 'unpaidLeaveDays' : 'paidLeaveDays'] += leaveDays;
+      }
+
+      if (punch) {
+        totals.workedMinutes += punch.workedMinutes;
+        totals.breakMinutes += punch.breakMinutes;
+        totals.lateMinutes += punch.lateMinutes;
+        if (punch.lateMinutes > 0) totals.lateDays += 1;
+      }
+
+      // Overtime is only payable once approved
+      if (overtime) {
+        totals.overtimeMinutes += overtime.minutes;
+        totals.approvedOvertimeMinutes += overtime.status === 'approved' ? overtime.approvedMinutes : 0;
+        totals.payableOvertimeMinutes += overtime.payableMinutes;
+      }
+
+      return {
+        date: dateKey,
+        weekday: getWeekday(dateKey),
+        status,
+        shift,
+        firstIn: punch ? punch.firstIn : null,
+        lastOut: punch ? punch.lastOut : null,
+        inProgress: !!punch && punch.checkIns > punch.checkOuts,
+        workedMinutes: punch ? punch.workedMinutes : 0,
+        breakMinutes: punch ? punch.breakMinutes : 0,
+        overtimeMinutes: overtime ? overtime.minutes : 0,
+        lateMinutes: punch ? punch.lateMinutes : 0,
+        pendingRecords: punch ? punch.pendingRecords : 0,
+        overtime: overtime ? {
+          _id: overtime._id,
+          basis: overtime.basis,
+          multiplier: overtime.multiplier,
+          status: overtime.status,
+          approvedMinutes: overtime.approvedMinutes
+        } : null,
+        holiday: holiday ? { _id: holiday._id, name: holiday.name, type: holiday.type } : null,
+        leave: leave ? {
+          _id: leave._id,
+          leaveType: leave.leaveType,
+          halfDay: leave.halfDay
+        } : null
+      };
+    });
+
+    return {
+      user: {
+        _id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        employeeId: user.employeeId,
+        department: user.department
+      },
+      from: fromKey,
+      to: toKey,
+      days,
+      totals
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new TimesheetService();
@@ -0,0 +1,31 @@
+// Minimal CSV (RFC 4180) output for spreadsheet exports
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value, delimiter) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Build a CSV document from a header row and data rows (arrays of cell values)
+const buildCsv = (headers, rows, { delimiter = ',' } = {}) => {
+  return [headers, ...rows]
+    .map(row => row.map(value => escapeCell(value, delimiter)).join(delimiter))
+    .join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCsv
+};
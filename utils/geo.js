@@ -0,0 +1,62 @@
+// Geographic helpers for geofencing. Points are { latitude, longitude } in degrees;
+// distances are in metres.
+
+const EARTH_RADIUS_M = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two points (haversine)
+const haversineDistance = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Project a point onto a local plane (metres) around an origin; accurate enough at site scale
+const toLocal = (point, origin) => ({
+  x: toRadians(point.longitude - origin.longitude) * EARTH_RADIUS_M * Math.cos(toRadians(origin.latitude)),
+  y: toRadians(point.latitude - origin.latitude) * EARTH_RADIUS_M
+});
+
+// Ray-casting point-in-polygon test
+const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+      point.longitude < ((b.longitude - a.longitude) * (point.latitude - a.latitude)) / (b.latitude - a.latitude) + a.longitude;
+
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+};
+
+// Shortest distance from a point to a polygon's edges
+const distanceToPolygonEdge = (point, polygon) => {
+  let shortest = Infinity;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = toLocal(polygon[j], point);
+    const b = toLocal(polygon[i], point);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared)) : 0;
+
+    shortest = Math.min(shortest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+
+  return shortest;
+};
+
+module.exports = {
+  haversineDistance,
+  isPointInPolygon,
+  distanceToPolygonEdge
+};
@@ -0,0 +1,204 @@
+// Minimal iCalendar (RFC 5545) support for all-day events such as holidays.
+// Dates are date keys (YYYY-MM-DD); event ranges are inclusive.
+
+const { addDays, toDateKey, isValidDateKey } = require('./time');
+
+// Undo line folding: a line starting with a space or tab continues the previous one
+const unfold = (text) => text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+const unescapeText = (value) => value
+  .replace(/\\[nN]/g, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/([,;])/g, '\\$1');
+
+// Fold a content line to 75 octets as the spec requires
+const fold = (line) => {
+  const parts = [];
+  let rest = Buffer.from(line, 'utf8');
+
+  while (rest.length > 75) {
+    // Don't split a multi-byte character
+    let cut = parts.length ? 74 : 75;
+    while (cut > 0 && (rest[cut] & 0xc0) === 0x80) cut -= 1;
+    parts.push(rest.slice(0, cut).toString('utf8'));
+    rest = rest.slice(cut);
+  }
+  parts.push(rest.toString('utf8'));
+
+  return parts.join('\r\n ');
+};
+
+// Split "NAME;PARAM=X:VALUE" into its parts
+const parseLine = (line) => {
+  const colon = line.indexOf(':');
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...params] = line.slice(0, colon).split(';');
+  return {
+    name: name.toUpperCase(),
+    params: params.reduce((acc, param) => {
+      const [key, value = ''] = param.split('=');
+      acc[key.toUpperCase()] = value;
+      return acc;
+    }, {}),
+    value: line.slice(colon + 1)
+  };
+};
+
+// Date key of a DTSTART/DTEND value. UTC times are converted to the calendar's time zone;
+// floating and TZID times keep their written date.
+const parseDateValue = (property, timeZone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const dateKey = `${year}-${month}-${day}`;
+  if (!isValidDateKey(dateKey)) {
+    return null;
+  }
+
+  if (!hour) {
+    return { dateKey, isDate: true, isMidnight: true };
+  }
+
+  const instant = new Date(`${dateKey}T${hour}:${minute}:${second}Z`);
+  if (Number.isNaN(instant.getTime())) {
+    return null;
+  }
+
+  if (utc) {
+    return { dateKey: toDateKey(instant, timeZone), isDate: false, isMidnight: false };
+  }
+
+  return { dateKey, isDate: false, isMidnight: hour === '00' && minute === '00' && second === '00' };
+};
+
+// Parse the VEVENTs of a calendar.
+// Returns { name, events: [{ uid, summary, description, categories, startDate, endDate }], skipped }
+// where skipped lists events that couldn't be read (recurring events are not expanded).
+const parseCalendar = (text, { timeZone } = {}) => {
+  const lines = unfold(text);
+  const events = [];
+  const skipped = [];
+  let name = null;
+  let current = null;
+
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCalendar file');
+  }
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const property = parseLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      current = { properties: {} };
+      continue;
+    }
+
+    if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT' && current) {
+      const { properties } = current;
+      const summary = properties.SUMMARY ? unescapeText(properties.SUMMARY.value).trim() : '';
+      const start = properties.DTSTART && parseDateValue(properties.DTSTART, timeZone);
+      const end = properties.DTEND && parseDateValue(properties.DTEND, timeZone);
+
+      if (properties.RRULE) {
+        skipped.push({ summary, reason: 'Recurring events are not supported' });
+      } else if (!start || !summary) {
+        skipped.push({ summary, reason: 'Missing or unreadable SUMMARY or DTSTART' });
+      } else if (properties.DTEND && !end) {
+        skipped.push({ summary, reason: 'Unreadable DTEND' });
+      } else {
+        // DTEND is exclusive for all-day events and for timed events ending at midnight
+        let endDate = start.dateKey;
+        if (end) {
+          endDate = end.isDate || end.isMidnight ? addDays(end.dateKey, -1) : end.dateKey;
+        }
+        if (endDate < start.dateKey) {
+          endDate = start.dateKey;
+        }
+
+        events.push({
+          uid: properties.UID ? properties.UID.value.trim() : undefined,
+          summary,
+          description: properties.DESCRIPTION ? unescapeText(properties.DESCRIPTION.value).trim() : undefined,
+          categories: properties.CATEGORIES
+            ? unescapeText(properties.CATEGORIES.value).split(',').map(category => category.trim().toLowerCase())
+            : [],
+          startDate: start.dateKey,
+          endDate
+        });
+      }
+
+      current = null;
+      continue;
+    }
+
+    if (current) {
+      // Keep the first occurrence of each property
+      if (!current.properties[property.name]) {
+        current.properties[property.name] = property;
+      }
+    } else if (property.name === 'X-WR-CALNAME') {
+      name = unescapeText(property.value).trim();
+    }
+  }
+
+  return { name, events, skipped };
+};
+
+const toIcsDate = (dateKey) => dateKey.replace(/-/g, '');
+
+const toIcsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Build a calendar of all-day events: [{ uid, summary, description, categories, startDate, endDate }]
+const buildCalendar = ({ name, events, productId = '-//Attendance System//Holidays//EN' }) => {
+  const stamp = toIcsTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${productId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(event.startDate)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(addDays(event.endDate, 1))}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.categories && event.categories.length) {
+      lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    }
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseCalendar,
+  buildCalendar
+};
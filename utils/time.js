@@ -0,0 +1,135 @@
+// Time zone helpers built on Intl, so shift times ("22:00") can be evaluated in an
+// organization's time zone regardless of the server's own zone.
+//
+// A "date key" is a calendar date in the form YYYY-MM-DD. Attendance records label their
+// workday with the UTC midnight of the date key (see dateKeyToDate).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Matches the Organization settings default
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const formatters = new Map();
+
+// Formatters are expensive to build; keep one per time zone
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Whether a string is a time zone Intl understands
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// An organization's time zone, falling back to the default for missing or invalid values
+const getOrganizationTimeZone = (organization) => {
+  const timeZone = organization && organization.settings && organization.settings.timezone;
+  return timeZone && isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+};
+
+// Wall-clock parts of an instant in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(part => {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+};
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const getTimeZoneOffset = (date, timeZone) => {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (instant.getTime() - instant.getMilliseconds());
+};
+
+// Calendar date of an instant in a time zone
+const toDateKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// UTC midnight of a date key, used as the stored workday label
+const dateKeyToDate = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+
+// Date key of a stored workday label
+const dateToDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Whether a YYYY-MM-DD key names a real calendar date (e.g. not 2026-02-30)
+const isValidDateKey = (dateKey) => {
+  const date = dateKeyToDate(dateKey);
+  return !Number.isNaN(date.getTime()) && dateToDateKey(date) === dateKey;
+};
+
+const addDays = (dateKey, days) => dateToDateKey(dateKeyToDate(dateKey).getTime() + days * DAY_MS);
+
+// Whole days from one date key to another
+const daysBetween = (fromKey, toKey) => Math.round((dateKeyToDate(toKey) - dateKeyToDate(fromKey)) / DAY_MS);
+
+const getWeekday = (dateKey) => WEEKDAYS[dateKeyToDate(dateKey).getUTCDay()];
+
+// "HH:mm" to minutes after midnight
+const parseTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// The instant a wall-clock time occurs on a date in a time zone.
+// minutesOfDay may exceed 24h for times on the following day.
+const zonedTimeToUtc = (dateKey, minutesOfDay, timeZone) => {
+  const guess = dateKeyToDate(dateKey).getTime() + minutesOfDay * 60 * 1000;
+  const firstPass = guess - getTimeZoneOffset(guess, timeZone);
+  // Re-check in case the first guess landed on the other side of a DST change
+  return new Date(guess - getTimeZoneOffset(firstPass, timeZone));
+};
+
+// Start of the calendar day containing an instant, in a time zone
+const startOfZonedDay = (date, timeZone) => zonedTimeToUtc(toDateKey(date, timeZone), 0, timeZone);
+
+module.exports = {
+  DAY_MS,
+  DEFAULT_TIME_ZONE,
+  WEEKDAYS,
+  isValidTimeZone,
+  getOrganizationTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  toDateKey,
+  dateKeyToDate,
+  dateToDateKey,
+  isValidDateKey,
+  addDays,
+  daysBetween,
+  getWeekday,
+  parseTime,
+  zonedTimeToUtc,
+  startOfZonedDay
+};
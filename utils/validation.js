@@ -0,0 +1,15 @@
+// Joi schemas shared by the controllers' request validation
+
+const Joi = require('joi');
+const { isValidDateKey } = require('./time');
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A YYYY-MM-DD date key naming a real calendar date (2026-02-30 is refused, not rolled over)
+const dateKeySchema = Joi.string().pattern(DATE_KEY_PATTERN).custom((value, helpers) => (
+  isValidDateKey(value) ? value : helpers.error('any.invalid')
+), 'calendar date').messages({ 'any.invalid': '{{#label}} must be a valid calendar date' });
+
+module.exports = {
+  dateKeySchema
+};